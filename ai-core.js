@@ -4,80 +4,65 @@
  */
 
 class LocalAICore {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.provider - backend (see ai-providers.js), Chrome built-in AI by default
+     * @param {number} options.maxToolSteps - tool calls allowed per answer (default 5)
+     */
+    constructor(options = {}) {
+        this.provider = options.provider || new ChromeAIProvider();
         this.session = null;
+        this.sessions = new Map();
+        this.maxSessions = 3;
         this.isProcessing = false;
         this.isInitialized = false;
         this.abortController = null;
         this.sessionParameters = { temperature: 0.7, topK: 40 };
+        this.systemPrompt = '';
+
+        // Older turns are summarized once a prompt would fill this share of
+        // the context window; the most recent messages are kept verbatim
+        this.contextThreshold = 0.8;
+        this.keepRecentMessages = 4;
+        // conversationId -> { text, count, prefix } summary of the first `count` history messages
+        this.summaries = new Map();
+
+        // Requests run one at a time: higher priority first, FIFO otherwise
+        this.queue = [];
+        this.activeRequest = null;
+        this.nextRequestId = 1;
+
+        // Tools the model may call (see tools.js); described in the system prompt
+        this.tools = new ToolRegistry();
+        this.maxToolSteps = options.maxToolSteps || 5;
+
+        // task -> { key, instance } native task API kept for the last options used
+        this.taskInstances = new Map();
+
+        // Input types besides text the model takes ('image', 'audio'), read in initialize()
+        this.inputTypes = [];
 
         // Callbacks
         this.onStreamingUpdate = null;
         this.onProcessingComplete = null;
         this.onError = null;
         this.onStatusChange = null;
+        this.onContextUpdate = null;
+        this.onTaskProgress = null;
+        this.onDownloadProgress = null;
     }
 
     /**
-     * Check Chrome version
-     */
-    getChromeVersion() {
-        const userAgent = navigator.userAgent;
-        const match = userAgent.match(/Chrome\/(\d+)/);
-        return match ? parseInt(match[1]) : 0;
-    }
-
-    /**
-     * Get the available AI interface (standard or legacy)
-     */
-    getAIInterface() {
-        if (typeof window !== 'undefined' && window.ai && window.ai.languageModel) {
-            return window.ai.languageModel;
-        }
-        if (typeof LanguageModel !== 'undefined') {
-            return LanguageModel;
-        }
-        return null;
-    }
-
-    /**
-     * Check if browser supports Gemini Nano
+     * Check if the configured provider can run the model
      */
     async checkAvailability() {
-        // Check Chrome version
-        const chromeVersion = this.getChromeVersion();
-        if (chromeVersion < 127) {
-            return {
-                available: false,
-                status: 'unsupported',
-                error: `Chrome 127+ é necessário (atual: ${chromeVersion})`
-            };
-        }
-
-        const aiInterface = this.getAIInterface();
-
-        // Check if LanguageModel API exists
-        if (!aiInterface) {
-            return {
-                available: false,
-                status: 'no-api',
-                error: 'A API LanguageModel não está disponível. Habilite as flags experimental-prompt-api-for-gemini-nano e optimization-guide-on-device-model.'
-            };
+        const unsupported = this.provider.getUnsupportedReason();
+        if (unsupported) {
+            return { available: false, ...unsupported };
         }
 
         try {
-            let availability = 'no';
-            
-            // Support for both capabilities() (newer) and availability() (older)
-            if (aiInterface.capabilities) {
-                const caps = await aiInterface.capabilities();
-                availability = caps.available;
-            } else if (aiInterface.availability) {
-                // Legacy check with params
-                availability = await aiInterface.availability({
-                    expectedOutputs: [{ type: "text", languages: ["en"] }]
-                });
-            }
+            const availability = await this.provider.availability();
 
             if (availability === 'readily' || availability === 'available') {
                 return { available: true, status: 'ready' };
@@ -109,6 +94,83 @@ class LocalAICore {
         }
     }
 
+    /**
+     * Model limits and defaults (defaultTemperature, maxTemperature,
+     * defaultTopK, maxTopK) when the provider reports them
+     */
+    async getModelParams() {
+        if (!this.provider.params) return null;
+
+        try {
+            return await this.provider.params();
+        } catch (error) {
+            console.warn('LocalAICore: Não foi possível ler os parâmetros do modelo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Set the global session settings without touching existing sessions
+     */
+    setSessionSettings({ temperature, topK, systemPrompt } = {}) {
+        if (typeof temperature === 'number') this.sessionParameters.temperature = temperature;
+        if (typeof topK === 'number') this.sessionParameters.topK = topK;
+        if (typeof systemPrompt === 'string') this.systemPrompt = systemPrompt;
+    }
+
+    /**
+     * Change the global settings and recreate the sessions that use them.
+     * Conversations with their own overrides keep their sessions.
+     */
+    async updateSessionSettings(settings) {
+        this.setSessionSettings(settings);
+
+        if (this.session) {
+            await this.createSession();
+        }
+
+        for (const [id, entry] of [...this.sessions]) {
+            if (!entry.overrides) {
+                this.releaseConversation(id);
+            }
+        }
+    }
+
+    /**
+     * Global settings merged with per-conversation overrides
+     */
+    resolveSettings(overrides = null) {
+        return {
+            ...this.sessionParameters,
+            systemPrompt: this.systemPrompt,
+            ...(overrides || {})
+        };
+    }
+
+    /**
+     * Register a tool: { name, description, parameters, handler(args, context) }.
+     * Tools are described in the system prompt, so register them before
+     * initialize(); sessions created earlier don't know about them.
+     */
+    registerTool(tool) {
+        this.tools.register(tool);
+    }
+
+    unregisterTool(name) {
+        return this.tools.unregister(name);
+    }
+
+    getTools() {
+        return this.tools.list();
+    }
+
+    /**
+     * System prompt followed by the tool instructions
+     */
+    withToolInstructions(systemPrompt) {
+        return [systemPrompt, this.tools.describe()].filter(Boolean).join('\n\n');
+    }
+
     /**
      * Initialize the AI session
      */
@@ -121,63 +183,786 @@ class LocalAICore {
         this.updateStatus('Verificando disponibilidade...');
 
         const availability = await this.checkAvailability();
-        if (!availability.available) {
+        // A downloadable model is fetched by create(), which reports the progress
+        const download = ['downloadable', 'downloading'].includes(availability.status);
+        if (!availability.available && !download) {
             return { success: false, ...availability };
         }
 
         try {
-            this.updateStatus('Criando sessão da IA...');
-            await this.createSession();
+            this.inputTypes = await this.getInputTypes();
+            this.updateStatus(download ? 'Baixando o modelo...' : 'Criando sessão da IA...');
+            const monitor = download
+                ? this.createMonitor(progress => this.onDownloadProgress && this.onDownloadProgress(progress))
+                : null;
+            await this.createSession(null, monitor);
             this.isInitialized = true;
             this.updateStatus('IA pronta');
             return { success: true, status: 'ready' };
         } catch (error) {
             console.error('LocalAICore: Falha na inicialização:', error);
-            return { success: false, status: 'error', error: error.message };
+            if (download && error.name === 'NotAllowedError') {
+                // Chrome only starts a download after a user gesture
+                return {
+                    success: false,
+                    status: availability.status,
+                    needsActivation: true,
+                    error: 'Clique em "Baixar modelo" para iniciar o download do Gemini Nano.'
+                };
+            }
+            return { success: false, status: download ? availability.status : 'error', error: error.message };
+        }
+    }
+
+    async getInputTypes() {
+        if (!this.provider.inputTypes) return [];
+
+        try {
+            return await this.provider.inputTypes();
+        } catch (error) {
+            console.warn('LocalAICore: Não foi possível verificar as entradas multimodais:', error);
+            return [];
         }
     }
 
+    /**
+     * Whether prompts may carry media of this type ('image' or 'audio')
+     */
+    supportsInput(type) {
+        return this.inputTypes.includes(type);
+    }
+
+    /**
+     * Setup checklist for a failed initialize() status, or [] when the
+     * provider has none
+     */
+    getSetupSteps(status) {
+        return this.provider.setupSteps ? this.provider.setupSteps(status) : [];
+    }
+
+    /**
+     * create() monitor option calling onProgress(0..1) on downloadprogress
+     */
+    createMonitor(onProgress) {
+        return (monitor) => {
+            monitor.addEventListener('downloadprogress', (event) => {
+                onProgress(event.total ? event.loaded / event.total : event.loaded);
+            });
+        };
+    }
+
     /**
      * Create a new AI session
      */
-    async createSession(initialPrompts = null) {
-        if (this.session && this.session.destroy) {
+    async createSession(initialPrompts = null, monitor = null) {
+        if (this.session) {
             console.log('LocalAICore: Destruindo sessão anterior');
-            this.session.destroy();
+            this.provider.destroy(this.session);
         }
 
+        this.session = await this.buildSession(initialPrompts, null, monitor);
+
+        return true;
+    }
+
+    /**
+     * Build a standalone session without touching this.session
+     */
+    async buildSession(initialPrompts = null, overrides = null, monitor = null) {
         console.log('LocalAICore: Criando nova sessão...');
         const startTime = performance.now();
 
+        const { systemPrompt, ...parameters } = this.resolveSettings(overrides);
         const createOptions = {
-            ...this.sessionParameters,
+            ...parameters,
         };
-        
-        // Add legacy parameters if needed
-        if (typeof LanguageModel !== 'undefined' && (!window.ai || !window.ai.languageModel)) {
-             createOptions.expectedOutputs = [{ type: "text", languages: ["en"] }];
-        }
+        const instructions = this.withToolInstructions(systemPrompt);
 
-        if (initialPrompts && Array.isArray(initialPrompts) && initialPrompts.length > 0) {
-            createOptions.initialPrompts = initialPrompts;
+        let prompts = Array.isArray(initialPrompts) ? [...initialPrompts] : [];
+        if (instructions && (prompts.length === 0 || prompts[0].role !== 'system')) {
+            prompts.unshift({ role: 'system', content: instructions });
         }
 
-        if (typeof window !== 'undefined' && window.ai && window.ai.languageModel) {
-            this.session = await window.ai.languageModel.create(createOptions);
-        } else {
-            this.session = await LanguageModel.create(createOptions);
+        if (prompts.length > 0) {
+            createOptions.initialPrompts = prompts;
+        }
+        if (monitor) {
+            createOptions.monitor = monitor;
         }
+        if (this.inputTypes.length > 0) {
+            createOptions.expectedInputs = [{ type: 'text' }, ...this.inputTypes.map(type => ({ type }))];
+        }
+
+        const session = await this.provider.create(createOptions);
 
         const creationTime = performance.now() - startTime;
         console.log(`LocalAICore: Sessão criada em ${Math.round(creationTime)}ms`);
 
+        return session;
+    }
+
+    /**
+     * Convert stored chat messages into initialPrompts entries. Messages
+     * may carry `media` ([{ type, value }]) sent along with their text.
+     */
+    toInitialPrompts(messages = []) {
+        return messages
+            .filter(msg => msg && (msg.content || this.hasMedia(msg.media)) && ['system', 'user', 'assistant'].includes(msg.role))
+            .map(msg => ({ role: msg.role, content: this.toPromptContent(msg.content, msg.media) }));
+    }
+
+    hasMedia(media) {
+        return Array.isArray(media) && media.length > 0;
+    }
+
+    /**
+     * Message content: the text alone, or content parts when there is media
+     */
+    toPromptContent(text, media) {
+        return this.hasMedia(media) ? MediaAttachments.toContent(text, media) : text;
+    }
+
+    /**
+     * Get (or restore) the session that belongs to a conversation.
+     * Sessions are rebuilt from the given history when missing, when the
+     * conversation's overrides changed or when the history no longer
+     * matches the session (another branch was selected). Omitted
+     * arguments are not compared. An empty conversation without overrides
+     * starts from a clone of the base session.
+     */
+    async getConversationSession(conversationId, history = null, overrides = undefined) {
+        const existing = this.sessions.get(conversationId);
+        if (overrides === undefined) {
+            overrides = existing ? existing.overrides : null;
+        }
+
+        const initialPrompts = this.toInitialPrompts(history || []);
+        const sameOverrides = JSON.stringify(existing?.overrides) === JSON.stringify(overrides);
+        const sameHistory = history === null || JSON.stringify(existing?.history) === JSON.stringify(initialPrompts);
+
+        if (existing && sameOverrides && sameHistory) {
+            existing.lastUsed = Date.now();
+            return existing;
+        }
+
+        if (existing) {
+            console.log(sameOverrides
+                ? `LocalAICore: Histórico da conversa ${conversationId} mudou, recriando sessão`
+                : `LocalAICore: Configurações da conversa ${conversationId} mudaram, recriando sessão`);
+            this.releaseConversation(conversationId);
+        }
+
+        let session;
+
+        if (initialPrompts.length === 0 && !overrides && this.session && this.provider.clone) {
+            console.log(`LocalAICore: Clonando sessão base para a conversa ${conversationId}`);
+            session = await this.provider.clone(this.session);
+        }
+
+        if (!session) {
+            console.log(`LocalAICore: Restaurando conversa ${conversationId} (${initialPrompts.length} mensagens)`);
+            try {
+                session = await this.buildSession(this.seedPrompts(conversationId, initialPrompts, overrides), overrides);
+            } catch (error) {
+                // Too long to restore as is: summarize the older turns first
+                if (!this.isQuotaError(error) || !(await this.summarize(conversationId, initialPrompts, overrides))) {
+                    throw error;
+                }
+                session = await this.buildSession(this.seedPrompts(conversationId, initialPrompts, overrides), overrides);
+            }
+        }
+
+        const entry = { session, history: initialPrompts, overrides, lastUsed: Date.now() };
+        this.sessions.set(conversationId, entry);
+        this.evictIdleSessions(conversationId);
+
+        return entry;
+    }
+
+    /**
+     * Make sure a conversation has a session seeded with its history.
+     * Call before processText() when the user switches chats.
+     */
+    async prepareConversation(conversationId, history = [], overrides = null) {
+        if (conversationId === null || conversationId === undefined) return null;
+        return this.getConversationSession(conversationId, history, overrides);
+    }
+
+    /**
+     * Destroy least recently used sessions above maxSessions
+     */
+    evictIdleSessions(keepConversationId = null) {
+        while (this.sessions.size > this.maxSessions) {
+            let oldestId = null;
+            let oldestTime = Infinity;
+
+            for (const [id, entry] of this.sessions) {
+                if (id === keepConversationId) continue;
+                if (entry.lastUsed < oldestTime) {
+                    oldestTime = entry.lastUsed;
+                    oldestId = id;
+                }
+            }
+
+            if (oldestId === null) break;
+            console.log(`LocalAICore: Liberando sessão ociosa da conversa ${oldestId}`);
+            this.releaseConversation(oldestId);
+        }
+    }
+
+    isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || /quota|too large/i.test(error.message || ''));
+    }
+
+    /**
+     * Context window usage of a conversation's session:
+     * { used, quota, summarized } (summarized = messages replaced by the summary)
+     */
+    getContextUsage(conversationId) {
+        const entry = this.sessions.get(conversationId);
+        const usage = entry && this.provider.usage ? this.provider.usage(entry.session) : null;
+        if (!usage || !usage.quota) return null;
+
+        const summary = this.summaries.get(conversationId);
+        return { used: usage.used, quota: usage.quota, summarized: summary ? summary.count : 0 };
+    }
+
+    /**
+     * Initial prompts for a conversation's history, with the stored
+     * summary standing in for the older turns when it still applies
+     */
+    seedPrompts(conversationId, history, overrides = null) {
+        const summary = this.summaries.get(conversationId);
+        if (!summary || JSON.stringify(history.slice(0, summary.count)) !== summary.prefix) {
+            return history;
+        }
+
+        const { systemPrompt } = this.resolveSettings(overrides);
+        const content = [this.withToolInstructions(systemPrompt), `Resumo da conversa até aqui:\n${summary.text}`].filter(Boolean).join('\n\n');
+        return [{ role: 'system', content }, ...history.slice(summary.count)];
+    }
+
+    /**
+     * Summarize everything but the most recent messages of a history.
+     * Returns false when there is nothing new to summarize.
+     */
+    async summarize(conversationId, history, overrides = null) {
+        const previous = this.summaries.get(conversationId);
+        const previousCount = previous && JSON.stringify(history.slice(0, previous.count)) === previous.prefix ? previous.count : 0;
+
+        // Keep whole turns: the recent part starts at a user message
+        let count = history.length - this.keepRecentMessages;
+        while (count > 0 && history[count] && history[count].role !== 'user') {
+            count--;
+        }
+        if (count <= previousCount) return false;
+
+        const turns = history.slice(previousCount, count);
+        const labels = { user: 'Usuário', assistant: 'Assistente', system: 'Sistema' };
+        const transcript = [
+            previousCount > 0 ? `Resumo anterior: ${previous.text}` : '',
+            ...turns.map(turn => `${labels[turn.role] || turn.role}: ${MediaAttachments.promptText(turn.content)}`)
+        ].filter(Boolean).join('\n\n');
+
+        console.log(`LocalAICore: Resumindo ${count} mensagens da conversa ${conversationId}`);
+        const session = await this.buildSession(null, overrides);
+        try {
+            // Keep the transcript within the summarizing session's window
+            const usage = this.provider.usage ? this.provider.usage(session) : null;
+            const maxChars = usage && usage.quota ? Math.floor((usage.quota - usage.used) * 0.6) * 4 : Infinity;
+            const text = await this.provider.prompt(session,
+                'Resuma a conversa abaixo em poucos parágrafos, preservando fatos, decisões, nomes e pedidos do usuário ' +
+                `necessários para continuá-la.\n\n${transcript.slice(-maxChars)}`);
+
+            this.summaries.set(conversationId, {
+                text: text.trim(),
+                count,
+                prefix: JSON.stringify(history.slice(0, count))
+            });
+            return true;
+        } finally {
+            this.provider.destroy(session);
+        }
+    }
+
+    /**
+     * Replace a conversation's session with one seeded from the summary
+     * of its older turns plus the recent ones
+     */
+    async compactConversation(conversationId) {
+        const entry = this.sessions.get(conversationId);
+        if (!entry || !(await this.summarize(conversationId, entry.history, entry.overrides))) {
+            return false;
+        }
+
+        const session = await this.buildSession(this.seedPrompts(conversationId, entry.history, entry.overrides), entry.overrides);
+        this.provider.destroy(entry.session);
+        entry.session = session;
+
+        this.notifyContext(conversationId, true);
         return true;
     }
 
     /**
-     * Process text with the AI
+     * Summarize ahead of time when the next prompt would push the session
+     * past contextThreshold
+     */
+    async ensureContextRoom(conversationId, entry, text) {
+        const usage = this.provider.usage ? this.provider.usage(entry.session) : null;
+        if (!usage || !usage.quota) return;
+
+        const needed = this.provider.measureUsage ? await this.provider.measureUsage(entry.session, text) : 0;
+        if (usage.used + needed > usage.quota * this.contextThreshold) {
+            console.log(`LocalAICore: Contexto em ${Math.round(usage.used / usage.quota * 100)}%, compactando conversa ${conversationId}`);
+            await this.compactConversation(conversationId);
+        }
+    }
+
+    notifyContext(conversationId, compacted = false) {
+        if (this.onContextUpdate) {
+            this.onContextUpdate(conversationId, this.getContextUsage(conversationId), compacted);
+        }
+    }
+
+    /**
+     * Destroy the session of a single conversation
+     */
+    releaseConversation(conversationId) {
+        const entry = this.sessions.get(conversationId);
+        if (!entry) return;
+
+        this.provider.destroy(entry.session);
+        this.sessions.delete(conversationId);
+    }
+
+    /**
+     * Forget a conversation entirely (session and summary)
+     */
+    forgetConversation(conversationId) {
+        this.releaseConversation(conversationId);
+        this.summaries.delete(conversationId);
+    }
+
+    /**
+     * Destroy every conversation session (the base session is kept)
+     */
+    releaseAllConversations() {
+        for (const id of [...this.sessions.keys()]) {
+            this.releaseConversation(id);
+        }
+    }
+
+    /**
+     * Queue a prompt. Returns { id, promise }; the promise resolves with
+     * the processText() result ({ cancelled: true } if removed from the
+     * queue) and rejects on errors.
+     *
+     * Options:
+     *   action, metadata - passed through to processText() and the callbacks
+     *   priority         - higher runs first (default 0)
+     *   history          - branch to restore the conversation's session from
+     *                      right before running (see prepareConversation)
+     *   overrides        - conversation settings for that session
+     *   schema, maxRepairs - structured answer (see processText)
+     *   maxToolSteps     - tool calls allowed for this answer
+     *   context          - text placed before the prompt (see processText)
+     *   taskOptions      - options of a task action (see processText)
+     *   media            - images/audio sent with the prompt (see processText)
+     *   onStart(request), onChunk(chunk), onComplete(result, data), onError(message), onToolCall(call)
+     */
+    enqueue(text, options = {}) {
+        const request = {
+            id: this.nextRequestId++,
+            text,
+            action: options.action || 'ask',
+            metadata: options.metadata || {},
+            priority: options.priority || 0,
+            history: options.history || null,
+            overrides: options.overrides,
+            options: {
+                onStart: options.onStart,
+                onChunk: options.onChunk,
+                onComplete: options.onComplete,
+                onError: options.onError,
+                onToolCall: options.onToolCall,
+                schema: options.schema,
+                maxRepairs: options.maxRepairs,
+                maxToolSteps: options.maxToolSteps,
+                context: options.context,
+                taskOptions: options.taskOptions,
+                media: options.media
+            }
+        };
+        request.promise = new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
+        });
+
+        const index = this.queue.findIndex(queued => queued.priority < request.priority);
+        if (index === -1) {
+            this.queue.push(request);
+        } else {
+            this.queue.splice(index, 0, request);
+        }
+        console.log(`LocalAICore: Requisição ${request.id} na fila (${this.queue.length} aguardando)`);
+
+        this.processQueue();
+        return { id: request.id, promise: request.promise };
+    }
+
+    /**
+     * Remove a queued request, or stop it if it is running
+     */
+    cancel(requestId) {
+        const index = this.queue.findIndex(request => request.id === requestId);
+        if (index !== -1) {
+            const [request] = this.queue.splice(index, 1);
+            console.log(`LocalAICore: Requisição ${requestId} cancelada`);
+            request.resolve({ success: false, result: '', action: request.action, cancelled: true });
+            return true;
+        }
+
+        if (this.activeRequest && this.activeRequest.id === requestId) {
+            return this.stopProcessing();
+        }
+        return false;
+    }
+
+    /**
+     * 0 while running, 1.. while waiting, -1 when unknown or finished
+     */
+    getQueuePosition(requestId) {
+        if (this.activeRequest && this.activeRequest.id === requestId) return 0;
+        const index = this.queue.findIndex(request => request.id === requestId);
+        return index === -1 ? -1 : index + 1;
+    }
+
+    hasPendingRequests() {
+        return !!this.activeRequest || this.queue.length > 0;
+    }
+
+    async processQueue() {
+        if (this.activeRequest || this.queue.length === 0) return;
+
+        const request = this.queue.shift();
+        this.activeRequest = request;
+
+        try {
+            const { conversationId } = request.metadata;
+            if (request.history) {
+                await this.prepareConversation(conversationId, request.history, request.overrides);
+            }
+            if (request.options.onStart) {
+                request.options.onStart(request);
+            }
+            request.resolve(await this.processText(request.text, request.action, request.metadata, request.options));
+        } catch (error) {
+            request.reject(error);
+        } finally {
+            this.activeRequest = null;
+            this.processQueue();
+        }
+    }
+
+    /**
+     * Whether the provider can enforce a JSON Schema while generating
+     */
+    supportsResponseConstraint() {
+        return !!(this.provider.supportsResponseConstraint && this.provider.supportsResponseConstraint());
+    }
+
+    /**
+     * Prompt asking for JSON only, for providers without responseConstraint
+     */
+    buildSchemaPrompt(text, schema) {
+        return `${text}\n\nResponda somente com um objeto JSON válido, sem texto antes ou depois e sem blocos de código, que siga este JSON Schema:\n${JSON.stringify(schema)}`;
+    }
+
+    buildRepairPrompt(errors) {
+        const lines = errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+        return `A resposta anterior não segue o JSON Schema pedido:\n${lines}\n\nResponda novamente somente com o JSON corrigido.`;
+    }
+
+    /**
+     * Stream a prompt, falling back to a single prompt() call when
+     * streaming is unavailable or fails. On abort the error carries the
+     * text received so far in `partial`.
+     */
+    async streamPrompt(session, prompt, promptOptions, onChunk) {
+        let result = '';
+
+        if (this.provider.promptStreaming) {
+            console.log('LocalAICore: Usando streaming API');
+            try {
+                const stream = this.provider.promptStreaming(session, prompt, promptOptions);
+
+                for await (const chunk of stream) {
+                    if (chunk) {
+                        result += chunk;
+                        onChunk(chunk);
+                    }
+                }
+                return result;
+            } catch (streamError) {
+                if (streamError.name === 'AbortError') {
+                    console.log('LocalAICore: Streaming parado pelo usuário');
+                    streamError.partial = result;
+                    throw streamError;
+                }
+
+                // Fallback to regular prompt
+                console.log('LocalAICore: Fallback para prompt regular');
+            }
+        } else {
+            console.log('LocalAICore: Streaming não disponível, usando prompt regular');
+        }
+
+        result = await this.provider.prompt(session, prompt, promptOptions);
+        onChunk(result);
+        return result;
+    }
+
+    /**
+     * Validate a structured answer, asking the model to fix it up to
+     * `maxRepairs` times. Repair answers are not streamed.
+     * Returns { result, data } or throws SchemaValidationError.
+     */
+    async repairStructured(session, result, schema, promptOptions, maxRepairs) {
+        for (let repair = 0; ; repair++) {
+            const { value, errors } = SchemaValidator.check(schema, result);
+            if (errors.length === 0) {
+                return { result, data: value };
+            }
+
+            if (repair >= maxRepairs) {
+                throw new SchemaValidationError(errors, result);
+            }
+
+            console.log(`LocalAICore: Resposta fora do schema (${SchemaValidator.describe(errors)}), pedindo correção ${repair + 1}/${maxRepairs}`);
+            result = await this.provider.prompt(session, this.buildRepairPrompt(errors), promptOptions);
+        }
+    }
+
+    /**
+     * Run the tool calls in an answer and feed their results back until
+     * the model answers without one. Past the step limit the model is
+     * told to answer without tools. Returns the final answer text.
+     */
+    async runTools(session, result, promptOptions, onChunk, options, context) {
+        const maxSteps = typeof options.maxToolSteps === 'number' ? options.maxToolSteps : this.maxToolSteps;
+        const calls = [];
+
+        for (let step = 0; ; step++) {
+            const call = ToolRegistry.parseCall(result);
+            if (!call) break;
+
+            const limited = step >= maxSteps;
+            const outcome = limited
+                ? { ...call, error: `Limite de ${maxSteps} chamadas de ferramenta atingido. Responda ao usuário sem usar ferramentas.` }
+                : await this.tools.execute(call, context);
+
+            if (!limited) {
+                console.log(`LocalAICore: Ferramenta ${outcome.name} ${outcome.error ? `falhou: ${outcome.error}` : 'executada'}`);
+                calls.push(outcome);
+                if (options.onToolCall) {
+                    options.onToolCall(outcome);
+                }
+            }
+
+            result = await this.streamPrompt(session, ToolRegistry.formatResult(outcome), promptOptions, onChunk);
+            if (limited) break;
+        }
+
+        return { result: ToolRegistry.stripCalls(result), calls };
+    }
+
+    /**
+     * How a task action will run: { native, availability }. Without a
+     * usable task API (native false) a prompt on the language model does it.
+     */
+    async checkTaskAvailability(task, taskOptions = {}) {
+        const options = AITasks.resolveOptions(task, taskOptions);
+        let availability = null;
+
+        // Translator doesn't know 'auto': the language detector picks the
+        // source first, and the pair is checked once it is known
+        if (task === 'translate' && options.sourceLanguage === 'auto') {
+            return this.checkTaskAvailability('detect');
+        }
+
+        if (this.provider.taskAvailability) {
+            try {
+                availability = await this.provider.taskAvailability(task, AITasks.createOptions(task, options));
+            } catch (error) {
+                console.warn(`LocalAICore: Não foi possível verificar a API de ${task}:`, error);
+            }
+        }
+
+        const native = !!availability && !['unavailable', 'no'].includes(availability);
+        return { native, availability: native ? availability : 'unavailable' };
+    }
+
+    /**
+     * Native task API for these options, created (and downloaded) on first
+     * use. Returns null when the provider can't run the task.
+     */
+    async getTaskInstance(task, options) {
+        const { native, availability } = await this.checkTaskAvailability(task, options);
+        if (!native) return null;
+
+        const createOptions = AITasks.createOptions(task, options);
+        const key = JSON.stringify(createOptions);
+        const cached = this.taskInstances.get(task);
+        if (cached && cached.key === key) {
+            return cached.instance;
+        }
+        if (cached) {
+            this.provider.destroy(cached.instance);
+            this.taskInstances.delete(task);
+        }
+
+        console.log(`LocalAICore: Criando API de ${task} (${availability})`);
+        const instance = await this.provider.createTask(task, {
+            ...createOptions,
+            monitor: this.createMonitor((progress) => {
+                if (this.onTaskProgress) {
+                    this.onTaskProgress(task, progress);
+                }
+            })
+        });
+
+        this.taskInstances.set(task, { key, instance });
+        return instance;
+    }
+
+    /**
+     * Run a task action. Returns { result, data }; data holds the detected
+     * languages for 'detect'.
+     */
+    async runTask(task, text, taskOptions, signal, onChunk) {
+        const options = AITasks.resolveOptions(task, taskOptions);
+
+        // Translator needs the source language: detect it with the native
+        // API, then getTaskInstance() checks the detected pair
+        if (task === 'translate' && options.sourceLanguage === 'auto' && (await this.checkTaskAvailability('detect')).native) {
+            const { data } = await this.runTask('detect', text, {}, signal, () => {});
+            const detected = data[0] && data[0].detectedLanguage;
+            if (detected && detected !== options.targetLanguage) {
+                options.sourceLanguage = detected;
+            }
+        }
+
+        const instance = options.sourceLanguage === 'auto' ? null : await this.getTaskInstance(task, options);
+        if (!instance) {
+            console.log(`LocalAICore: API de ${task} indisponível, usando o modelo de linguagem`);
+            return this.runTaskWithPrompt(task, text, options, signal, onChunk);
+        }
+
+        const runOptions = options.context && task !== 'translate' ? { signal, context: options.context } : { signal };
+
+        if (task === 'detect') {
+            const results = await this.provider.runTask(instance, task, text, runOptions);
+            return this.finishDetection(results, onChunk);
+        }
+
+        const stream = this.provider.runTaskStreaming ? this.provider.runTaskStreaming(instance, task, text, runOptions) : null;
+        if (!stream) {
+            const result = await this.provider.runTask(instance, task, text, runOptions);
+            onChunk(result);
+            return { result };
+        }
+
+        let result = '';
+        try {
+            for await (const chunk of stream) {
+                if (chunk) {
+                    result += chunk;
+                    onChunk(chunk);
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                error.partial = result;
+            }
+            throw error;
+        }
+        return { result };
+    }
+
+    /**
+     * Do a task with a prompt on a fresh language model session (without
+     * the system prompt or tools)
+     */
+    async runTaskWithPrompt(task, text, options, signal, onChunk) {
+        const { systemPrompt, ...parameters } = this.resolveSettings();
+        const session = await this.provider.create({ ...parameters });
+        const prompt = AITasks.buildPrompt(task, text, options);
+
+        try {
+            if (task !== 'detect') {
+                return { result: await this.streamPrompt(session, prompt, { signal }, onChunk) };
+            }
+
+            const schema = AITasks.detectSchema;
+            const constrained = this.supportsResponseConstraint();
+            const promptOptions = constrained ? { signal, responseConstraint: schema } : { signal };
+            const raw = await this.provider.prompt(session, constrained ? prompt : this.buildSchemaPrompt(prompt, schema), promptOptions);
+            const { data } = await this.repairStructured(session, raw, schema, promptOptions, 2);
+            return this.finishDetection(data.languages, onChunk);
+        } finally {
+            this.provider.destroy(session);
+        }
+    }
+
+    finishDetection(results, onChunk) {
+        const data = (results || [])
+            .filter(language => language.detectedLanguage && language.detectedLanguage !== 'und')
+            .slice(0, 3)
+            .map(({ detectedLanguage, confidence }) => ({ detectedLanguage, confidence }));
+
+        const result = AITasks.formatDetection(data);
+        onChunk(result);
+        return { result, data };
+    }
+
+    /**
+     * Destroy the cached task API instances
+     */
+    releaseTasks() {
+        for (const { instance } of this.taskInstances.values()) {
+            this.provider.destroy(instance);
+        }
+        this.taskInstances.clear();
+    }
+
+    /**
+     * Process text with the AI. Prefer enqueue(); calling this directly
+     * while another request runs throws.
+     *
+     * Options:
+     *   onChunk(chunk), onComplete(result, data), onError(message) - replace the global callbacks
+     *   onToolCall(call) - a registered tool ran: { name, arguments, result | error }.
+     *                The answer streamed so far was the call itself; the
+     *                text after it is streamed next
+     *   maxToolSteps - tool calls allowed for this answer
+     *   schema     - JSON Schema for a structured answer. It is passed to the
+     *                provider as responseConstraint when supported and always
+     *                checked locally; the result then carries the parsed `data`
+     *                or the call throws SchemaValidationError
+     *   maxRepairs - times the model is asked to fix an invalid answer (default 2)
+     *   context    - text placed before the prompt (e.g. passages from attached
+     *                documents). Like the schema instructions, it is not kept
+     *                in the conversation history
+     *   taskOptions - options of a task action ('summarize', 'translate',
+     *                'rewrite', 'write', 'detect'; see ai-tasks.js). Tasks run on
+     *                the browser's task API, or on a prompt when it is missing,
+     *                outside the conversation's session; the app's next history
+     *                brings the turn into it
+     *   media      - images and audio clips sent with the prompt, as Prompt API
+     *                content parts ([{ type: 'image' | 'audio', value: Blob }]).
+     *                Each type must be in supportsInput()
      */
-    async processText(text, action = 'ask', metadata = {}) {
+    async processText(text, action = 'ask', metadata = {}, options = {}, attempt = 0) {
         if (!this.session) {
             throw new Error('Sessão da IA não disponível');
         }
@@ -188,116 +973,156 @@ class LocalAICore {
 
         this.isProcessing = true;
         const startTime = performance.now();
+        const conversationId = metadata.conversationId;
+        const schema = options.schema || null;
+        let entry = null;
+        let scratch = null;
+        let firstTokenTime = null;
 
-        try {
-            // Send text directly without any modifications
-            const prompt = text;
+        const notifyChunk = (chunk, isStart = false) => {
+            if (!isStart && chunk && firstTokenTime === null) {
+                firstTokenTime = performance.now();
+                console.log(`LocalAICore: Primeiro token em ${Math.round(firstTokenTime - startTime)}ms`);
+            }
 
-            console.log(`LocalAICore: Processando mensagem...`);
+            if (options.onChunk) {
+                if (!isStart) options.onChunk(chunk);
+            } else if (this.onStreamingUpdate) {
+                this.onStreamingUpdate(chunk, isStart, action, metadata, text);
+            }
+        };
 
+        try {
             // Create AbortController
             this.abortController = new AbortController();
             const signal = this.abortController.signal;
 
-            // Notify start
-            if (this.onStreamingUpdate) {
-                this.onStreamingUpdate('', true, action, metadata, text);
-            }
+            let result;
+            let data;
+            let toolCalls = [];
 
-            let result = '';
-            let firstTokenTime = null;
-            let streamingStarted = false;
-
-            // Use streaming if available
-            if (this.session.promptStreaming) {
-                console.log('LocalAICore: Usando streaming API');
-                try {
-                    const stream = this.session.promptStreaming(prompt, { signal });
-
-                    for await (const chunk of stream) {
-                        if (chunk) {
-                            if (!streamingStarted) {
-                                firstTokenTime = performance.now();
-                                const timeToFirst = firstTokenTime - startTime;
-                                console.log(`LocalAICore: Primeiro token em ${Math.round(timeToFirst)}ms`);
-                                streamingStarted = true;
-                            }
-
-                            result += chunk;
-
-                            if (this.onStreamingUpdate) {
-                                this.onStreamingUpdate(chunk, false, action, metadata, text);
-                            }
-                        }
-                    }
-                } catch (streamError) {
-                    if (streamError.name === 'AbortError') {
-                        console.log('LocalAICore: Streaming parado pelo usuário');
-                        this.isProcessing = false;
-                        this.abortController = null;
-                        return {
-                            success: false,
-                            result: result || 'Parado pelo usuário',
-                            aborted: true
-                        };
-                    }
+            if (AITasks.has(action)) {
+                console.log(`LocalAICore: Executando tarefa ${action}...`);
+                notifyChunk('', true);
+                ({ result, data } = await this.runTask(action, text, { ...options.taskOptions, context: options.context }, signal, notifyChunk));
+            } else {
+                const media = options.media || [];
+                const unsupported = media.find(part => !this.supportsInput(part.type));
+                if (unsupported) {
+                    throw new Error(`O modelo atual não aceita ${MediaAttachments.label(unsupported.type)} como entrada`);
+                }
 
-                    // Fallback to regular prompt
-                    console.log('LocalAICore: Fallback para prompt regular');
-                    result = await this.session.prompt(prompt, { signal });
+                const constrained = schema && this.supportsResponseConstraint();
+                const input = options.context ? `${options.context}\n\n${text}` : text;
+                const textPrompt = schema && !constrained ? this.buildSchemaPrompt(input, schema) : input;
+                const prompt = this.hasMedia(media)
+                    ? [{ role: 'user', content: MediaAttachments.toContent(textPrompt, media) }]
+                    : textPrompt;
 
-                    if (this.onStreamingUpdate) {
-                        this.onStreamingUpdate(result, false, action, metadata, text);
-                    }
+                if (conversationId !== null && conversationId !== undefined) {
+                    entry = await this.getConversationSession(conversationId);
+                    await this.ensureContextRoom(conversationId, entry, prompt);
+                } else if (schema && this.provider.clone) {
+                    // Keep repair turns out of the shared base session
+                    scratch = await this.provider.clone(this.session);
                 }
-            } else {
-                console.log('LocalAICore: Streaming não disponível, usando prompt regular');
-                result = await this.session.prompt(prompt, { signal });
+                const session = entry ? entry.session : (scratch || this.session);
 
-                if (this.onStreamingUpdate) {
-                    this.onStreamingUpdate(result, false, action, metadata, text);
+                console.log(`LocalAICore: Processando mensagem${schema ? ' (JSON estruturado)' : ''}...`);
+
+                const promptOptions = constrained ? { signal, responseConstraint: schema } : { signal };
+
+                // Notify start
+                notifyChunk('', true);
+
+                result = await this.streamPrompt(session, prompt, promptOptions, notifyChunk);
+
+                if (schema) {
+                    const maxRepairs = typeof options.maxRepairs === 'number' ? options.maxRepairs : 2;
+                    ({ result, data } = await this.repairStructured(session, result, schema, promptOptions, maxRepairs));
+                } else if (this.tools.size > 0) {
+                    ({ result, calls: toolCalls } = await this.runTools(session, result, promptOptions, notifyChunk, options, { conversationId, signal }));
                 }
             }
 
             const totalTime = performance.now() - startTime;
             console.log(`LocalAICore: Tempo total: ${Math.round(totalTime)}ms`);
 
-            if (this.onProcessingComplete) {
+            // Keep our own copy of the turn so the session can be rebuilt later
+            if (entry) {
+                entry.history.push({ role: 'user', content: this.toPromptContent(text, options.media) }, { role: 'assistant', content: result });
+                entry.lastUsed = Date.now();
+                this.notifyContext(conversationId);
+            }
+
+            if (options.onComplete) {
+                options.onComplete(result, data);
+            } else if (this.onProcessingComplete) {
                 this.onProcessingComplete(result, action, metadata, text);
             }
 
-            return {
+            const response = {
                 success: true,
                 result: result,
                 action: action,
+                toolCalls: toolCalls,
                 metrics: {
                     totalTime: Math.round(totalTime),
                     timeToFirstToken: firstTokenTime ? Math.round(firstTokenTime - startTime) : null
                 }
             };
+            if (data !== undefined) {
+                response.data = data;
+            }
+            return response;
 
         } catch (error) {
             if (error.name === 'AbortError') {
-                return { success: false, result: '', aborted: true };
+                // Partial text; the caller decides whether to keep it
+                return { success: false, result: ToolRegistry.stripCalls(error.partial), action: action, aborted: true };
             }
 
             console.error(`LocalAICore: ${action} falhou:`, error);
 
+            // Context full: summarize the older turns and try once more
+            if (this.isQuotaError(error) && entry && attempt === 0) {
+                console.log('LocalAICore: Contexto esgotado, resumindo conversa...');
+                if (await this.compactConversation(conversationId)) {
+                    this.isProcessing = false;
+                    return await this.processText(text, action, metadata, options, attempt + 1);
+                }
+            }
+
             // Handle session destroyed
-            if (error.message && (error.message.includes('destroyed') || error.message.includes('quota'))) {
+            if (error.message && error.message.includes('destroyed') && attempt === 0) {
                 console.log('LocalAICore: Recriando sessão...');
-                this.isInitialized = false;
-                await this.createSession();
-                this.isInitialized = true;
-                return await this.processText(text, action, metadata);
+                if (entry) {
+                    // Rebuild from the turns we already know about
+                    const { history, overrides } = entry;
+                    this.releaseConversation(conversationId);
+                    await this.getConversationSession(conversationId, history, overrides);
+                } else if (AITasks.has(action)) {
+                    this.releaseTasks();
+                } else {
+                    this.isInitialized = false;
+                    await this.createSession();
+                    this.isInitialized = true;
+                }
+                this.isProcessing = false;
+                return await this.processText(text, action, metadata, options, attempt + 1);
             }
 
-            if (this.onError) {
+            if (options.onError) {
+                options.onError(error.message);
+            } else if (this.onError) {
                 this.onError(error.message);
             }
 
             throw error;
         } finally {
+            if (scratch) {
+                this.provider.destroy(scratch);
+            }
             this.isProcessing = false;
             this.abortController = null;
         }
@@ -345,6 +1170,24 @@ class LocalAICore {
         this.onStatusChange = callback;
     }
 
+    setContextCallback(callback) {
+        this.onContextUpdate = callback;
+    }
+
+    /**
+     * Download progress (0..1) of a task API: callback(task, progress)
+     */
+    setTaskProgressCallback(callback) {
+        this.onTaskProgress = callback;
+    }
+
+    /**
+     * Download progress (0..1) of the language model during initialize()
+     */
+    setDownloadProgressCallback(callback) {
+        this.onDownloadProgress = callback;
+    }
+
     /**
      * Check if ready
      */
@@ -356,8 +1199,14 @@ class LocalAICore {
      * Cleanup
      */
     destroy() {
-        if (this.session && this.session.destroy) {
-            this.session.destroy();
+        this.queue.splice(0).forEach(request => {
+            request.resolve({ success: false, result: '', action: request.action, cancelled: true });
+        });
+        this.stopProcessing();
+        this.releaseAllConversations();
+        this.releaseTasks();
+        if (this.session) {
+            this.provider.destroy(this.session);
         }
         this.session = null;
         this.isProcessing = false;
@@ -0,0 +1,836 @@
+/**
+ * AI Providers - backends usados pelo LocalAICore
+ * (Chrome built-in AI, servidor local compatível com OpenAI e um mock para testes)
+ *
+ * Todo provider implementa a mesma interface:
+ *   getUnsupportedReason()                 -> { status, error } | null
+ *   availability()                         -> 'available' | 'downloadable' | 'downloading' | 'unavailable' | ...
+ *   create(options)                        -> sessão (objeto opaco para o core); options.monitor(m)
+ *                                             recebe eventos downloadprogress se o modelo for baixado;
+ *                                             options.expectedInputs declara entradas além de texto
+ *   inputTypes()                           -> tipos de entrada além de texto aceitos ('image', 'audio') (opcional)
+ *   prompt(session, input, options)        -> Promise<string>; input é texto ou, com imagens/áudio,
+ *                                             [{ role: 'user', content: [{ type, value }] }]
+ *   promptStreaming(session, input, options) -> AsyncIterable<string>
+ *   clone(session)                         -> sessão (opcional)
+ *   params()                               -> { defaultTemperature, maxTemperature, defaultTopK, maxTopK } (opcional)
+ *   usage(session)                         -> { used, quota } em tokens, ou null (opcional)
+ *   measureUsage(session, input)           -> Promise<tokens que o input ocuparia> (opcional)
+ *   supportsResponseConstraint()           -> true se prompt() aceita options.responseConstraint (JSON Schema) (opcional)
+ *   setupSteps(status)                     -> [{ label, state: 'ok' | 'fail' | 'pending', hint }] para o
+ *                                             checklist de configuração quando o modelo não está pronto (opcional)
+ *   destroy(session)
+ *
+ * APIs de tarefa (opcionais; sem elas o core usa um prompt no modelo de linguagem).
+ * `task` é 'summarize', 'translate', 'rewrite', 'write' ou 'detect' (ver ai-tasks.js):
+ *   taskAvailability(task, options)        -> disponibilidade como em availability(), ou null se a API não existe
+ *   createTask(task, options)              -> instância da API; options.monitor(m) recebe eventos downloadprogress
+ *   runTask(instance, task, input, options)  -> Promise<string> ('detect': [{ detectedLanguage, confidence }])
+ *   runTaskStreaming(instance, task, input, options) -> AsyncIterable<string>, ou null sem streaming
+ *   destroy(instance)
+ */
+
+// Rough cost of an image or audio clip for backends that can't measure
+const MEDIA_TOKEN_ESTIMATE = 300;
+
+/**
+ * Rough token count for backends that can't measure (~4 characters per
+ * token). Accepts text, content parts ({ type, value }) or messages.
+ */
+function estimateTokens(input) {
+    if (Array.isArray(input)) {
+        return input.reduce((sum, part) => sum + estimateTokens(part), 0);
+    }
+    if (input && typeof input === 'object') {
+        if (input.content !== undefined) return estimateTokens(input.content);
+        return input.type === 'text' ? estimateTokens(input.value) : MEDIA_TOKEN_ESTIMATE;
+    }
+    return Math.ceil(String(input || '').length / 4);
+}
+
+function createQuotaError() {
+    const error = new Error('The input is too large: quota exceeded.');
+    error.name = 'QuotaExceededError';
+    return error;
+}
+
+// Chrome's task APIs: global interface (Chrome 138+), name under window.ai
+// in older builds, and the methods that run the task
+const CHROME_TASK_APIS = {
+    summarize: { global: 'Summarizer', legacy: 'summarizer', method: 'summarize', streaming: 'summarizeStreaming' },
+    translate: { global: 'Translator', legacy: 'translator', method: 'translate', streaming: 'translateStreaming' },
+    rewrite: { global: 'Rewriter', legacy: 'rewriter', method: 'rewrite', streaming: 'rewriteStreaming' },
+    write: { global: 'Writer', legacy: 'writer', method: 'write', streaming: 'writeStreaming' },
+    detect: { global: 'LanguageDetector', legacy: 'languageDetector', method: 'detect', streaming: null }
+};
+
+/**
+ * Chrome built-in AI (Gemini Nano via Prompt API and the task APIs)
+ */
+class ChromeAIProvider {
+    constructor() {
+        this.name = 'chrome';
+    }
+
+    /**
+     * Chromium major version (Chrome, Edge, Brave, Opera...), 0 when unknown
+     */
+    getChromeVersion() {
+        const brands = navigator.userAgentData ? navigator.userAgentData.brands || [] : [];
+        const brand = brands.find(entry => entry.brand === 'Chromium' || entry.brand === 'Google Chrome');
+        if (brand) {
+            return parseInt(brand.version, 10) || 0;
+        }
+
+        const match = navigator.userAgent.match(/(?:Chrome|Chromium)\/(\d+)/);
+        return match ? parseInt(match[1], 10) : 0;
+    }
+
+    /**
+     * Get the available AI interface (standard or legacy)
+     */
+    getInterface() {
+        if (typeof window !== 'undefined' && window.ai && window.ai.languageModel) {
+            return window.ai.languageModel;
+        }
+        if (typeof LanguageModel !== 'undefined') {
+            return LanguageModel;
+        }
+        return null;
+    }
+
+    /**
+     * Environment checks that fail before the API can even be queried
+     */
+    getUnsupportedReason() {
+        // Browsers exposing the API are fine whatever their user agent says
+        if (this.getInterface()) return null;
+
+        const chromeVersion = this.getChromeVersion();
+        if (chromeVersion === 0) {
+            return {
+                status: 'unsupported',
+                error: 'Este navegador não tem a Prompt API. Use o Chrome (ou outro navegador baseado no Chromium) 127+.'
+            };
+        }
+        if (chromeVersion < 127) {
+            return {
+                status: 'unsupported',
+                error: `Chrome 127+ é necessário (atual: ${chromeVersion})`
+            };
+        }
+
+        return {
+            status: 'no-api',
+            error: 'A API LanguageModel não está disponível. Habilite as flags experimental-prompt-api-for-gemini-nano e optimization-guide-on-device-model.'
+        };
+    }
+
+    async availability() {
+        const aiInterface = this.getInterface();
+        let availability = 'no';
+
+        // Support for both capabilities() (newer) and availability() (older)
+        if (aiInterface.capabilities) {
+            const caps = await aiInterface.capabilities();
+            availability = caps.available;
+        } else if (aiInterface.availability) {
+            // Legacy check with params
+            availability = await aiInterface.availability({
+                expectedOutputs: [{ type: "text", languages: ["en"] }]
+            });
+        }
+
+        return availability;
+    }
+
+    /**
+     * Sampling defaults and limits. Newer builds expose params(), older
+     * ones report them in capabilities()
+     */
+    async params() {
+        const aiInterface = this.getInterface();
+        if (!aiInterface) return null;
+
+        if (aiInterface.params) {
+            return aiInterface.params();
+        }
+
+        if (aiInterface.capabilities) {
+            const caps = await aiInterface.capabilities();
+            return {
+                defaultTemperature: caps.defaultTemperature,
+                maxTemperature: caps.maxTemperature,
+                defaultTopK: caps.defaultTopK,
+                maxTopK: caps.maxTopK
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Image and audio prompts are only taken by the standard LanguageModel
+     * interface, and only on devices whose model supports them
+     */
+    async inputTypes() {
+        if (typeof LanguageModel === 'undefined' || this.getInterface() !== LanguageModel) return [];
+
+        const types = [];
+        for (const type of ['image', 'audio']) {
+            try {
+                const availability = await LanguageModel.availability({ expectedInputs: [{ type }] });
+                if (availability !== 'unavailable') types.push(type);
+            } catch (error) {
+                console.warn(`ChromeAIProvider: Entrada de ${type} não suportada:`, error);
+            }
+        }
+        return types;
+    }
+
+    async create(options = {}) {
+        const createOptions = { ...options };
+
+        // Add legacy parameters if needed
+        if (typeof LanguageModel !== 'undefined' && (!window.ai || !window.ai.languageModel)) {
+             createOptions.expectedOutputs = [{ type: "text", languages: ["en"] }];
+        }
+
+        return this.getInterface().create(createOptions);
+    }
+
+    prompt(session, input, options = {}) {
+        return session.prompt(input, options);
+    }
+
+    promptStreaming(session, input, options = {}) {
+        return session.promptStreaming(input, options);
+    }
+
+    clone(session) {
+        return session.clone ? session.clone() : null;
+    }
+
+    /**
+     * Context window usage. Newer builds expose inputUsage/inputQuota,
+     * older ones tokensSoFar/maxTokens
+     */
+    usage(session) {
+        if (!session) return null;
+        if (typeof session.inputQuota === 'number') {
+            return { used: session.inputUsage, quota: session.inputQuota };
+        }
+        if (typeof session.maxTokens === 'number') {
+            return { used: session.tokensSoFar, quota: session.maxTokens };
+        }
+        return null;
+    }
+
+    /**
+     * Structured output (responseConstraint) shipped with the standard
+     * LanguageModel interface in Chrome 137
+     */
+    supportsResponseConstraint() {
+        return this.getChromeVersion() >= 137 && typeof LanguageModel !== 'undefined' && this.getInterface() === LanguageModel;
+    }
+
+    /**
+     * Checklist shown while Gemini Nano isn't ready, from the browser
+     * requirements down to the model download
+     */
+    setupSteps(status) {
+        const chromeVersion = this.getChromeVersion();
+        const hasApi = Boolean(this.getInterface());
+        const browserOk = hasApi || chromeVersion >= 127;
+        const modelOk = hasApi && status !== 'unavailable' && status !== 'no';
+        const state = (ok, reached) => ok ? 'ok' : reached ? 'fail' : 'pending';
+
+        return [
+            {
+                label: 'Navegador Chromium 127 ou mais recente',
+                state: state(browserOk, true),
+                hint: chromeVersion ? `Versão detectada: ${chromeVersion}. Atualize em chrome://settings/help.` : 'Use o Chrome, Edge ou outro navegador baseado no Chromium.'
+            },
+            {
+                label: 'Prompt API habilitada',
+                state: state(hasApi, browserOk),
+                hint: 'Em chrome://flags, habilite "Prompt API for Gemini Nano" e reinicie o navegador.'
+            },
+            {
+                label: 'Modelo on-device habilitado e compatível',
+                state: state(modelOk, hasApi),
+                hint: 'Em chrome://flags, habilite "Enables optimization guide on device" (BypassPerfRequirement). O modelo precisa de cerca de 22 GB livres em disco e 4 GB de memória de vídeo.'
+            },
+            {
+                label: 'Gemini Nano baixado',
+                state: state(status === 'available' || status === 'readily', modelOk),
+                hint: status === 'downloading'
+                    ? 'O download está em andamento; acompanhe em chrome://components ("Optimization Guide On Device Model").'
+                    : 'Clique em "Baixar modelo" ou verifique em chrome://components ("Optimization Guide On Device Model").'
+            }
+        ];
+    }
+
+    /**
+     * Interface of a task API (standard or legacy), or null
+     */
+    getTaskInterface(task) {
+        const api = CHROME_TASK_APIS[task];
+        if (!api || typeof window === 'undefined') return null;
+        if (window[api.global]) {
+            return window[api.global];
+        }
+        return window.ai && window.ai[api.legacy] ? window.ai[api.legacy] : null;
+    }
+
+    async taskAvailability(task, options = {}) {
+        const taskInterface = this.getTaskInterface(task);
+        if (!taskInterface) return null;
+
+        if (taskInterface.availability) {
+            return taskInterface.availability(options);
+        }
+        if (taskInterface.capabilities) {
+            const caps = await taskInterface.capabilities();
+            return caps.available;
+        }
+        return 'available';
+    }
+
+    createTask(task, options = {}) {
+        return this.getTaskInterface(task).create(options);
+    }
+
+    runTask(instance, task, input, options = {}) {
+        return instance[CHROME_TASK_APIS[task].method](input, options);
+    }
+
+    runTaskStreaming(instance, task, input, options = {}) {
+        const method = CHROME_TASK_APIS[task].streaming;
+        return method && instance[method] ? instance[method](input, options) : null;
+    }
+
+    async measureUsage(session, input) {
+        if (session.measureInputUsage) {
+            return session.measureInputUsage(input);
+        }
+        if (session.countPromptTokens) {
+            return session.countPromptTokens(input);
+        }
+        return estimateTokens(input);
+    }
+
+    destroy(session) {
+        if (session && session.destroy) {
+            session.destroy();
+        }
+    }
+}
+
+/**
+ * Scripted mock model for offline testing.
+ *
+ * Options:
+ *   availability  - value returned by availability() (default 'available');
+ *                   'downloadable' and 'downloading' report download
+ *                   progress on create and then become 'available'
+ *   responses     - array of canned answers, consumed in order. Each item is a
+ *                   string or { text, error, chunkDelay }. A function
+ *                   (input, history) => string | item can be used instead.
+ *   mode          - 'echo' answers with the prompt once responses run out
+ *   chunkSize     - characters per streamed chunk
+ *   chunkDelay    - ms between chunks
+ *   createDelay   - ms spent in create()
+ *   errors        - { availability, create, prompt } error messages to throw
+ *   params        - value returned by params()
+ *   contextQuota  - context window in (estimated) tokens; prompts that don't
+ *                   fit throw QuotaExceededError like the real model
+ *   responseConstraint - report support for responseConstraint (the
+ *                   schema is only recorded in `calls`, not enforced)
+ *   inputs        - input types besides text, e.g. ['image', 'audio'];
+ *                   responses and echoes see media as [imagem] / [áudio]
+ *   tasks         - availability per task API, e.g. { summarize: 'available',
+ *                   translate: 'downloadable' }; missing tasks have no API.
+ *                   'downloadable' ones report download progress on create
+ *   taskResponses - (task, input, options) => answer of a task API; by
+ *                   default the input is echoed with the task name
+ */
+class MockAIProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.options = {
+            availability: 'available',
+            responses: null,
+            mode: 'echo',
+            chunkSize: 8,
+            chunkDelay: 30,
+            createDelay: 0,
+            errors: {},
+            params: { defaultTemperature: 1, maxTemperature: 2, defaultTopK: 3, maxTopK: 8 },
+            contextQuota: 4096,
+            responseConstraint: false,
+            inputs: [],
+            tasks: {},
+            taskResponses: null,
+            ...options
+        };
+        this.responseIndex = 0;
+        this.sessionCount = 0;
+
+        // Every prompt received, for assertions
+        this.calls = [];
+    }
+
+    getUnsupportedReason() {
+        return null;
+    }
+
+    async availability() {
+        if (this.options.errors.availability) {
+            throw new Error(this.options.errors.availability);
+        }
+        return this.options.availability;
+    }
+
+    async params() {
+        return this.options.params;
+    }
+
+    supportsResponseConstraint() {
+        return this.options.responseConstraint;
+    }
+
+    async inputTypes() {
+        return this.options.inputs;
+    }
+
+    async create(options = {}) {
+        await this.wait(this.options.createDelay);
+
+        if (this.options.errors.create) {
+            throw new Error(this.options.errors.create);
+        }
+
+        const unsupported = (options.expectedInputs || []).find(input => input.type !== 'text' && !this.options.inputs.includes(input.type));
+        if (unsupported) {
+            throw new DOMException(`Input type ${unsupported.type} is not supported.`, 'NotSupportedError');
+        }
+
+        if (['downloadable', 'downloading'].includes(this.options.availability) && options.monitor) {
+            await this.simulateDownload(options.monitor, [0, 0.25, 0.5, 0.75, 1], () => {
+                this.options.availability = 'available';
+            });
+        }
+
+        const initialPrompts = options.initialPrompts || [];
+        if (this.countTokens(initialPrompts) > this.options.contextQuota) {
+            throw createQuotaError();
+        }
+
+        this.sessionCount++;
+        return {
+            id: this.sessionCount,
+            options,
+            history: [...(options.initialPrompts || [])],
+            destroyed: false
+        };
+    }
+
+    /**
+     * Pick the next scripted answer for a prompt
+     */
+    nextResponse(session, input) {
+        const { responses, mode } = this.options;
+        let item = null;
+
+        const text = MediaAttachments.promptText(input);
+
+        if (typeof responses === 'function') {
+            item = responses(text, session.history);
+        } else if (Array.isArray(responses) && this.responseIndex < responses.length) {
+            item = responses[this.responseIndex++];
+        }
+
+        if (item === null || item === undefined) {
+            item = mode === 'echo' ? `Você disse: ${text}` : '';
+        }
+
+        return typeof item === 'string' ? { text: item } : item;
+    }
+
+    checkSession(session) {
+        if (!session || session.destroyed) {
+            throw new Error('The session has been destroyed.');
+        }
+    }
+
+    async prompt(session, input, options = {}) {
+        let result = '';
+        for await (const chunk of this.promptStreaming(session, input, options)) {
+            result += chunk;
+        }
+        return result;
+    }
+
+    async *promptStreaming(session, input, options = {}) {
+        this.checkSession(session);
+        this.calls.push({ sessionId: session.id, input, options });
+
+        if (this.options.errors.prompt) {
+            throw new Error(this.options.errors.prompt);
+        }
+
+        if (this.countTokens(session.history) + estimateTokens(input) > this.options.contextQuota) {
+            throw createQuotaError();
+        }
+
+        const response = this.nextResponse(session, input);
+        const chunkDelay = response.chunkDelay ?? this.options.chunkDelay;
+        const text = response.text || '';
+        let sent = '';
+
+        for (let i = 0; i < text.length; i += this.options.chunkSize) {
+            await this.wait(chunkDelay, options.signal);
+            const chunk = text.slice(i, i + this.options.chunkSize);
+            sent += chunk;
+            yield chunk;
+        }
+
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        const turn = Array.isArray(input) ? input : [{ role: 'user', content: input }];
+        session.history.push(...turn, { role: 'assistant', content: sent });
+    }
+
+    async clone(session) {
+        this.checkSession(session);
+        const copy = await this.create(session.options);
+        copy.history = [...session.history];
+        return copy;
+    }
+
+    async taskAvailability(task) {
+        return this.options.tasks[task] || null;
+    }
+
+    async createTask(task, options = {}) {
+        await this.wait(this.options.createDelay);
+
+        if (this.options.tasks[task] === 'downloadable' && options.monitor) {
+            await this.simulateDownload(options.monitor, [0, 0.5, 1], () => {
+                this.options.tasks = { ...this.options.tasks, [task]: 'available' };
+            });
+        }
+
+        return { task, options, destroyed: false };
+    }
+
+    async runTask(instance, task, input, options = {}) {
+        this.checkSession(instance);
+        this.calls.push({ task, input, options });
+        await this.wait(this.options.chunkDelay, options.signal);
+
+        if (this.options.taskResponses) {
+            return this.options.taskResponses(task, input, instance.options);
+        }
+        if (task === 'detect') {
+            return [{ detectedLanguage: 'pt', confidence: 0.9 }, { detectedLanguage: 'es', confidence: 0.05 }];
+        }
+        return `[${task}] ${input}`;
+    }
+
+    async *runTaskStreaming(instance, task, input, options = {}) {
+        const text = await this.runTask(instance, task, input, options);
+        for (let i = 0; i < text.length; i += this.options.chunkSize) {
+            await this.wait(this.options.chunkDelay, options.signal);
+            yield text.slice(i, i + this.options.chunkSize);
+        }
+    }
+
+    /**
+     * Fire downloadprogress events like the real APIs; `onDone` runs just
+     * before the last one, when the model becomes available
+     */
+    async simulateDownload(monitorCallback, steps, onDone) {
+        const monitor = new EventTarget();
+        monitorCallback(monitor);
+        for (const loaded of steps) {
+            if (loaded === 1) onDone();
+            monitor.dispatchEvent(Object.assign(new Event('downloadprogress'), { loaded, total: 1 }));
+            await this.wait(this.options.chunkDelay);
+        }
+    }
+
+    setupSteps(status) {
+        return [{ label: 'Modelo simulado disponível', state: status === 'available' ? 'ok' : 'fail', hint: `Status simulado: ${status}` }];
+    }
+
+    countTokens(messages) {
+        return messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    }
+
+    usage(session) {
+        return { used: this.countTokens(session.history), quota: this.options.contextQuota };
+    }
+
+    async measureUsage(session, input) {
+        return estimateTokens(input);
+    }
+
+    destroy(session) {
+        if (session) {
+            session.destroyed = true;
+        }
+    }
+
+    wait(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            };
+            // One wait per chunk: the listener must not outlive its timer
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+}
+
+/**
+ * OpenAI-compatible local server (llama.cpp server, Ollama, LM Studio...).
+ * The HTTP API is stateless, so each session keeps its own message list.
+ *
+ * Options:
+ *   baseUrl     - server address, e.g. http://localhost:11434 (with or without /v1)
+ *   model       - model name sent in the request body
+ *   apiKey      - optional bearer token
+ *   contextSize - the server's context window in tokens (usage is estimated)
+ */
+class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '').replace(/\/v1$/, '');
+        this.model = options.model || 'local-model';
+        this.apiKey = options.apiKey || null;
+        this.contextSize = options.contextSize || 4096;
+    }
+
+    /**
+     * Whether an address points at this machine (localhost, 127.0.0.1, [::1])
+     */
+    static isLoopback(url) {
+        try {
+            return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(url).hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getUnsupportedReason() {
+        if (!this.baseUrl) {
+            return {
+                status: 'no-api',
+                error: 'Endereço do servidor local (/v1/chat/completions) não configurado.'
+            };
+        }
+        return null;
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async availability() {
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/v1/models`, {
+                headers: this.getHeaders(),
+                signal: AbortSignal.timeout(5000)
+            });
+        } catch (error) {
+            throw new Error(`Servidor ${this.baseUrl} não respondeu: ${error.message}`);
+        }
+        return response.ok ? 'available' : 'unavailable';
+    }
+
+    setupSteps(status) {
+        return [
+            {
+                label: 'Servidor local configurado',
+                state: this.baseUrl ? 'ok' : 'fail',
+                hint: 'Abra o app com ?provider=openai&endpoint=http://localhost:11434 (Ollama) ou http://localhost:8080 (llama.cpp).'
+            },
+            {
+                label: 'Servidor respondendo em /v1/models',
+                state: status === 'available' ? 'ok' : this.baseUrl ? 'fail' : 'pending',
+                hint: 'Verifique se o servidor está rodando e aceita requisições desta origem (CORS).'
+            }
+        ];
+    }
+
+    async create(options = {}) {
+        return {
+            messages: [...(options.initialPrompts || [])],
+            temperature: options.temperature,
+            topK: options.topK
+        };
+    }
+
+    /**
+     * llama.cpp, Ollama and LM Studio accept response_format with a JSON Schema
+     */
+    supportsResponseConstraint() {
+        return true;
+    }
+
+    /**
+     * Map session parameters onto the chat completions request body
+     */
+    buildBody(session, input, stream, options = {}) {
+        const body = {
+            model: this.model,
+            messages: [...session.messages, { role: 'user', content: input }],
+            stream
+        };
+        if (typeof session.temperature === 'number') {
+            body.temperature = session.temperature;
+        }
+        if (typeof session.topK === 'number') {
+            // Not part of the OpenAI spec, but llama.cpp and Ollama accept it
+            body.top_k = session.topK;
+        }
+        if (options.responseConstraint) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: options.responseConstraint, strict: true }
+            };
+        }
+        return body;
+    }
+
+    async request(session, input, stream, options = {}) {
+        const response = await fetch(`${this.baseUrl}/v1/chat/completions`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(this.buildBody(session, input, stream, options)),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`Servidor respondeu ${response.status}: ${detail.slice(0, 200)}`);
+        }
+        return response;
+    }
+
+    async prompt(session, input, options = {}) {
+        const response = await this.request(session, input, false, options);
+        const data = await response.json();
+        const result = data.choices?.[0]?.message?.content || '';
+
+        session.messages.push({ role: 'user', content: input }, { role: 'assistant', content: result });
+        return result;
+    }
+
+    async *promptStreaming(session, input, options = {}) {
+        const response = await this.request(session, input, true, options);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = '';
+        let finished = false;
+        let ended = false;
+
+        try {
+            while (!finished) {
+                const { done, value } = await reader.read();
+                ended = done;
+
+                buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                // The last event may come without a line break
+                buffer = done ? '' : lines.pop();
+
+                for (const line of lines) {
+                    const chunk = this.parseEventLine(line);
+                    if (chunk === undefined) {
+                        finished = true;
+                        break;
+                    }
+                    if (chunk) {
+                        result += chunk;
+                        yield chunk;
+                    }
+                }
+                if (done) break;
+            }
+        } finally {
+            // After [DONE] (or a consumer that stopped early) don't keep the connection open
+            if (!ended) {
+                await reader.cancel().catch(() => {});
+            }
+            reader.releaseLock();
+        }
+
+        session.messages.push({ role: 'user', content: input }, { role: 'assistant', content: result });
+    }
+
+    /**
+     * Parse one SSE line. Returns the text delta, null for lines without
+     * content and undefined for the final [DONE] marker.
+     */
+    parseEventLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return null;
+
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') return undefined;
+
+        try {
+            const event = JSON.parse(data);
+            return event.choices?.[0]?.delta?.content || null;
+        } catch (error) {
+            console.warn('OpenAICompatibleProvider: Evento SSE inválido:', data);
+            return null;
+        }
+    }
+
+    async clone(session) {
+        return { ...session, messages: [...session.messages] };
+    }
+
+    usage(session) {
+        const used = session.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+        return { used, quota: this.contextSize };
+    }
+
+    async measureUsage(session, input) {
+        return estimateTokens(input);
+    }
+
+    destroy(session) {
+        if (session) {
+            session.messages = [];
+        }
+    }
+}
+
+// Export for use
+window.ChromeAIProvider = ChromeAIProvider;
+window.MockAIProvider = MockAIProvider;
+window.OpenAICompatibleProvider = OpenAICompatibleProvider;
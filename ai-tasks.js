@@ -0,0 +1,241 @@
+/**
+ * AI Tasks
+ * Tarefas específicas (resumir, traduzir, reescrever, escrever, detectar idioma),
+ * feitas pelas APIs de tarefa do Chrome ou, sem elas, por um prompt no modelo de linguagem
+ */
+
+const TASK_LANGUAGES = [
+    ['pt', 'português'], ['en', 'inglês'], ['es', 'espanhol'], ['fr', 'francês'],
+    ['de', 'alemão'], ['it', 'italiano'], ['ja', 'japonês'], ['zh', 'chinês'],
+    ['ko', 'coreano'], ['ru', 'russo']
+];
+
+const TASK_LANGUAGE_CHOICES = TASK_LANGUAGES.map(([code, name]) => [code, name[0].toUpperCase() + name.slice(1), name]);
+
+/**
+ * Task definitions. Each option lists [value, label, prompt phrase]
+ * choices; the first one (or `default`) is used when none is given.
+ */
+const AI_TASKS = {
+    summarize: {
+        label: 'Resumir',
+        placeholder: 'Cole o texto para resumir...',
+        options: {
+            type: {
+                label: 'Tipo',
+                choices: [
+                    ['key-points', 'Tópicos', 'em tópicos, como uma lista com marcadores'],
+                    ['tldr', 'TL;DR', 'em um parágrafo direto'],
+                    ['teaser', 'Chamada', 'como uma chamada curta que desperte interesse'],
+                    ['headline', 'Título', 'como um único título']
+                ]
+            },
+            length: {
+                label: 'Tamanho',
+                choices: [['medium', 'Médio', 'médio'], ['short', 'Curto', 'curto'], ['long', 'Longo', 'longo']]
+            }
+        }
+    },
+    translate: {
+        label: 'Traduzir',
+        placeholder: 'Digite o texto para traduzir...',
+        options: {
+            sourceLanguage: {
+                label: 'De',
+                choices: [['auto', 'Detectar', ''], ...TASK_LANGUAGE_CHOICES]
+            },
+            targetLanguage: {
+                label: 'Para',
+                default: 'en',
+                choices: TASK_LANGUAGE_CHOICES
+            }
+        }
+    },
+    rewrite: {
+        label: 'Reescrever',
+        placeholder: 'Cole o texto para reescrever...',
+        options: {
+            tone: {
+                label: 'Tom',
+                choices: [['as-is', 'Manter', ''], ['more-formal', 'Mais formal', ' com um tom mais formal'], ['more-casual', 'Mais casual', ' com um tom mais casual']]
+            },
+            length: {
+                label: 'Tamanho',
+                choices: [['as-is', 'Manter', ''], ['shorter', 'Mais curto', ', deixando-o mais curto'], ['longer', 'Mais longo', ', deixando-o mais longo']]
+            }
+        }
+    },
+    write: {
+        label: 'Escrever',
+        placeholder: 'Descreva o que escrever...',
+        options: {
+            tone: {
+                label: 'Tom',
+                choices: [['neutral', 'Neutro', 'neutro'], ['formal', 'Formal', 'formal'], ['casual', 'Casual', 'casual']]
+            },
+            length: {
+                label: 'Tamanho',
+                choices: [['medium', 'Médio', 'de tamanho médio'], ['short', 'Curto', 'curto'], ['long', 'Longo', 'longo']]
+            }
+        }
+    },
+    detect: {
+        label: 'Detectar idioma',
+        placeholder: 'Digite um texto para descobrir o idioma...',
+        options: {}
+    }
+};
+
+// Answer of the language model when it stands in for LanguageDetector
+const TASK_DETECT_SCHEMA = {
+    type: 'object',
+    properties: {
+        languages: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 3,
+            items: {
+                type: 'object',
+                properties: {
+                    detectedLanguage: { type: 'string', minLength: 2 },
+                    confidence: { type: 'number', minimum: 0, maximum: 1 }
+                },
+                required: ['detectedLanguage', 'confidence']
+            }
+        }
+    },
+    required: ['languages']
+};
+
+class AITasks {
+    static has(action) {
+        return Object.hasOwn(AI_TASKS, action);
+    }
+
+    static get(action) {
+        return AITasks.has(action) ? AI_TASKS[action] : null;
+    }
+
+    /**
+     * [{ id, label, placeholder, options }] in display order
+     */
+    static list() {
+        return Object.entries(AI_TASKS).map(([id, task]) => ({ id, ...task }));
+    }
+
+    /**
+     * Language of the page, used as the task APIs' output language
+     */
+    static defaultLanguage() {
+        const language = typeof navigator !== 'undefined' && navigator.language;
+        return (language || 'pt').split('-')[0].toLowerCase();
+    }
+
+    /**
+     * JSON Schema of the language model's answer standing in for LanguageDetector
+     */
+    static get detectSchema() {
+        return TASK_DETECT_SCHEMA;
+    }
+
+    static languageName(code) {
+        const entry = TASK_LANGUAGES.find(([value]) => value === code);
+        return entry ? entry[1] : code;
+    }
+
+    /**
+     * Task options with unknown or missing values replaced by defaults.
+     * `context` and `language` are passed through.
+     */
+    static resolveOptions(action, options = {}) {
+        const resolved = {
+            language: options.language || AITasks.defaultLanguage()
+        };
+        if (options.context) {
+            resolved.context = options.context;
+        }
+
+        for (const [name, option] of Object.entries(AI_TASKS[action].options)) {
+            const valid = option.choices.some(([value]) => value === options[name]);
+            resolved[name] = valid ? options[name] : (option.default || option.choices[0][0]);
+        }
+        return resolved;
+    }
+
+    static phrase(action, name, value) {
+        const choice = AI_TASKS[action].options[name].choices.find(([option]) => option === value);
+        return choice ? choice[2] : '';
+    }
+
+    /**
+     * Options for the Chrome task API's availability() and create()
+     */
+    static createOptions(action, options) {
+        const languages = { expectedInputLanguages: [options.language], outputLanguage: options.language };
+
+        switch (action) {
+            case 'summarize':
+                return { type: options.type, length: options.length, format: 'markdown', ...languages };
+            case 'write':
+                return { tone: options.tone, length: options.length, format: 'markdown', ...languages };
+            case 'rewrite':
+                return { tone: options.tone, length: options.length, format: 'as-is', ...languages };
+            case 'translate':
+                return { sourceLanguage: options.sourceLanguage, targetLanguage: options.targetLanguage };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Prompt that does the task on the language model
+     */
+    static buildPrompt(action, text, options) {
+        const context = options.context ? `Contexto: ${options.context}\n\n` : '';
+
+        switch (action) {
+            case 'summarize':
+                return `${context}Resuma o texto abaixo ${AITasks.phrase(action, 'type', options.type)}, com tamanho ` +
+                    `${AITasks.phrase(action, 'length', options.length)}. Responda apenas com o resumo.\n\n${text}`;
+            case 'translate': {
+                const source = options.sourceLanguage === 'auto' ? '' : ` do ${AITasks.languageName(options.sourceLanguage)}`;
+                return `Traduza o texto abaixo${source} para o ${AITasks.languageName(options.targetLanguage)}. ` +
+                    `Responda apenas com a tradução.\n\n${text}`;
+            }
+            case 'rewrite':
+                return `${context}Reescreva o texto abaixo${AITasks.phrase(action, 'tone', options.tone)}` +
+                    `${AITasks.phrase(action, 'length', options.length)}, mantendo o sentido. ` +
+                    `Responda apenas com o texto reescrito.\n\n${text}`;
+            case 'write':
+                return `${context}Escreva um texto ${AITasks.phrase(action, 'tone', options.tone)} e ` +
+                    `${AITasks.phrase(action, 'length', options.length)} atendendo ao pedido abaixo. ` +
+                    `Responda apenas com o texto.\n\nPedido: ${text}`;
+            case 'detect':
+                return 'Identifique o idioma do texto abaixo. Use códigos BCP 47 (ex.: pt, en, es) e uma confiança ' +
+                    `entre 0 e 1, do idioma mais provável para o menos provável.\n\n${text}`;
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Chat answer for detected languages ({ detectedLanguage, confidence })
+     */
+    static formatDetection(languages) {
+        if (languages.length === 0) {
+            return 'Não foi possível identificar o idioma.';
+        }
+
+        const [best, ...others] = languages;
+        const describe = ({ detectedLanguage, confidence }) =>
+            `${AITasks.languageName(detectedLanguage)} (\`${detectedLanguage}\`, ${Math.round(confidence * 100)}%)`;
+
+        return [
+            `Idioma detectado: **${describe(best)}**`,
+            ...others.map(language => `- Alternativa: ${describe(language)}`)
+        ].join('\n');
+    }
+}
+
+// Export for use
+window.AITasks = AITasks;
@@ -3,21 +3,175 @@
  * Interface de chat para IA local
  */
 
+// Retries while the model isn't ready: 5s, 10s, 20s... up to one minute
+const SETUP_RETRY_DELAY = 5000;
+const SETUP_RETRY_MAX_DELAY = 60000;
+// How often an open tab asks the service worker for a new version
+const SW_UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+// Where sw.js keeps what other apps share until the page reads it
+const SHARE_CACHE_NAME = 'gemini-nano-share';
+
 class GeminiNanoApp {
     constructor() {
-        this.aiCore = new LocalAICore();
+        this.aiCore = new LocalAICore({ provider: this.createAIProvider() });
+        this.store = new ConversationStore();
         this.conversations = [];
+        this.folders = [];
         this.currentConversation = [];
         this.currentTheme = 'dark';
+        this.markdown = new MarkdownRenderer();
+        this.markdownStreams = new WeakMap();
+        this.exporter = new ConversationExporter({
+            renderer: this.markdown,
+            getDocuments: conversationId => this.documentIndex.getDocuments(conversationId)
+        });
+        this.searchIndex = new SearchIndex();
+        this.documentIndex = new DocumentIndex();
+        // Documents attached before the new conversation's first message
+        this.draftDocuments = [];
+        // Images and audio waiting to go with the next message
+        this.draftMedia = [];
+        // id -> stored media record (blob included), and the object URLs shown
+        this.mediaRecords = new Map();
+        this.mediaUrls = new Map();
+        this.templates = new TemplateLibrary();
+        // Templates listed in the "/" palette and the highlighted one
+        this.paletteResults = [];
+        this.paletteIndex = 0;
+        // Remappable shortcuts, the Ctrl/Cmd+K palette's items and the
+        // command whose new combination is being recorded
+        this.keyBindings = new KeyBindings();
+        this.commandPaletteItems = [];
+        this.commandPaletteIndex = 0;
+        this.commandPaletteReturnFocus = null;
+        this.recordingShortcut = null;
+        // Template whose variables form is open / being edited in the drawer
+        this.activeTemplate = null;
+        this.editingTemplateId = null;
+        // Dictation into the input and spoken answers (see createSpeech)
+        const speech = this.createSpeech();
+        this.dictation = speech.dictation;
+        this.playback = speech.playback;
+        // Answers are read as they stream when on, kept in localStorage['speechSettings']
+        this.speakAnswers = false;
+        // Pending answer being read, and the input text before the current dictation
+        this.spokenResponse = null;
+        this.dictationBase = '';
+        // 'ask' chats with the model; task modes come from AITasks
+        this.taskMode = 'ask';
+        // task -> chosen options, kept in localStorage['taskOptions']
+        this.taskOptions = {};
+        // Model setup polling (see connectAI)
+        this.connecting = false;
+        this.setupRetryTimer = null;
+        this.setupRetries = 0;
+        // New service worker version waiting for the user's go-ahead
+        this.waitingWorker = null;
+        this.reloadingForUpdate = false;
+
+        // Offline tools the model can call
+        createBuiltinTools({
+            searchIndex: this.searchIndex,
+            getConversation: (id) => this.findConversation(id)
+        }).forEach(tool => this.aiCore.registerTool(tool));
+
+        // Prompts from other pages embedding the app (see bridge.js)
+        this.bridge = new AIBridge({ core: this.aiCore });
+
+        // conversationId -> { requestId, action, metadata, text, started, toolCalls, sources } for queued/running answers
+        this.pendingResponses = new Map();
 
         this.init();
     }
 
+    /**
+     * Pick the model backend. `?provider=mock` runs the app against the
+     * scripted MockAIProvider (extra options via window.MOCK_AI_OPTIONS),
+     * `?provider=openai&endpoint=...&model=...` talks to a local
+     * OpenAI-compatible server. The choice can also be stored in
+     * localStorage['providerConfig']. Anyone can craft a link, so an
+     * endpoint from the URL must be on this machine and never gets the
+     * stored API key.
+     */
+    createAIProvider() {
+        const params = new URLSearchParams(window.location.search);
+        let config = {};
+        try {
+            config = JSON.parse(localStorage.getItem('providerConfig')) || {};
+        } catch (e) {
+            config = {};
+        }
+
+        const type = params.get('provider') || config.type || 'chrome';
+
+        if (type === 'mock') {
+            const options = { ...(window.MOCK_AI_OPTIONS || {}) };
+            if (params.has('mockDelay')) {
+                options.chunkDelay = parseInt(params.get('mockDelay'), 10) || 0;
+            }
+            console.log('GeminiNanoApp: Usando provider mock');
+            return new MockAIProvider(options);
+        }
+
+        if (type === 'openai') {
+            let endpoint = params.get('endpoint');
+            if (endpoint && !OpenAICompatibleProvider.isLoopback(endpoint)) {
+                console.warn(`GeminiNanoApp: Endereço ${endpoint} ignorado, só servidores locais podem vir da URL`);
+                endpoint = null;
+            }
+
+            const baseUrl = endpoint || config.baseUrl;
+            console.log(`GeminiNanoApp: Usando servidor local ${baseUrl}`);
+            return new OpenAICompatibleProvider({
+                baseUrl,
+                model: params.get('model') || config.model,
+                apiKey: endpoint ? null : config.apiKey,
+                contextSize: config.contextSize
+            });
+        }
+
+        return new ChromeAIProvider();
+    }
+
+    /**
+     * Web Speech dictation and playback. `?speech=mock` uses the scripted
+     * MockSpeechRecognition / MockSpeechSynthesis (options via
+     * window.MOCK_SPEECH_OPTIONS = { recognition, synthesis }).
+     */
+    createSpeech() {
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.get('speech') === 'mock') {
+            const options = window.MOCK_SPEECH_OPTIONS || {};
+            console.log('GeminiNanoApp: Usando fala mock');
+            return {
+                dictation: new SpeechDictation({ createRecognition: () => new MockSpeechRecognition(options.recognition) }),
+                playback: new SpeechPlayback({
+                    synthesis: new MockSpeechSynthesis(options.synthesis),
+                    createUtterance: text => ({ text })
+                })
+            };
+        }
+
+        return { dictation: new SpeechDictation(), playback: new SpeechPlayback() };
+    }
+
     async init() {
         this.initElements();
         this.initEventListeners();
         this.loadTheme();
-        this.loadConversations();
+        this.loadSettings();
+        this.templates.load();
+        this.keyBindings.load();
+        this.renderWelcomeTemplates();
+        this.loadTaskOptions();
+        this.renderTaskModes();
+        this.initSpeech();
+        this.bridge.start();
+        this.registerServiceWorker();
+        await this.loadConversations();
+        this.initFileHandling();
+        await this.handleLaunchParams();
         await this.initializeAI();
     }
 
@@ -26,21 +180,110 @@ class GeminiNanoApp {
         this.sidebar = document.getElementById('sidebar');
         this.newChatBtn = document.getElementById('newChatBtn');
         this.conversationsList = document.getElementById('conversationsList');
+        this.searchInput = document.getElementById('searchInput');
+        this.searchResults = document.getElementById('searchResults');
         this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.importFileInput = document.getElementById('importFileInput');
+        this.exportAllBtn = document.getElementById('exportAllBtn');
         this.themeToggleBtn = document.getElementById('themeToggleBtn');
         this.themeText = document.getElementById('themeText');
         this.themeIcon = document.getElementById('themeIcon');
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.templatesBtn = document.getElementById('templatesBtn');
+
+        // Settings drawer
+        this.settingsDrawer = document.getElementById('settingsDrawer');
+        this.settingsCloseBtn = document.getElementById('settingsCloseBtn');
+        this.settingsForm = document.getElementById('settingsForm');
+        this.temperatureInput = document.getElementById('temperatureInput');
+        this.temperatureValue = document.getElementById('temperatureValue');
+        this.topKInput = document.getElementById('topKInput');
+        this.systemPromptInput = document.getElementById('systemPromptInput');
+        this.conversationSettingsInput = document.getElementById('conversationSettingsInput');
+        this.settingsError = document.getElementById('settingsError');
+        this.settingsResetBtn = document.getElementById('settingsResetBtn');
+
+        // Templates drawer
+        this.templatesDrawer = document.getElementById('templatesDrawer');
+        this.templatesCloseBtn = document.getElementById('templatesCloseBtn');
+        this.templatesPanel = document.getElementById('templatesPanel');
+        this.templatesList = document.getElementById('templatesList');
+        this.templatesImportBtn = document.getElementById('templatesImportBtn');
+        this.templatesExportBtn = document.getElementById('templatesExportBtn');
+        this.templateNewBtn = document.getElementById('templateNewBtn');
+        this.templatesFileInput = document.getElementById('templatesFileInput');
+        this.templateEditForm = document.getElementById('templateEditForm');
+        this.templateNameInput = document.getElementById('templateNameInput');
+        this.templateCommandInput = document.getElementById('templateCommandInput');
+        this.templateDescriptionInput = document.getElementById('templateDescriptionInput');
+        this.templatePromptInput = document.getElementById('templatePromptInput');
+        this.templateSystemPromptInput = document.getElementById('templateSystemPromptInput');
+        this.templateTemperatureInput = document.getElementById('templateTemperatureInput');
+        this.templateEditError = document.getElementById('templateEditError');
+        this.templateEditCancelBtn = document.getElementById('templateEditCancelBtn');
+
+        // Keyboard shortcuts drawer and command palette
+        this.shortcutsBtn = document.getElementById('shortcutsBtn');
+        this.shortcutsDrawer = document.getElementById('shortcutsDrawer');
+        this.shortcutsCloseBtn = document.getElementById('shortcutsCloseBtn');
+        this.shortcutsList = document.getElementById('shortcutsList');
+        this.shortcutsResetBtn = document.getElementById('shortcutsResetBtn');
+        this.commandPalette = document.getElementById('commandPalette');
+        this.commandPaletteInput = document.getElementById('commandPaletteInput');
+        this.commandPaletteList = document.getElementById('commandPaletteList');
 
         // Main
+        this.exportChatBtn = document.getElementById('exportChatBtn');
+        this.contextMeter = document.getElementById('contextMeter');
+        this.contextMeterFill = document.getElementById('contextMeterFill');
+        this.contextMeterText = document.getElementById('contextMeterText');
         this.chatContainer = document.getElementById('chatContainer');
         this.welcomeScreen = document.getElementById('welcomeScreen');
+        this.welcomeTemplates = document.getElementById('welcomeTemplates');
         this.messages = document.getElementById('messages');
         this.messageInput = document.getElementById('messageInput');
         this.sendBtn = document.getElementById('sendBtn');
+        this.stopBtn = document.getElementById('stopBtn');
+        this.mainContent = document.getElementById('mainContent');
+        this.attachBtn = document.getElementById('attachBtn');
+        this.attachFileInput = document.getElementById('attachFileInput');
+        this.attachmentsBar = document.getElementById('attachmentsBar');
+        this.micBtn = document.getElementById('micBtn');
+        this.speakToggleBtn = document.getElementById('speakToggleBtn');
+        this.speechBar = document.getElementById('speechBar');
+        this.voiceSelect = document.getElementById('voiceSelect');
+        this.speechPauseBtn = document.getElementById('speechPauseBtn');
+        this.speechStopBtn = document.getElementById('speechStopBtn');
+        this.speechStatus = document.getElementById('speechStatus');
+        this.taskBar = document.getElementById('taskBar');
+        this.taskModeSelect = document.getElementById('taskModeSelect');
+        this.taskOptionsFields = document.getElementById('taskOptionsFields');
+        this.taskStatus = document.getElementById('taskStatus');
+        this.sourceViewer = document.getElementById('sourceViewer');
+        this.sourceViewerTitle = document.getElementById('sourceViewerTitle');
+        this.sourceViewerText = document.getElementById('sourceViewerText');
+        this.sourceViewerCloseBtn = document.getElementById('sourceViewerCloseBtn');
+        this.templatePalette = document.getElementById('templatePalette');
+        this.templateForm = document.getElementById('templateForm');
+        this.templateFormTitle = document.getElementById('templateFormTitle');
+        this.templateFormFields = document.getElementById('templateFormFields');
+        this.templateFormCloseBtn = document.getElementById('templateFormCloseBtn');
 
         // Status
         this.aiStatusOverlay = document.getElementById('aiStatusOverlay');
         this.aiStatusText = document.getElementById('aiStatusText');
+        this.aiStatusSpinner = document.getElementById('aiStatusSpinner');
+        this.downloadProgress = document.getElementById('downloadProgress');
+        this.downloadProgressFill = document.getElementById('downloadProgressFill');
+        this.setupSteps = document.getElementById('setupSteps');
+        this.setupActions = document.getElementById('setupActions');
+        this.downloadModelBtn = document.getElementById('downloadModelBtn');
+        this.retryInitBtn = document.getElementById('retryInitBtn');
+        this.toastContainer = document.getElementById('toastContainer');
+        this.updateBanner = document.getElementById('updateBanner');
+        this.updateReloadBtn = document.getElementById('updateReloadBtn');
+        this.updateDismissBtn = document.getElementById('updateDismissBtn');
 
         // Track current conversation ID
         this.currentConversationId = null;
@@ -53,14 +296,143 @@ class GeminiNanoApp {
         // Clear history
         this.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
 
+        // Search
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(), 150);
+        });
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.clearSearch();
+            }
+        });
+
+        // Export / import
+        this.exportChatBtn.addEventListener('click', () => this.exportCurrentConversation());
+        this.exportAllBtn.addEventListener('click', () => this.exportAllConversations());
+        this.importBtn.addEventListener('click', () => this.importFileInput.click());
+        this.importFileInput.addEventListener('change', () => {
+            const [file] = this.importFileInput.files;
+            if (file) this.importConversations(file);
+            this.importFileInput.value = '';
+        });
+
+        // Attached documents
+        this.attachBtn.addEventListener('click', () => this.attachFileInput.click());
+        this.attachFileInput.addEventListener('change', () => {
+            const files = [...this.attachFileInput.files];
+            if (files.length > 0) this.attachFiles(files);
+            this.attachFileInput.value = '';
+        });
+
+        // Files dropped on the chat or pasted into the input
+        this.mainContent.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || ![...e.dataTransfer.types].includes('Files')) return;
+            e.preventDefault();
+            this.mainContent.classList.add('drag-over');
+        });
+        this.mainContent.addEventListener('dragleave', (e) => {
+            if (!this.mainContent.contains(e.relatedTarget)) {
+                this.mainContent.classList.remove('drag-over');
+            }
+        });
+        this.mainContent.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.mainContent.classList.remove('drag-over');
+            const files = [...e.dataTransfer.files];
+            if (files.length > 0) this.attachFiles(files);
+        });
+        this.messageInput.addEventListener('paste', (e) => {
+            const files = e.clipboardData ? [...e.clipboardData.files] : [];
+            if (files.length === 0) return;
+            e.preventDefault();
+            this.attachFiles(files);
+        });
+        this.sourceViewerCloseBtn.addEventListener('click', () => this.closeSourceViewer());
+
+        // Task modes (summarize, translate...)
+        this.taskModeSelect.addEventListener('change', () => this.setTaskMode(this.taskModeSelect.value));
+        this.sourceViewer.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeSourceViewer();
+        });
+
         // Theme toggle
         this.themeToggleBtn.addEventListener('click', () => this.toggleTheme());
 
+        // Settings drawer
+        this.settingsBtn.addEventListener('click', () => this.openSettings());
+        this.settingsCloseBtn.addEventListener('click', () => this.closeSettings());
+        this.settingsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+        this.settingsResetBtn.addEventListener('click', () => this.fillSettingsForm(this.getDefaultSettings()));
+        this.temperatureInput.addEventListener('input', () => {
+            this.temperatureValue.textContent = this.temperatureInput.value;
+        });
+
+        // Prompt templates
+        this.templatesBtn.addEventListener('click', () => this.openTemplates());
+        this.templatesCloseBtn.addEventListener('click', () => this.closeTemplates());
+        this.templateNewBtn.addEventListener('click', () => this.openTemplateEditor());
+        this.templateEditCancelBtn.addEventListener('click', () => this.closeTemplateEditor());
+        this.templateEditForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTemplateEditor();
+        });
+        this.templatesExportBtn.addEventListener('click', () => this.exportTemplates());
+        this.templatesImportBtn.addEventListener('click', () => this.templatesFileInput.click());
+        this.templatesFileInput.addEventListener('change', () => {
+            const [file] = this.templatesFileInput.files;
+            if (file) this.importTemplates(file);
+            this.templatesFileInput.value = '';
+        });
+        this.templateForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitTemplateForm();
+        });
+        this.templateFormCloseBtn.addEventListener('click', () => this.closeTemplateForm());
+        this.templateForm.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeTemplateForm();
+        });
+
+        // Keyboard shortcuts and command palette
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        this.shortcutsBtn.addEventListener('click', () => this.openShortcuts());
+        this.shortcutsCloseBtn.addEventListener('click', () => this.closeShortcuts());
+        this.shortcutsResetBtn.addEventListener('click', () => this.resetShortcuts());
+        this.commandPaletteInput.addEventListener('input', () => this.updateCommandPalette());
+        this.commandPaletteInput.addEventListener('keydown', (e) => this.handleCommandPaletteKey(e));
+        this.commandPalette.addEventListener('mousedown', (e) => {
+            if (e.target === this.commandPalette) this.closeCommandPalette();
+        });
+
         // Send message
         this.sendBtn.addEventListener('click', () => this.sendMessage());
+        this.stopBtn.addEventListener('click', () => this.stopCurrentResponse());
+
+        // Dictation and spoken answers
+        this.micBtn.addEventListener('click', () => this.dictation.toggle());
+        this.speakToggleBtn.addEventListener('click', () => {
+            this.setSpeakAnswers(!this.speakAnswers);
+            this.saveSpeechSettings();
+        });
+        this.voiceSelect.addEventListener('change', () => {
+            this.playback.setVoice(this.voiceSelect.value);
+            this.saveSpeechSettings();
+        });
+        this.speechPauseBtn.addEventListener('click', () => {
+            if (this.playback.state === 'paused') {
+                this.playback.resume();
+            } else {
+                this.playback.pause();
+            }
+        });
+        this.speechStopBtn.addEventListener('click', () => this.stopSpeaking());
 
-        // Enter to send
+        // Enter to send (or to pick a template from the "/" palette)
         this.messageInput.addEventListener('keydown', (e) => {
+            if (this.handlePaletteKey(e)) return;
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 this.sendMessage();
@@ -68,7 +440,22 @@ class GeminiNanoApp {
         });
 
         // Auto-resize textarea
-        this.messageInput.addEventListener('input', () => this.resizeTextarea());
+        this.messageInput.addEventListener('input', () => {
+            this.resizeTextarea();
+            this.updateTemplatePalette();
+        });
+        this.messageInput.addEventListener('blur', () => this.closeTemplatePalette());
+
+        // App update
+        this.updateReloadBtn.addEventListener('click', () => this.applyUpdate());
+        this.updateDismissBtn.addEventListener('click', () => this.updateBanner.classList.add('hidden'));
+
+        // Model setup
+        this.downloadModelBtn.addEventListener('click', () => this.connectAI());
+        this.retryInitBtn.addEventListener('click', () => {
+            this.setupRetries = 0;
+            this.connectAI();
+        });
     }
 
     async initializeAI() {
@@ -76,50 +463,336 @@ class GeminiNanoApp {
 
         // Set callbacks
         this.aiCore.setStatusCallback((status) => this.showStatus(status));
-        this.aiCore.setStreamingCallback((chunk, isStart, action, metadata, original) => {
-            this.handleStreaming(chunk, isStart, action, metadata, original);
-        });
-        this.aiCore.setCompletionCallback((result, action, metadata, original) => {
-            this.handleCompletion(result, action, metadata, original);
-        });
         this.aiCore.setErrorCallback((error) => {
             this.showError(error);
         });
+        this.aiCore.setTaskProgressCallback((task, progress) => this.handleTaskProgress(task, progress));
+        this.aiCore.setDownloadProgressCallback((progress) => this.showDownloadProgress(progress));
+        this.aiCore.setContextCallback((conversationId, usage, compacted) => {
+            if (compacted && this.findConversation(conversationId)) {
+                this.showToast('Conversa longa: as mensagens mais antigas foram resumidas para caber no contexto do modelo.', 'info');
+            }
+            if (conversationId === this.currentConversationId) {
+                this.updateContextMeter(usage);
+            }
+        });
+
+        await this.connectAI();
+    }
+
+    /**
+     * Get the model ready. Until it is, the overlay shows the setup
+     * checklist and the attempt is repeated with a growing delay, so the
+     * app picks the model up once the flags are on or the download ends.
+     */
+    async connectAI() {
+        if (this.connecting) return;
+        this.connecting = true;
+        clearTimeout(this.setupRetryTimer);
+        this.setupRetryTimer = null;
+
+        try {
+            // Use the model's own defaults until the user saves something
+            if (!this.modelParams) {
+                this.modelParams = await this.aiCore.getModelParams();
+            }
+            if (!this.settings) {
+                this.aiCore.setSessionSettings(this.getDefaultSettings());
+            }
+
+            const result = await this.aiCore.initialize();
+
+            if (result.success) {
+                this.setupRetries = 0;
+                this.hideStatus();
+                this.bridge.setStatus(true, 'ready');
+                return;
+            }
+
+            this.showSetup(result);
+            this.bridge.setStatus(false, result.status);
+
+            // An unsupported browser won't change while the page is open
+            if (result.status !== 'unsupported') {
+                const delay = Math.min(SETUP_RETRY_DELAY * 2 ** this.setupRetries, SETUP_RETRY_MAX_DELAY);
+                this.setupRetries++;
+                this.setupRetryTimer = setTimeout(() => this.connectAI(), delay);
+            }
+        } finally {
+            this.connecting = false;
+        }
+    }
+
+    /**
+     * Register the offline worker and watch for new versions. A new
+     * version waits (see sw.js) until the user accepts it in the banner.
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Falha ao registrar o service worker:', error);
+            return;
+        }
+
+        // The very first install has no older version to replace, and its
+        // clients.claim() is no reason to reload
+        const hadController = !!navigator.serviceWorker.controller;
+        const hasController = () => !!navigator.serviceWorker.controller;
+
+        if (registration.waiting && hasController()) {
+            this.showUpdateBanner(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && hasController()) {
+                    this.showUpdateBanner(worker);
+                }
+            });
+        });
+
+        // Reload once the accepted version took over (other tabs reload too)
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController || this.reloadingForUpdate) return;
+            this.reloadingForUpdate = true;
+            window.location.reload();
+        });
+
+        setInterval(() => registration.update().catch(() => {}), SW_UPDATE_CHECK_INTERVAL);
+    }
+
+    showUpdateBanner(worker) {
+        this.waitingWorker = worker;
+        this.updateBanner.classList.remove('hidden');
+    }
+
+    /**
+     * Ask the waiting worker to take over; the page reloads on controllerchange
+     */
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+        if (this.aiCore.hasPendingRequests() && !confirm('Recarregar agora interrompe as respostas em andamento. Continuar?')) return;
 
-        const result = await this.aiCore.initialize();
+        this.updateReloadBtn.disabled = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
 
-        if (result.success) {
-            this.hideStatus();
+    /**
+     * Launch parameters of the manifest's shortcuts and share target (or
+     * of any link): ?q=<text> puts a text in the input, ?action=new
+     * starts a new conversation, ?template=<id or command> opens a template
+     * and ?share=<id> brings in what another app shared. Nothing is sent
+     * by itself. The parameters are then removed from the address, so a
+     * reload doesn't repeat them.
+     */
+    async handleLaunchParams() {
+        const url = new URL(window.location.href);
+        const names = ['q', 'action', 'template', 'share'].filter(name => url.searchParams.has(name));
+        if (names.length === 0) return;
+
+        const params = Object.fromEntries(names.map(name => [name, url.searchParams.get(name)]));
+        names.forEach(name => url.searchParams.delete(name));
+        history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+
+        if (params.action === 'new') {
+            this.newConversation();
+        } else if (params.action) {
+            console.warn('Ação de inicialização desconhecida:', params.action);
+        }
+        if (params.share) {
+            await this.receiveShare(params.share);
+        }
+        if (params.q) {
+            this.prefillInput(params.q);
+        }
+        if (params.template) {
+            this.openLaunchTemplate(params.template);
         } else {
-            this.showStatus(result.error || 'Erro ao inicializar IA');
+            this.messageInput.focus();
+        }
+    }
+
+    /**
+     * Files opened with the app (manifest file_handlers) are attached to
+     * the new conversation
+     */
+    initFileHandling() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+            try {
+                this.attachFiles(await Promise.all(launchParams.files.map(handle => handle.getFile())));
+            } catch (error) {
+                console.error('Error opening launched files:', error);
+                this.showToast('Não foi possível abrir os arquivos.');
+            }
+        });
+    }
 
-            // Keep overlay visible with error message
-            if (result.status === 'downloadable') {
-                this.aiStatusText.innerHTML = `
-                    <p>${result.error}</p>
-                    <p style="font-size: 12px; margin-top: 8px;">
-                        Abra chrome://flags e habilite:<br>
-                        • optimization-guide-on-device-model<br>
-                        • prompt-api-for-gemini-nano
-                    </p>
-                `;
+    /**
+     * Read and delete a share stored by sw.js: its text goes to the input
+     * and its files are attached
+     */
+    async receiveShare(id) {
+        if (!('caches' in window)) return;
+
+        try {
+            const cache = await caches.open(SHARE_CACHE_NAME);
+            const response = await cache.match(`./share/${id}`);
+            if (!response) {
+                this.showToast('O conteúdo compartilhado não está mais disponível.');
+                return;
+            }
+
+            const share = await response.json();
+            const files = [];
+            for (const fileUrl of share.files || []) {
+                const fileResponse = await cache.match(fileUrl);
+                if (fileResponse) {
+                    const blob = await fileResponse.blob();
+                    const name = decodeURIComponent(fileResponse.headers.get('X-File-Name') || 'arquivo');
+                    files.push(new File([blob], name, { type: blob.type }));
+                }
+                await cache.delete(fileUrl);
+            }
+            await cache.delete(`./share/${id}`);
+
+            this.prefillInput(this.getSharedText(share));
+            if (files.length > 0) {
+                this.attachFiles(files);
             }
+        } catch (error) {
+            console.error('Error reading shared content:', error);
+            this.showToast('Não foi possível abrir o conteúdo compartilhado.');
         }
     }
 
+    /**
+     * Title, text and link of a share, without repeating what apps often
+     * put twice (the title at the start of the text, the link in it)
+     */
+    getSharedText({ title = '', text = '', url = '' }) {
+        const parts = [];
+        if (title.trim() && !text.includes(title.trim())) {
+            parts.push(title.trim());
+        }
+        if (text.trim()) {
+            parts.push(text.trim());
+        }
+        if (url.trim() && !text.includes(url.trim())) {
+            parts.push(url.trim());
+        }
+        return parts.join('\n\n');
+    }
+
+    prefillInput(text) {
+        if (!text) return;
+        this.messageInput.value = this.messageInput.value ? `${this.messageInput.value}\n\n${text}` : text;
+        this.resizeTextarea();
+        this.messageInput.focus();
+        this.messageInput.setSelectionRange(this.messageInput.value.length, this.messageInput.value.length);
+    }
+
+    /**
+     * Template of a shortcut: the form when it has variables, its prompt
+     * in the input otherwise (launching never sends anything)
+     */
+    openLaunchTemplate(key) {
+        const template = this.templates.get(key) || this.templates.findByCommand(key);
+        if (!template) {
+            this.showToast(`Modelo não encontrado: ${key}`);
+            return;
+        }
+
+        const variables = TemplateLibrary.extractVariables(template.prompt);
+        if (variables.length > 0) {
+            this.openTemplateForm(template, variables);
+        } else {
+            this.prefillInput(template.prompt);
+        }
+    }
+
+    /**
+     * Failed initialization: error, checklist of what is missing and the
+     * download/retry buttons
+     */
+    showSetup(result) {
+        this.showStatus(result.error || 'Erro ao inicializar IA');
+        this.aiStatusSpinner.classList.add('hidden');
+        this.downloadProgress.classList.add('hidden');
+
+        const steps = this.aiCore.getSetupSteps(result.status);
+        this.setupSteps.replaceChildren(...steps.map(step => {
+            const item = document.createElement('li');
+            item.className = `setup-step ${step.state}`;
+
+            const label = document.createElement('span');
+            label.className = 'setup-step-label';
+            label.textContent = step.label;
+            item.appendChild(label);
+
+            if (step.state !== 'ok' && step.hint) {
+                const hint = document.createElement('span');
+                hint.className = 'setup-step-hint';
+                hint.textContent = step.hint;
+                item.appendChild(hint);
+            }
+            return item;
+        }));
+        this.setupSteps.classList.toggle('hidden', steps.length === 0);
+
+        this.downloadModelBtn.classList.toggle('hidden', !result.needsActivation);
+        this.setupActions.classList.remove('hidden');
+    }
+
+    showDownloadProgress(progress) {
+        const percent = Math.round(progress * 100);
+        this.aiStatusOverlay.classList.remove('hidden');
+        this.aiStatusSpinner.classList.add('hidden');
+        this.setupActions.classList.add('hidden');
+        this.downloadProgress.classList.remove('hidden');
+        this.downloadProgress.setAttribute('aria-valuenow', percent);
+        this.downloadProgressFill.style.width = `${percent}%`;
+        this.aiStatusText.textContent = percent < 100
+            ? `Baixando o Gemini Nano: ${percent}%`
+            : 'Download concluído. Preparando o modelo...';
+    }
+
     showStatus(text) {
         this.aiStatusText.textContent = text;
+        this.aiStatusSpinner.classList.toggle('hidden', !this.downloadProgress.classList.contains('hidden'));
         this.aiStatusOverlay.classList.remove('hidden');
     }
 
     hideStatus() {
         this.aiStatusOverlay.classList.add('hidden');
+        this.downloadProgress.classList.add('hidden');
+        this.setupSteps.classList.add('hidden');
+        this.setupActions.classList.add('hidden');
     }
 
     showError(error) {
         console.error('AI Error:', error);
     }
 
+    /**
+     * Transient notification in the corner of the screen
+     */
+    showToast(message, type = 'error') {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+        this.toastContainer.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 6000);
+    }
+
     toggleTheme() {
         this.currentTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
         document.documentElement.setAttribute('data-theme', this.currentTheme);
@@ -134,6 +807,100 @@ class GeminiNanoApp {
         this.updateThemeUI();
     }
 
+    /**
+     * Mic and speaker controls, shown only where the Web Speech APIs exist
+     */
+    initSpeech() {
+        this.micBtn.classList.toggle('hidden', !this.dictation.supported);
+        this.speakToggleBtn.classList.toggle('hidden', !this.playback.supported);
+
+        this.dictation.onStateChange = (listening) => {
+            if (listening) {
+                const text = this.messageInput.value;
+                this.dictationBase = text && !/\s$/.test(text) ? `${text} ` : text;
+            }
+            this.micBtn.classList.toggle('listening', listening);
+            this.micBtn.title = listening ? 'Parar ditado' : 'Ditar mensagem';
+        };
+        this.dictation.onTranscript = (text) => {
+            this.messageInput.value = this.dictationBase + text;
+            this.resizeTextarea();
+        };
+        this.dictation.onError = (message) => this.showToast(message);
+
+        if (!this.playback.supported) return;
+
+        let settings = {};
+        try {
+            settings = JSON.parse(localStorage.getItem('speechSettings')) || {};
+        } catch (e) {
+            settings = {};
+        }
+
+        this.playback.onStateChange = () => this.updateSpeechBar();
+        this.playback.setVoice(settings.voiceURI);
+        this.renderVoices();
+        // Chrome loads its voices after the page
+        if (typeof this.playback.synthesis.addEventListener === 'function') {
+            this.playback.synthesis.addEventListener('voiceschanged', () => this.renderVoices());
+        }
+        this.setSpeakAnswers(!!settings.enabled);
+    }
+
+    setSpeakAnswers(enabled) {
+        this.speakAnswers = enabled;
+        if (!enabled) {
+            this.stopSpeaking();
+        }
+        this.speakToggleBtn.classList.toggle('active', enabled);
+        this.speakToggleBtn.setAttribute('aria-pressed', String(enabled));
+        this.speakToggleBtn.title = enabled ? 'Parar de ler as respostas' : 'Ler respostas em voz alta';
+        this.updateSpeechBar();
+    }
+
+    saveSpeechSettings() {
+        localStorage.setItem('speechSettings', JSON.stringify({
+            enabled: this.speakAnswers,
+            voiceURI: this.playback.voiceURI
+        }));
+    }
+
+    /**
+     * Voice picker, the page's language first; "Voz padrão" lets the
+     * browser choose
+     */
+    renderVoices() {
+        const voices = this.playback.getVoices();
+        this.voiceSelect.replaceChildren(
+            new Option('Voz padrão', ''),
+            ...voices.map(voice => new Option(`${voice.name} (${voice.lang})`, voice.voiceURI))
+        );
+        // A saved voice that isn't loaded yet stays set on the playback
+        this.voiceSelect.value = voices.some(voice => voice.voiceURI === this.playback.voiceURI) ? this.playback.voiceURI : '';
+    }
+
+    /**
+     * The speech bar shows while answers are read aloud or something is playing
+     */
+    updateSpeechBar() {
+        const state = this.playback.state;
+        this.speechBar.classList.toggle('hidden', !this.speakAnswers && state === 'idle');
+        this.speechPauseBtn.textContent = state === 'paused' ? 'Continuar' : 'Pausar';
+        this.speechPauseBtn.disabled = state === 'idle';
+        this.speechStopBtn.disabled = state === 'idle';
+        this.speechStatus.textContent = { speaking: 'Lendo em voz alta...', paused: 'Leitura pausada', idle: '' }[state];
+    }
+
+    stopSpeaking() {
+        this.spokenResponse = null;
+        this.playback.stop();
+    }
+
+    readAloud(message) {
+        this.stopSpeaking();
+        this.playback.speak(message.content);
+    }
+
     updateThemeUI() {
         if (this.currentTheme === 'dark') {
             this.themeText.textContent = 'Modo Claro';
@@ -156,284 +923,2663 @@ class GeminiNanoApp {
         }
     }
 
-    resizeTextarea() {
-        this.messageInput.style.height = 'auto';
-        this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 150) + 'px';
-    }
-
-    async sendMessage() {
-        const text = this.messageInput.value.trim();
-        if (!text || this.aiCore.isProcessing) return;
+    loadSettings() {
+        try {
+            this.settings = JSON.parse(localStorage.getItem('settings'));
+        } catch (e) {
+            this.settings = null;
+        }
 
-        // Hide welcome screen
-        this.welcomeScreen.classList.add('hidden');
+        if (this.settings) {
+            this.aiCore.setSessionSettings(this.settings);
+        }
+    }
 
-        // Add user message
-        this.addMessage(text, 'user');
-        this.currentConversation.push({ role: 'user', content: text });
+    /**
+     * Limits reported by the model, with safe fallbacks
+     */
+    getSettingsLimits() {
+        const params = this.modelParams || {};
+        return {
+            maxTemperature: params.maxTemperature || 2,
+            maxTopK: params.maxTopK || 128
+        };
+    }
 
-        // Ensure we have a conversation ID
-        if (this.currentConversationId === null) {
-            this.saveCurrentConversation();
-        }
-        const conversationId = this.currentConversationId;
-        this.processingConversationId = conversationId;
+    getDefaultSettings() {
+        const params = this.modelParams || {};
+        const { maxTopK } = this.getSettingsLimits();
+        return {
+            temperature: params.defaultTemperature ?? 0.7,
+            topK: Math.min(params.defaultTopK ?? 40, maxTopK),
+            systemPrompt: ''
+        };
+    }
 
-        // Clear input
-        this.messageInput.value = '';
-        this.resizeTextarea();
+    /**
+     * Global settings merged with the current conversation's overrides
+     */
+    getEffectiveSettings() {
+        const conversation = this.findConversation(this.currentConversationId);
+        return {
+            ...this.getDefaultSettings(),
+            ...(this.settings || {}),
+            ...(conversation?.settings || {})
+        };
+    }
 
-        // Disable send button
-        this.sendBtn.disabled = true;
+    /**
+     * Validate raw form values, returning the parsed settings or the errors found
+     */
+    validateSettings(values) {
+        const { maxTemperature, maxTopK } = this.getSettingsLimits();
+        const errors = [];
 
-        try {
-            // Add AI message placeholder with typing indicator
-            const aiMessageEl = this.addMessage('', 'ai', true);
+        const temperature = Number(values.temperature);
+        if (!Number.isFinite(temperature) || temperature < 0 || temperature > maxTemperature) {
+            errors.push(`A temperatura deve estar entre 0 e ${maxTemperature}.`);
+        }
 
-            // Process with AI
-            await this.aiCore.processText(text, 'ask', { conversationId });
+        const topK = Number(values.topK);
+        if (!Number.isInteger(topK) || topK < 1 || topK > maxTopK) {
+            errors.push(`O Top-K deve ser um número inteiro entre 1 e ${maxTopK}.`);
+        }
 
-        } catch (error) {
-            console.error('Error sending message:', error);
-            // Only show error in UI if it's the active conversation
-            if (this.currentConversationId === conversationId) {
-                this.addMessage('Desculpe, ocorreu um erro ao processar sua mensagem.', 'ai');
-            }
-        } finally {
-            this.sendBtn.disabled = false;
-            if (this.processingConversationId === conversationId) {
-                this.processingConversationId = null;
-            }
+        const systemPrompt = String(values.systemPrompt || '').trim();
+        if (systemPrompt.length > 4000) {
+            errors.push('O prompt de sistema deve ter no máximo 4000 caracteres.');
         }
+
+        return { errors, settings: { temperature, topK, systemPrompt } };
     }
 
-    addMessage(content, role, isTyping = false) {
-        const messageEl = document.createElement('div');
-        messageEl.className = `message ${role}`;
+    openSettings() {
+        const { maxTemperature, maxTopK } = this.getSettingsLimits();
+        this.temperatureInput.max = maxTemperature;
+        this.topKInput.max = maxTopK;
 
-        const avatarSvg = role === 'user'
-            ? `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
-                <circle cx="12" cy="7" r="4"></circle>
-               </svg>`
-            : `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <circle cx="12" cy="12" r="10"></circle>
-                <path d="M8 14s1.5 2 4 2 4-2 4-2"></path>
-                <line x1="9" y1="9" x2="9.01" y2="9"></line>
-                <line x1="15" y1="9" x2="15.01" y2="9"></line>
-               </svg>`;
+        const conversation = this.findConversation(this.currentConversationId);
+        this.conversationSettingsInput.disabled = !conversation;
+        this.conversationSettingsInput.checked = !!conversation?.settings;
 
-        messageEl.innerHTML = `
-            <div class="message-avatar">${avatarSvg}</div>
-            <div class="message-content">
-                ${isTyping ? '<div class="typing-indicator"><span></span><span></span><span></span></div>' : this.formatMessage(content)}
-            </div>
-        `;
+        this.fillSettingsForm(this.getEffectiveSettings());
+        this.settingsError.classList.add('hidden');
+        this.closeTemplates();
+        this.closeShortcuts();
+        this.settingsDrawer.classList.remove('hidden');
+    }
 
-        this.messages.appendChild(messageEl);
-        this.scrollToBottom();
+    closeSettings() {
+        this.settingsDrawer.classList.add('hidden');
+    }
 
-        return messageEl;
+    fillSettingsForm(settings) {
+        this.temperatureInput.value = settings.temperature;
+        this.temperatureValue.textContent = settings.temperature;
+        this.topKInput.value = settings.topK;
+        this.systemPromptInput.value = settings.systemPrompt || '';
     }
 
-    formatMessage(content) {
-        // Basic markdown-like formatting
-        return content
-            .replace(/\n/g, '<br>')
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            .replace(/`(.*?)`/g, '<code>$1</code>')
-            .replace(/^• /gm, '• ');
+    showSettingsError(message) {
+        this.settingsError.textContent = message;
+        this.settingsError.classList.remove('hidden');
     }
 
-    handleStreaming(chunk, isStart, action, metadata, original) {
-        // Always track the response content, regardless of active view
-        if (isStart) {
-            this.processingResponse = '';
-        } else {
-            this.processingResponse = (this.processingResponse || '') + chunk;
+    async saveSettings() {
+        const { errors, settings } = this.validateSettings({
+            temperature: this.temperatureInput.value,
+            topK: this.topKInput.value,
+            systemPrompt: this.systemPromptInput.value
+        });
+
+        if (errors.length > 0) {
+            this.showSettingsError(errors.join('\n'));
+            return;
         }
 
-        // Only update UI if we are looking at the correct conversation
-        if (this.currentConversationId !== metadata.conversationId) return;
+        if (this.aiCore.hasPendingRequests()) {
+            this.showSettingsError('Aguarde as respostas em andamento terminarem para alterar as configurações.');
+            return;
+        }
 
-        let lastMessage = this.messages.lastElementChild;
-        
-        // If we just switched back and there's no message element yet, or it's not the AI one
-        if (!lastMessage || !lastMessage.classList.contains('ai')) {
-            // We might need to add the placeholder if it's missing (e.g. after reload/switch)
-            if (this.processingResponse) {
-                this.addMessage('', 'ai');
-                lastMessage = this.messages.lastElementChild;
+        const conversation = this.findConversation(this.currentConversationId);
+
+        try {
+            if (conversation && this.conversationSettingsInput.checked) {
+                conversation.settings = settings;
             } else {
-                return;
+                if (conversation) {
+                    delete conversation.settings;
+                }
+                this.settings = settings;
+                localStorage.setItem('settings', JSON.stringify(settings));
+                await this.aiCore.updateSessionSettings(settings);
+            }
+            if (conversation) {
+                this.store.saveConversation(conversation, false);
             }
-        }
 
-        const contentEl = lastMessage.querySelector('.message-content');
+            // Rebuild the open conversation's session right away
+            if (conversation) {
+                await this.aiCore.prepareConversation(conversation.id, this.toModelHistory(this.currentConversation), conversation.settings || null);
+            }
 
-        if (isStart) {
-            contentEl.innerHTML = '<span class="cursor-blinking"></span>';
-        } else {
-            contentEl.innerHTML = this.formatMessage(this.processingResponse) + '<span class="cursor-blinking"></span>';
-            this.scrollToBottom();
+            this.closeSettings();
+        } catch (error) {
+            console.error('Error applying settings:', error);
+            this.showSettingsError(`Não foi possível aplicar as configurações: ${error.message}`);
         }
     }
 
-    handleCompletion(result, action, metadata, original) {
-        const convId = metadata.conversationId;
-        
-        // Update the conversation in storage
-        const convIndex = this.conversations.findIndex(c => c.id === convId);
-        if (convIndex !== -1) {
-            this.conversations[convIndex].messages.push({ role: 'assistant', content: result });
-            this.saveConversations();
+    /**
+     * Quick-start cards on the welcome screen
+     */
+    renderWelcomeTemplates() {
+        this.welcomeTemplates.replaceChildren(...this.templates.list().slice(0, 4).map(template => {
+            const card = document.createElement('button');
+            card.className = 'welcome-template';
+
+            const name = document.createElement('span');
+            name.className = 'welcome-template-name';
+            name.textContent = template.name;
+
+            const description = document.createElement('span');
+            description.className = 'welcome-template-description';
+            description.textContent = template.description || `/${template.command}`;
+
+            card.append(name, description);
+            card.addEventListener('click', () => this.selectTemplate(template));
+            return card;
+        }));
+    }
+
+    /**
+     * Show the palette while the input is a lone "/command"
+     */
+    updateTemplatePalette() {
+        const match = this.messageInput.value.match(/^\/(\S*)$/);
+        const results = match ? this.templates.search(match[1]) : [];
+        if (results.length === 0) {
+            this.closeTemplatePalette();
+            return;
         }
 
-        // If we are looking at this conversation, finalize the UI
-        if (this.currentConversationId === convId) {
-            const lastMessage = this.messages.lastElementChild;
+        this.paletteResults = results;
+        this.paletteIndex = 0;
+        this.renderTemplatePalette();
+    }
+
+    renderTemplatePalette() {
+        this.templatePalette.replaceChildren(...this.paletteResults.map((template, index) => {
+            const item = document.createElement('div');
+            item.className = 'template-palette-item';
+            item.classList.toggle('active', index === this.paletteIndex);
+            item.setAttribute('role', 'option');
+
+            const command = document.createElement('span');
+            command.className = 'template-palette-command';
+            command.textContent = `/${template.command}`;
+
+            const name = document.createElement('span');
+            name.className = 'template-palette-name';
+            name.textContent = template.description ? `${template.name} — ${template.description}` : template.name;
+
+            item.append(command, name);
+            // mousedown instead of click so the input keeps the focus
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.selectTemplate(template);
+            });
+            return item;
+        }));
+
+        this.templatePalette.classList.remove('hidden');
+        this.templatePalette.children[this.paletteIndex].scrollIntoView?.({ block: 'nearest' });
+    }
+
+    closeTemplatePalette() {
+        this.paletteResults = [];
+        this.templatePalette.classList.add('hidden');
+    }
+
+    /**
+     * Keyboard navigation of the open palette. Returns true when the key
+     * was handled
+     */
+    handlePaletteKey(e) {
+        const count = this.paletteResults.length;
+        if (count === 0) return false;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            this.paletteIndex = (this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+            this.renderTemplatePalette();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            this.selectTemplate(this.paletteResults[this.paletteIndex]);
+        } else if (e.key === 'Escape') {
+            this.closeTemplatePalette();
+        } else {
+            return false;
+        }
+
+        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Actions of the command palette and the keyboard shortcuts (ids as in
+     * DEFAULT_KEY_BINDINGS). `available` hides a command that can't run
+     * now; `inInput` lets an unmodified key (Esc, ↑) work while typing:
+     * true, or a test of the focused field. `palette: false` leaves it
+     * out of the palette.
+     */
+    getCommands() {
+        const generating = () => this.pendingResponses.has(this.currentConversationId);
+
+        return [
+            {
+                id: 'commandPalette',
+                label: 'Paleta de comandos',
+                run: () => this.toggleCommandPalette(),
+                palette: false
+            },
+            {
+                id: 'newChat',
+                label: 'Nova conversa',
+                keywords: 'novo chat limpar tela',
+                run: () => {
+                    this.newConversation();
+                    this.messageInput.focus();
+                }
+            },
+            {
+                id: 'stopResponse',
+                label: 'Parar resposta',
+                keywords: 'cancelar interromper stop',
+                available: generating,
+                inInput: true,
+                run: () => this.stopCurrentResponse()
+            },
+            {
+                id: 'editLastMessage',
+                label: 'Editar última mensagem',
+                available: () => !generating() && !!this.getLastUserMessage(),
+                inInput: (target) => target === this.messageInput && !this.messageInput.value,
+                run: () => this.editLastMessage()
+            },
+            {
+                id: 'toggleTheme',
+                label: 'Alternar tema claro/escuro',
+                keywords: 'modo dark light',
+                run: () => this.toggleTheme()
+            },
+            {
+                id: 'exportChat',
+                label: 'Exportar conversa',
+                keywords: 'baixar salvar markdown json html',
+                available: () => !!this.findConversation(this.currentConversationId),
+                run: () => this.exportCurrentConversation()
+            },
+            {
+                id: 'exportAll',
+                label: 'Exportar todas as conversas',
+                keywords: 'baixar backup',
+                available: () => this.conversations.length > 0,
+                run: () => this.exportAllConversations()
+            },
+            {
+                id: 'clearHistory',
+                label: 'Limpar conversas',
+                keywords: 'apagar excluir histórico',
+                available: () => this.conversations.length > 0,
+                run: () => this.clearHistory()
+            },
+            {
+                id: 'openTemplates',
+                label: 'Modelos de prompt',
+                keywords: 'templates',
+                run: () => this.openTemplates()
+            },
+            {
+                id: 'openSettings',
+                label: 'Configurações',
+                keywords: 'temperatura prompt de sistema',
+                run: () => this.openSettings()
+            },
+            {
+                id: 'shortcutsHelp',
+                label: 'Atalhos de teclado',
+                keywords: 'teclas ajuda',
+                run: () => this.openShortcuts()
+            }
+        ];
+    }
+
+    /**
+     * Global keydown: run the command bound to the keys. Keys already
+     * handled by a field (the "/" palette, the message editor...) are
+     * left alone, and so are unmodified keys typed in a field unless the
+     * command allows it.
+     */
+    handleShortcut(e) {
+        if (this.recordingShortcut) {
+            this.recordShortcutKey(e);
+            return;
+        }
+        if (e.defaultPrevented || e.isComposing) return;
+
+        const id = this.keyBindings.match(e);
+        const command = id && this.getCommands().find(item => item.id === id);
+        if (!command) return;
+
+        const target = e.target instanceof Element ? e.target : null;
+        const editable = target && target.closest('input, textarea, select, [contenteditable="true"]');
+        if (editable && !KeyBindings.hasModifier(this.keyBindings.get(id))) {
+            const allowed = typeof command.inInput === 'function' ? command.inInput(editable) : !!command.inInput;
+            if (!allowed) return;
+        }
+        if (command.available && !command.available()) return;
+
+        e.preventDefault();
+        this.runCommand(command);
+    }
+
+    runCommand(command) {
+        if (command.id !== 'commandPalette') {
+            this.closeCommandPalette();
+        }
+        command.run();
+    }
+
+    getLastUserMessage() {
+        return [...this.currentConversation].reverse().find(message => message.role === 'user') || null;
+    }
+
+    /**
+     * Open the inline editor of the last user message (↑ in the empty input)
+     */
+    editLastMessage() {
+        const message = this.getLastUserMessage();
+        const messageEl = message && [...this.messages.children].find(el => el.dataset.messageId === message.id);
+        if (!messageEl) return;
+
+        messageEl.scrollIntoView({ block: 'nearest' });
+        const editor = messageEl.querySelector('.message-edit textarea');
+        if (editor) {
+            editor.focus();
+        } else {
+            this.startEditMessage(messageEl, message);
+        }
+    }
+
+    toggleCommandPalette() {
+        if (this.commandPalette.classList.contains('hidden')) {
+            this.openCommandPalette();
+        } else {
+            this.closeCommandPalette();
+        }
+    }
+
+    openCommandPalette() {
+        this.commandPaletteReturnFocus = document.activeElement;
+        this.commandPaletteInput.value = '';
+        this.commandPalette.classList.remove('hidden');
+        this.updateCommandPalette();
+        this.commandPaletteInput.focus();
+    }
+
+    closeCommandPalette() {
+        if (this.commandPalette.classList.contains('hidden')) return;
+        this.commandPalette.classList.add('hidden');
+        this.commandPaletteItems = [];
+
+        const returnFocus = this.commandPaletteReturnFocus;
+        this.commandPaletteReturnFocus = null;
+        if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) {
+            returnFocus.focus();
+        }
+    }
+
+    /**
+     * Available commands and the conversations (to switch to), fuzzy
+     * matched against the query. Without a query only the most recent
+     * conversations are listed.
+     */
+    updateCommandPalette() {
+        const query = this.commandPaletteInput.value;
+        const commands = this.getCommands()
+            .filter(command => command.palette !== false && (!command.available || command.available()))
+            .map(command => ({
+                label: command.label,
+                keywords: command.keywords,
+                hint: KeyBindings.format(this.keyBindings.get(command.id)),
+                run: () => this.runCommand(command)
+            }));
+        const conversations = this.conversations
+            .filter(conversation => conversation.id !== this.currentConversationId)
+            .slice(0, query.trim() ? undefined : 8)
+            .map(conversation => ({
+                label: conversation.title,
+                hint: 'Conversa',
+                run: () => {
+                    this.closeCommandPalette();
+                    this.loadConversation(conversation);
+                }
+            }));
+
+        this.commandPaletteItems = CommandSearch.filter([...commands, ...conversations], query).slice(0, 50);
+        this.commandPaletteIndex = 0;
+        this.renderCommandPalette();
+    }
+
+    renderCommandPalette() {
+        if (this.commandPaletteItems.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'command-palette-empty';
+            empty.textContent = 'Nenhum comando ou conversa encontrado.';
+            this.commandPaletteList.replaceChildren(empty);
+            return;
+        }
+
+        this.commandPaletteList.replaceChildren(...this.commandPaletteItems.map((item, index) => {
+            const element = document.createElement('div');
+            element.className = 'command-palette-item';
+            element.classList.toggle('active', index === this.commandPaletteIndex);
+            element.setAttribute('role', 'option');
+
+            const label = document.createElement('span');
+            label.className = 'command-palette-label';
+            label.textContent = item.label;
+            element.appendChild(label);
+
+            if (item.hint) {
+                const hint = document.createElement('span');
+                hint.className = 'command-palette-hint';
+                hint.textContent = item.hint;
+                element.appendChild(hint);
+            }
+
+            // mousedown instead of click so the input keeps the focus
+            element.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                item.run();
+            });
+            return element;
+        }));
+
+        this.commandPaletteList.children[this.commandPaletteIndex].scrollIntoView?.({ block: 'nearest' });
+    }
+
+    handleCommandPaletteKey(e) {
+        const count = this.commandPaletteItems.length;
+
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && count > 0) {
+            this.commandPaletteIndex = (this.commandPaletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+            this.renderCommandPalette();
+        } else if (e.key === 'Enter' && count > 0) {
+            this.commandPaletteItems[this.commandPaletteIndex].run();
+        } else if (e.key === 'Escape') {
+            this.closeCommandPalette();
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+    }
+
+    openShortcuts() {
+        this.closeSettings();
+        this.closeTemplates();
+        this.recordingShortcut = null;
+        this.renderShortcutsList();
+        this.shortcutsDrawer.classList.remove('hidden');
+    }
+
+    closeShortcuts() {
+        this.recordingShortcut = null;
+        this.shortcutsDrawer.classList.add('hidden');
+    }
+
+    /**
+     * Each command with its keys and buttons to change or remove them
+     */
+    renderShortcutsList() {
+        const commands = this.getCommands();
+
+        this.shortcutsList.replaceChildren(...this.keyBindings.list().map(({ id, combo }) => {
+            const command = commands.find(item => item.id === id);
+            const recording = this.recordingShortcut === id;
+
+            const item = document.createElement('div');
+            item.className = 'template-item';
+
+            const info = document.createElement('div');
+            info.className = 'template-item-info';
+            const name = document.createElement('span');
+            name.className = 'template-item-name';
+            name.textContent = command ? command.label : id;
+            info.appendChild(name);
+
+            const keys = document.createElement('kbd');
+            keys.className = 'shortcut-keys';
+            keys.classList.toggle('empty', !combo && !recording);
+            keys.classList.toggle('recording', recording);
+            keys.textContent = recording ? 'Pressione as teclas…' : (KeyBindings.format(combo) || 'Nenhum');
+
+            const changeBtn = document.createElement('button');
+            changeBtn.type = 'button';
+            changeBtn.className = 'settings-btn';
+            changeBtn.textContent = recording ? 'Cancelar' : 'Alterar';
+            changeBtn.addEventListener('click', () => {
+                this.recordingShortcut = recording ? null : id;
+                this.renderShortcutsList();
+            });
+
+            item.append(info, keys, changeBtn);
+
+            if (combo && !recording) {
+                const removeBtn = this.createActionButton('Remover atalho', `
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                `, () => this.setShortcut(id, null));
+                item.appendChild(removeBtn);
+            }
+            return item;
+        }));
+
+        if (this.recordingShortcut) {
+            const recordingBtn = this.shortcutsList.querySelector('.shortcut-keys.recording + .settings-btn');
+            if (recordingBtn) recordingBtn.focus();
+        }
+    }
+
+    /**
+     * Keydown while recording: the first combination (not a lone
+     * modifier) becomes the command's shortcut
+     */
+    recordShortcutKey(e) {
+        const combo = KeyBindings.fromEvent(e);
+        if (!combo) return;
+        // Tab and Enter keep working on the drawer's buttons
+        if (combo === 'Tab' || combo === 'Shift+Tab' || combo === 'Enter') return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        const id = this.recordingShortcut;
+        this.recordingShortcut = null;
+        this.setShortcut(id, combo);
+    }
+
+    /**
+     * Bind (or, with null, unbind) a command, taking the keys from the
+     * command that had them when the user agrees
+     */
+    setShortcut(id, combo) {
+        const other = this.keyBindings.commandFor(combo);
+        if (other && other !== id) {
+            const labels = Object.fromEntries(this.getCommands().map(command => [command.id, command.label]));
+            if (!confirm(`${KeyBindings.format(combo)} já é o atalho de "${labels[other]}". Usar para "${labels[id]}"?`)) {
+                this.renderShortcutsList();
+                return;
+            }
+            this.keyBindings.set(other, null);
+        }
+
+        this.keyBindings.set(id, combo);
+        this.keyBindings.save();
+        this.renderShortcutsList();
+    }
+
+    resetShortcuts() {
+        this.recordingShortcut = null;
+        this.keyBindings.reset();
+        this.keyBindings.save();
+        this.renderShortcutsList();
+        this.showToast('Atalhos restaurados.', 'success');
+    }
+
+    /**
+     * Templates without variables are sent right away; the others ask for
+     * their values first
+     */
+    selectTemplate(template) {
+        this.closeTemplatePalette();
+        if (this.messageInput.value.startsWith('/')) {
+            this.messageInput.value = '';
+            this.resizeTextarea();
+        }
+
+        const variables = TemplateLibrary.extractVariables(template.prompt);
+        if (variables.length === 0) {
+            this.sendTemplate(template, {});
+        } else {
+            this.openTemplateForm(template, variables);
+        }
+    }
+
+    openTemplateForm(template, variables) {
+        this.activeTemplate = template;
+        this.templateFormTitle.textContent = template.name;
+
+        this.templateFormFields.replaceChildren(...variables.map(name => {
+            const label = document.createElement('label');
+            label.className = 'settings-field';
+
+            const title = document.createElement('span');
+            title.textContent = name;
+
+            // Long inputs (text, code) get room; short ones submit on Enter
+            const input = document.createElement('textarea');
+            input.name = name;
+            input.rows = /texto|text|codigo|code|conteudo/.test(SearchIndex.normalize(name)) ? 4 : 1;
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey || (input.rows === 1 && !e.shiftKey))) {
+                    e.preventDefault();
+                    this.templateForm.requestSubmit();
+                }
+            });
+
+            label.append(title, input);
+            return label;
+        }));
+
+        this.templateForm.classList.remove('hidden');
+        this.templateFormFields.querySelector('textarea').focus();
+    }
+
+    closeTemplateForm() {
+        this.activeTemplate = null;
+        this.templateForm.classList.add('hidden');
+        this.templateFormFields.replaceChildren();
+    }
+
+    submitTemplateForm() {
+        const values = {};
+        for (const field of this.templateFormFields.querySelectorAll('textarea')) {
+            values[field.name] = field.value.trim();
+            if (!values[field.name]) {
+                this.showToast(`Preencha o campo "${field.name}".`);
+                field.focus();
+                return;
+            }
+        }
+
+        this.sendTemplate(this.activeTemplate, values);
+    }
+
+    /**
+     * Send a filled template. Its system prompt and temperature become the
+     * conversation's own settings, as if set in the settings drawer.
+     */
+    sendTemplate(template, values) {
+        if (this.isConversationBusy(this.currentConversationId)) {
+            this.showToast('Aguarde a resposta em andamento terminar.');
+            return;
+        }
+
+        // Templates are chat prompts, not task inputs
+        this.closeTemplateForm();
+        this.setTaskMode('ask');
+        this.messageInput.value = TemplateLibrary.fill(template.prompt, values);
+        this.sendMessage(this.getTemplateSettings(template));
+    }
+
+    getTemplateSettings(template) {
+        if (template.systemPrompt === undefined && template.temperature === undefined) return null;
+
+        const settings = this.getEffectiveSettings();
+        if (template.systemPrompt !== undefined) {
+            settings.systemPrompt = template.systemPrompt;
+        }
+        if (template.temperature !== undefined) {
+            settings.temperature = Math.min(template.temperature, this.getSettingsLimits().maxTemperature);
+        }
+        return settings;
+    }
+
+    openTemplates() {
+        this.closeSettings();
+        this.closeShortcuts();
+        this.closeTemplateEditor();
+        this.renderTemplatesList();
+        this.templatesDrawer.classList.remove('hidden');
+    }
+
+    closeTemplates() {
+        this.templatesDrawer.classList.add('hidden');
+    }
+
+    renderTemplatesList() {
+        const templates = this.templates.list();
+        if (templates.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'templates-empty';
+            empty.textContent = 'Nenhum modelo. Crie um novo ou importe um arquivo.';
+            this.templatesList.replaceChildren(empty);
+            return;
+        }
+
+        this.templatesList.replaceChildren(...templates.map(template => {
+            const item = document.createElement('div');
+            item.className = 'template-item';
+
+            const info = document.createElement('div');
+            info.className = 'template-item-info';
+            const name = document.createElement('span');
+            name.className = 'template-item-name';
+            name.textContent = template.name;
+            const command = document.createElement('span');
+            command.className = 'template-item-command';
+            command.textContent = `/${template.command}`;
+            info.append(name, command);
+
+            item.append(
+                info,
+                this.createActionButton('Editar modelo', `
+                    <path d="M12 20h9"></path>
+                    <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                `, () => this.openTemplateEditor(template)),
+                this.createActionButton('Excluir modelo', `
+                    <polyline points="3 6 5 6 21 6"></polyline>
+                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                `, () => this.deleteTemplate(template))
+            );
+            return item;
+        }));
+    }
+
+    /**
+     * Edit a template, or create one when none is given
+     */
+    openTemplateEditor(template = null) {
+        this.editingTemplateId = template ? template.id : null;
+        this.templateNameInput.value = template ? template.name : '';
+        this.templateCommandInput.value = template ? template.command : '';
+        this.templateDescriptionInput.value = template?.description || '';
+        this.templatePromptInput.value = template ? template.prompt : '';
+        this.templateSystemPromptInput.value = template?.systemPrompt || '';
+        this.templateTemperatureInput.value = template?.temperature ?? '';
+
+        this.templateEditError.classList.add('hidden');
+        this.templatesPanel.classList.add('hidden');
+        this.templateEditForm.classList.remove('hidden');
+        this.templateNameInput.focus();
+    }
+
+    closeTemplateEditor() {
+        this.editingTemplateId = null;
+        this.templateEditForm.classList.add('hidden');
+        this.templatesPanel.classList.remove('hidden');
+    }
+
+    saveTemplateEditor() {
+        const template = {
+            id: this.editingTemplateId || ConversationStore.createId(),
+            name: this.templateNameInput.value.trim(),
+            command: this.templateCommandInput.value.trim().replace(/^\//, '').toLowerCase(),
+            description: this.templateDescriptionInput.value.trim(),
+            prompt: this.templatePromptInput.value.trim()
+        };
+
+        const systemPrompt = this.templateSystemPromptInput.value.trim();
+        if (systemPrompt) {
+            template.systemPrompt = systemPrompt;
+        }
+        const temperature = this.templateTemperatureInput.value.trim();
+        if (temperature !== '') {
+            template.temperature = Number(temperature);
+        }
+
+        const error = this.templates.upsert(template);
+        if (error) {
+            this.templateEditError.textContent = `Não foi possível salvar: ${error}.`;
+            this.templateEditError.classList.remove('hidden');
+            return;
+        }
+
+        this.closeTemplateEditor();
+        this.renderTemplatesList();
+        this.renderWelcomeTemplates();
+    }
+
+    deleteTemplate(template) {
+        if (!confirm(`Excluir o modelo "${template.name}"?`)) return;
+
+        this.templates.remove(template.id);
+        this.renderTemplatesList();
+        this.renderWelcomeTemplates();
+    }
+
+    exportTemplates() {
+        this.exporter.download('modelos-de-prompt.json', this.templates.toJSON(), 'application/json');
+    }
+
+    /**
+     * Merge templates from an exported JSON file
+     */
+    async importTemplates(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this.showToast(`Não foi possível ler o arquivo: ${error.message}`);
+            return;
+        }
+
+        const { imported, errors } = this.templates.import(text);
+        errors.forEach(error => this.showToast(error));
+        if (imported === 0) return;
+
+        this.renderTemplatesList();
+        this.renderWelcomeTemplates();
+        this.showToast(`${imported} modelo(s) importado(s).`, 'success');
+    }
+
+    loadTaskOptions() {
+        try {
+            this.taskOptions = JSON.parse(localStorage.getItem('taskOptions')) || {};
+        } catch (e) {
+            this.taskOptions = {};
+        }
+    }
+
+    /**
+     * Mode selector: chat plus every task in AITasks
+     */
+    renderTaskModes() {
+        const modes = [{ id: 'ask', label: 'Conversar' }, ...AITasks.list()];
+        this.taskModeSelect.replaceChildren(...modes.map(mode => new Option(mode.label, mode.id)));
+        this.setTaskMode(this.taskMode);
+    }
+
+    setTaskMode(mode) {
+        this.taskMode = AITasks.has(mode) ? mode : 'ask';
+        this.taskModeSelect.value = this.taskMode;
+        this.renderTaskOptions();
+    }
+
+    /**
+     * Selects for the current task's options
+     */
+    renderTaskOptions() {
+        const task = AITasks.get(this.taskMode);
+        this.messageInput.placeholder = task ? task.placeholder : 'Digite uma mensagem...';
+        this.taskBar.classList.toggle('active', !!task);
+        this.taskStatus.textContent = '';
+
+        if (!task) {
+            this.taskOptionsFields.replaceChildren();
+            return;
+        }
+
+        const mode = this.taskMode;
+        const values = AITasks.resolveOptions(mode, this.taskOptions[mode]);
+        this.taskOptionsFields.replaceChildren(...Object.entries(task.options).map(([name, option]) => {
+            const label = document.createElement('label');
+            label.className = 'task-option';
+
+            const title = document.createElement('span');
+            title.textContent = option.label;
+
+            const select = document.createElement('select');
+            select.className = 'task-select';
+            option.choices.forEach(([value, text]) => select.add(new Option(text, value)));
+            select.value = values[name];
+            select.addEventListener('change', () => {
+                this.taskOptions[mode] = { ...this.taskOptions[mode], [name]: select.value };
+                localStorage.setItem('taskOptions', JSON.stringify(this.taskOptions));
+                this.updateTaskStatus();
+            });
+
+            label.append(title, select);
+            return label;
+        }));
+
+        this.updateTaskStatus();
+    }
+
+    /**
+     * Show whether the task runs on the browser's API or on the chat model
+     */
+    async updateTaskStatus() {
+        const mode = this.taskMode;
+        if (!AITasks.has(mode)) return;
+
+        const { native, availability } = await this.aiCore.checkTaskAvailability(mode, this.taskOptions[mode]);
+        if (mode !== this.taskMode) return;
+
+        const labels = {
+            downloadable: 'API do navegador (baixada no primeiro uso)',
+            'after-download': 'API do navegador (baixada no primeiro uso)',
+            downloading: 'API do navegador (baixando...)'
+        };
+        this.taskStatus.textContent = native ? (labels[availability] || 'API do navegador') : 'Via modelo de linguagem';
+    }
+
+    handleTaskProgress(task, progress) {
+        if (progress < 1) {
+            this.taskStatus.textContent = `Baixando modelo de ${AITasks.get(task).label.toLowerCase()}: ${Math.round(progress * 100)}%`;
+        } else {
+            this.updateTaskStatus();
+        }
+    }
+
+    resizeTextarea() {
+        this.messageInput.style.height = 'auto';
+        this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 150) + 'px';
+    }
+
+    /**
+     * Send the input as a user message. `settings` (from a template)
+     * become the conversation's settings before the model is asked.
+     */
+    async sendMessage(settings = null) {
+        const text = this.messageInput.value.trim();
+        const media = this.draftMedia;
+        if ((!text && media.length === 0) || this.isConversationBusy(this.currentConversationId)) return;
+        if (media.length > 0 && this.taskMode !== 'ask') {
+            this.showToast('Imagens e áudios só podem ser enviados no modo de conversa.', 'info');
+            return;
+        }
+
+        // Hide welcome screen
+        this.welcomeScreen.classList.add('hidden');
+
+        // History the model session should know before this prompt
+        const history = [...this.currentConversation];
+        const parent = history[history.length - 1];
+
+        // In a task mode the message is the task's input
+        const action = this.taskMode;
+        const task = AITasks.has(action) ? { action, options: AITasks.resolveOptions(action, this.taskOptions[action]) } : null;
+
+        // Add user message, continuing the selected branch
+        const userMessage = { id: ConversationStore.createId(), role: 'user', content: text, parentId: parent ? parent.id : null };
+        if (task) {
+            userMessage.task = task;
+        }
+        if (media.length > 0) {
+            userMessage.attachments = media.map(record => MediaAttachments.describe(record));
+        }
+        this.currentConversation.push(userMessage);
+
+        // Ensure we have a conversation ID
+        if (this.currentConversationId === null) {
+            this.saveCurrentConversation();
+            this.adoptDraftDocuments(this.currentConversationId);
+        } else {
+            const conversation = this.findConversation(this.currentConversationId);
+            if (conversation) {
+                conversation.messages.push(userMessage);
+                conversation.leafId = userMessage.id;
+                this.persistMessage(conversation, userMessage);
+            }
+        }
+        const conversationId = this.currentConversationId;
+        if (settings) {
+            const conversation = this.findConversation(conversationId);
+            conversation.settings = settings;
+            this.store.saveConversation(conversation, false);
+        }
+        if (media.length > 0) {
+            this.saveMediaRecords(conversationId, media);
+        }
+        this.addMessage(text, 'user', false, userMessage.id);
+        this.searchIndex.addMessage(conversationId, userMessage);
+
+        // Clear input (a dictation still running would fill it again)
+        this.dictation.abort();
+        this.messageInput.value = '';
+        this.resizeTextarea();
+        if (media.length > 0) {
+            this.draftMedia = [];
+            this.renderAttachments();
+        }
+
+        await this.generateResponse(conversationId, history, text, { parentId: userMessage.id }, action, task && task.options);
+    }
+
+    /**
+     * Stream the model's answer for a conversation. `history` is the
+     * branch the session must know before `text`. With action 'ask' the
+     * answer becomes a new child of metadata.parentId; with 'continue' it
+     * is appended to metadata.messageId. Task actions ('summarize'...,
+     * see AITasks) answer like 'ask' with `taskOptions`, without the
+     * conversation's session or the attached documents. Images and audio
+     * of the user message at metadata.parentId go with an 'ask' prompt.
+     */
+    async generateResponse(conversationId, history, text, metadata, action = 'ask', taskOptions = null) {
+        metadata = { ...metadata, conversationId };
+        const conversation = this.findConversation(conversationId);
+        const promptMessage = conversation && action === 'ask'
+            ? conversation.messages.find(msg => msg.id === metadata.parentId)
+            : null;
+
+        // The best passages of the attached documents go before the prompt
+        const passages = action === 'ask' ? this.documentIndex.search(conversationId, text) : [];
+        const sources = passages.map((passage, index) => ({
+            n: index + 1,
+            documentId: passage.document.id,
+            chunkId: passage.chunk.id,
+            name: passage.document.name,
+            index: passage.chunk.index
+        }));
+
+        const pending = { requestId: null, action, metadata, text: action === 'continue' ? metadata.prefix || '' : '', started: false, toolCalls: [], sources };
+        this.pendingResponses.set(conversationId, pending);
+
+        // Add AI message placeholder with typing indicator
+        if (action !== 'continue') {
+            this.addMessage('', 'ai', true);
+        }
+
+        // Requests from every conversation share one queue; each carries
+        // the branch its session has to be restored from
+        const request = this.aiCore.enqueue(text, {
+            action,
+            metadata,
+            // Tasks don't use the conversation's session
+            history: AITasks.has(action) ? null : this.toModelHistory(history),
+            overrides: conversation?.settings || null,
+            taskOptions,
+            media: promptMessage ? this.getMessageMedia(promptMessage) : undefined,
+            context: passages.length > 0 ? DocumentIndex.formatContext(passages) : undefined,
+            onStart: () => this.handleStreaming('', true, action, metadata),
+            onChunk: (chunk) => this.handleStreaming(chunk, false, action, metadata),
+            onComplete: (result) => this.handleCompletion(result, action, metadata, text),
+            onToolCall: (call) => this.handleToolCall(call, metadata),
+            onError: (error) => this.showError(error)
+        });
+        pending.requestId = request.id;
+
+        // Swap send for stop while the model generates
+        this.updateGeneratingUI();
+        if (this.aiCore.getQueuePosition(request.id) > 0) {
+            this.showQueuedLabel();
+        }
+
+        try {
+            const response = await request.promise;
+
+            // Stopped or removed from the queue: keep what was generated so
+            // far, or nothing when the request never produced any text (an
+            // empty turn would be fed to every later session rebuild)
+            if (response && (response.aborted || response.cancelled)) {
+                if (response.result) {
+                    this.handleCompletion(response.result, action, metadata, text, true);
+                } else {
+                    this.discardPendingAnswer(action, metadata);
+                }
+            }
+
+        } catch (error) {
+            console.error('Error sending message:', error);
+            // Only show error in UI if it's the active conversation
+            if (this.currentConversationId === conversationId) {
+                this.addMessage('Desculpe, ocorreu um erro ao processar sua mensagem.', 'ai');
+            }
+        } finally {
+            this.pendingResponses.delete(conversationId);
+            this.updateGeneratingUI();
+        }
+    }
+
+    /**
+     * A request stopped or cancelled before it generated anything: drop
+     * its placeholder and show again the branch that was there before
+     * (a continued answer stays as it was)
+     */
+    discardPendingAnswer(action, metadata) {
+        const convId = metadata.conversationId;
+        const pending = this.pendingResponses.get(convId);
+        if (pending && pending === this.spokenResponse) {
+            this.spokenResponse = null;
+            this.playback.stop();
+        }
+        // renderThread() would restore the placeholder of a pending answer
+        this.pendingResponses.delete(convId);
+
+        const conversation = this.findConversation(convId);
+        if (conversation && metadata.parentId && action !== 'continue') {
+            conversation.leafId = ConversationTree.findLeaf(conversation, metadata.parentId);
+            this.store.saveConversation(conversation, false);
+        }
+
+        if (this.currentConversationId !== convId) return;
+        if (conversation) {
+            this.currentConversation = ConversationTree.getThread(conversation);
+            this.renderThread();
+        } else {
+            const lastMessage = this.messages.lastElementChild;
+            if (lastMessage && lastMessage.classList.contains('ai') && !lastMessage.dataset.messageId) {
+                lastMessage.remove();
+            }
+        }
+    }
+
+    isConversationBusy(conversationId) {
+        if (!this.pendingResponses.has(conversationId)) return false;
+        this.showToast('Aguarde a resposta desta conversa terminar (ou pare-a) antes de continuar.', 'info');
+        return true;
+    }
+
+    stopCurrentResponse() {
+        const pending = this.pendingResponses.get(this.currentConversationId);
+        if (pending) {
+            this.aiCore.cancel(pending.requestId);
+        }
+    }
+
+    /**
+     * Show stop instead of send while the open conversation has an answer pending
+     */
+    updateGeneratingUI() {
+        const generating = this.pendingResponses.has(this.currentConversationId);
+        this.sendBtn.classList.toggle('hidden', generating);
+        this.stopBtn.classList.toggle('hidden', !generating);
+    }
+
+    /**
+     * How much of the model's context window the open conversation uses
+     */
+    updateContextMeter(usage = this.aiCore.getContextUsage(this.currentConversationId)) {
+        if (!usage) {
+            this.contextMeter.classList.add('hidden');
+            return;
+        }
+
+        const percent = Math.min(100, Math.round(usage.used / usage.quota * 100));
+        this.contextMeter.classList.remove('hidden');
+        this.contextMeter.classList.toggle('warning', percent >= this.aiCore.contextThreshold * 100);
+        this.contextMeterFill.style.width = `${percent}%`;
+        this.contextMeterText.textContent = `${percent}%`;
+        this.contextMeter.title = `Contexto: ${usage.used} de ${usage.quota} tokens` +
+            (usage.summarized ? ` (${usage.summarized} mensagens resumidas)` : '');
+    }
+
+    /**
+     * Note on the placeholder of an answer waiting for other conversations
+     */
+    showQueuedLabel() {
+        const lastMessage = this.messages.lastElementChild;
+        if (!lastMessage || !lastMessage.classList.contains('ai') || lastMessage.querySelector('.queue-label')) return;
+
+        const label = document.createElement('span');
+        label.className = 'queue-label';
+        label.textContent = 'Na fila, aguardando outra conversa...';
+        lastMessage.querySelector('.message-content').appendChild(label);
+    }
+
+    addMessage(content, role, isTyping = false, messageId = null) {
+        const messageEl = document.createElement('div');
+        messageEl.className = `message ${role}`;
+        if (messageId) {
+            messageEl.dataset.messageId = messageId;
+        }
+
+        const avatarSvg = role === 'user'
+            ? `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
+                <circle cx="12" cy="7" r="4"></circle>
+               </svg>`
+            : `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="12" cy="12" r="10"></circle>
+                <path d="M8 14s1.5 2 4 2 4-2 4-2"></path>
+                <line x1="9" y1="9" x2="9.01" y2="9"></line>
+                <line x1="15" y1="9" x2="15.01" y2="9"></line>
+               </svg>`;
+
+        messageEl.innerHTML = `
+            <div class="message-avatar">${avatarSvg}</div>
+            <div class="message-body">
+                <div class="message-content">
+                    ${isTyping ? '<div class="typing-indicator"><span></span><span></span><span></span></div>' : ''}
+                </div>
+                <div class="message-actions"></div>
+            </div>
+        `;
+
+        // Model output never goes through innerHTML
+        if (!isTyping) {
+            messageEl.querySelector('.message-content').replaceChildren(this.formatMessage(content));
+        }
+        if (messageId) {
+            this.renderMessageMedia(messageEl);
+            this.renderMessageActions(messageEl);
+        }
+
+        this.messages.appendChild(messageEl);
+        this.scrollToBottom();
+
+        return messageEl;
+    }
+
+    /**
+     * Render Markdown into a sanitized DocumentFragment
+     */
+    formatMessage(content) {
+        return this.markdown.render(content);
+    }
+
+    /**
+     * Incremental renderer for a message being streamed
+     */
+    getMarkdownStream(contentEl) {
+        let stream = this.markdownStreams.get(contentEl);
+        if (!stream) {
+            stream = this.markdown.createStream(contentEl);
+            this.markdownStreams.set(contentEl, stream);
+        }
+        return stream;
+    }
+
+    handleStreaming(chunk, isStart, action, metadata) {
+        const pending = this.pendingResponses.get(metadata.conversationId);
+        if (!pending) return;
+
+        // Always track the response content, regardless of active view
+        if (isStart) {
+            pending.started = true;
+        } else {
+            pending.text += chunk;
+        }
+
+        // Only update UI if we are looking at the correct conversation
+        if (this.currentConversationId !== metadata.conversationId) return;
+
+        // Spoken answers follow the stream sentence by sentence
+        if (this.speakAnswers && isStart) {
+            this.stopSpeaking();
+            this.spokenResponse = pending;
+        } else if (this.spokenResponse === pending) {
+            this.playback.push(chunk);
+        }
+
+        let lastMessage = this.messages.lastElementChild;
+        
+        // If we just switched back and there's no message element yet, or it's not the AI one
+        if (!lastMessage || !lastMessage.classList.contains('ai')) {
+            // We might need to add the placeholder if it's missing (e.g. after reload/switch)
+            if (pending.text) {
+                this.addMessage('', 'ai');
+                lastMessage = this.messages.lastElementChild;
+            } else {
+                return;
+            }
+        }
+
+        const contentEl = lastMessage.querySelector('.message-content');
+
+        // Only the trailing Markdown block is re-parsed on each chunk
+        this.getMarkdownStream(contentEl).update(ToolRegistry.stripCalls(pending.text));
+        if (!isStart) {
+            this.scrollToBottom();
+        }
+    }
+
+    /**
+     * A tool ran: the text streamed so far was the call itself, so it is
+     * dropped and the call shows up as a card instead
+     */
+    handleToolCall(call, metadata) {
+        const pending = this.pendingResponses.get(metadata.conversationId);
+        if (!pending) return;
+
+        pending.toolCalls.push(call);
+        pending.text = pending.action === 'continue' ? metadata.prefix || '' : '';
+
+        if (this.currentConversationId !== metadata.conversationId) return;
+
+        const lastMessage = this.messages.lastElementChild;
+        if (!lastMessage || !lastMessage.classList.contains('ai')) return;
+
+        this.renderToolCalls(lastMessage, this.getPendingToolCalls(pending));
+        this.getMarkdownStream(lastMessage.querySelector('.message-content')).update(pending.text);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Tool calls to show on a pending answer (a continued answer keeps its earlier ones)
+     */
+    getPendingToolCalls(pending) {
+        const conversation = this.findConversation(pending.metadata.conversationId);
+        const continued = pending.action === 'continue' && conversation
+            ? conversation.messages.find(msg => msg.id === pending.metadata.messageId)
+            : null;
+        return [...(continued?.toolCalls || []), ...pending.toolCalls];
+    }
+
+    /**
+     * Collapsible cards with each tool call's arguments and result,
+     * above the answer text
+     */
+    renderToolCalls(messageEl, toolCalls = []) {
+        let container = messageEl.querySelector('.tool-calls');
+        if (toolCalls.length === 0) {
+            if (container) container.remove();
+            return;
+        }
+
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'tool-calls';
+            messageEl.querySelector('.message-body').insertBefore(container, messageEl.querySelector('.message-content'));
+        }
+        container.replaceChildren(...toolCalls.map(call => this.createToolCard(call)));
+    }
+
+    createToolCard(call) {
+        const card = document.createElement('details');
+        card.className = `tool-card${call.error ? ' error' : ''}`;
+
+        const summary = document.createElement('summary');
+        const name = document.createElement('span');
+        name.className = 'tool-card-name';
+        name.textContent = call.name || 'ferramenta';
+        const status = document.createElement('span');
+        status.className = 'tool-card-status';
+        status.textContent = call.error ? 'falhou' : 'concluída';
+        summary.append('Ferramenta ', name, status);
+        card.appendChild(summary);
+
+        const sections = [['Argumentos', call.arguments || {}]];
+        sections.push(call.error ? ['Erro', call.error] : ['Resultado', call.result]);
+
+        for (const [label, value] of sections) {
+            const title = document.createElement('div');
+            title.className = 'tool-card-label';
+            title.textContent = label;
+            const pre = document.createElement('pre');
+            pre.textContent = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+            card.append(title, pre);
+        }
+
+        return card;
+    }
+
+    /**
+     * Store a finished (or stopped) answer. 'continue' extends the
+     * existing message instead of adding a new one.
+     */
+    handleCompletion(result, action, metadata, original, stopped = false) {
+        const convId = metadata.conversationId;
+        const conversation = this.findConversation(convId);
+        const continued = action === 'continue' && conversation
+            ? conversation.messages.find(msg => msg.id === metadata.messageId)
+            : null;
+
+        let message;
+        if (continued) {
+            message = continued;
+            message.content = (metadata.prefix || '') + result;
+        } else {
+            message = { id: ConversationStore.createId(), role: 'assistant', content: result, parentId: metadata.parentId || null };
+        }
+
+        if (stopped) {
+            message.stopped = true;
+        } else {
+            delete message.stopped;
+        }
+
+        const pending = this.pendingResponses.get(convId);
+        if (pending && pending === this.spokenResponse) {
+            this.spokenResponse = null;
+            if (stopped) {
+                this.playback.stop();
+            } else {
+                this.playback.finish();
+            }
+        }
+        if (pending && pending.toolCalls.length > 0) {
+            message.toolCalls = [...(message.toolCalls || []), ...pending.toolCalls];
+        }
+        if (pending && pending.sources.length > 0 && !continued) {
+            message.sources = pending.sources;
+        }
+
+        // Update the conversation in storage
+        if (conversation) {
+            if (!continued) {
+                conversation.messages.push(message);
+                conversation.leafId = message.id;
+            }
+            this.persistMessage(conversation, message);
+            this.searchIndex.addMessage(convId, message);
+        }
+
+        // If we are looking at this conversation, finalize the UI
+        if (this.currentConversationId === convId) {
+            const lastMessage = this.messages.lastElementChild;
             if (lastMessage && lastMessage.classList.contains('ai')) {
                 const contentEl = lastMessage.querySelector('.message-content');
-                contentEl.innerHTML = this.formatMessage(result); // Remove cursor
+                this.getMarkdownStream(contentEl).finish(message.content); // Remove cursor
+                this.renderToolCalls(lastMessage, message.toolCalls);
+                this.renderCitations(lastMessage, message.sources);
+                lastMessage.dataset.messageId = message.id;
+                this.renderMessageActions(lastMessage);
             }
-            
-            // Also update the current working copy
-            // Check if it's already added (avoid duplicates if logic is complex)
-            // But usually we just push to conversations array. 
-            // The currentConversation array is a copy used for display logic, 
-            // but we should sync it.
-            this.currentConversation.push({ role: 'assistant', content: result });
+
+            // Also update the current working copy (continued messages are already in it)
+            if (!continued) {
+                this.currentConversation.push(message);
+            }
+        }
+    }
+
+    scrollToBottom() {
+        this.messages.scrollTop = this.messages.scrollHeight;
+    }
+
+    newConversation() {
+        // Save current conversation if not empty AND it's a new conversation (not already saved)
+        if (this.currentConversation.length > 0 && this.currentConversationId === null) {
+            this.saveCurrentConversation();
+        }
+
+        // Reset for new conversation
+        this.stopSpeaking();
+        this.currentConversation = [];
+        this.currentConversationId = null;
+        this.messages.innerHTML = '';
+        this.welcomeScreen.classList.remove('hidden');
+        this.updateGeneratingUI();
+        this.updateContextMeter();
+        this.renderAttachments();
+
+        // Update sidebar to show no conversation selected
+        this.renderConversationsList();
+    }
+
+    saveCurrentConversation() {
+        if (this.currentConversation.length === 0) return;
+
+        // Check if this conversation already exists
+        if (this.currentConversationId !== null) {
+            // Update existing conversation
+            const existing = this.findConversation(this.currentConversationId);
+            if (existing) {
+                this.store.saveConversation(existing);
+                return;
+            }
+        }
+
+        // Create new conversation
+        const title = this.currentConversation[0]?.content?.substring(0, 30) || 'Nova Conversa';
+        const conversation = {
+            id: this.createConversationId(),
+            title: title + (title.length >= 30 ? '...' : ''),
+            messages: [...this.currentConversation],
+            leafId: this.currentConversation[this.currentConversation.length - 1].id,
+            timestamp: new Date().toISOString(),
+            pinned: false,
+            folderId: null
+        };
+
+        this.currentConversationId = conversation.id;
+        this.conversations.unshift(conversation);
+        this.store.saveConversation(conversation);
+        this.renderConversationsList();
+    }
+
+    findConversation(id) {
+        if (id === null || id === undefined) return null;
+        return this.conversations.find(c => c.id === id) || null;
+    }
+
+    async loadConversations() {
+        this.store.setErrorCallback((message) => this.showToast(message));
+
+        try {
+            await this.store.importLegacy();
+            this.conversations = await this.store.loadConversations();
+            this.folders = await this.store.loadFolders();
+            this.searchIndex.rebuild(this.conversations);
+            (await this.store.loadDocuments()).forEach(attachment => this.documentIndex.add(attachment));
+            (await this.store.loadMedia()).forEach(record => this.mediaRecords.set(record.id, record));
+        } catch (e) {
+            console.error('Error loading conversations:', e);
+            this.showToast('Não foi possível abrir o histórico de conversas.');
+            this.conversations = [];
+            this.folders = [];
+        }
+        this.renderConversationsList();
+    }
+
+    /**
+     * Write a single message instead of the whole conversation
+     */
+    persistMessage(conversation, message) {
+        this.store.saveMessage(conversation, message, conversation.messages.indexOf(message));
+    }
+
+    renderConversationsList() {
+        this.conversationsList.innerHTML = '';
+
+        // Always show "Nova Conversa" as first item if we're in a new conversation
+        if (this.currentConversationId === null && this.currentConversation.length === 0) {
+            const newConvEl = document.createElement('div');
+            newConvEl.className = 'conversation-item active';
+            newConvEl.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+                </svg>
+                <span>Nova Conversa</span>
+            `;
+            this.conversationsList.appendChild(newConvEl);
+        }
+
+        // Pinned conversations first, each group keeps newest first
+        const byPinned = (a, b) => Number(!!b.pinned) - Number(!!a.pinned);
+        const folderIds = new Set(this.folders.map(folder => folder.id));
+        const ungrouped = this.conversations.filter(conv => !folderIds.has(conv.folderId)).sort(byPinned);
+
+        ungrouped.filter(conv => conv.pinned).forEach(conv => {
+            this.conversationsList.appendChild(this.createConversationElement(conv));
+        });
+
+        this.folders.forEach(folder => {
+            const conversations = this.conversations.filter(conv => conv.folderId === folder.id).sort(byPinned);
+            this.conversationsList.appendChild(this.createFolderElement(folder, conversations));
+        });
+
+        ungrouped.filter(conv => !conv.pinned).forEach(conv => {
+            this.conversationsList.appendChild(this.createConversationElement(conv));
+        });
+    }
+
+    createConversationElement(conv) {
+        const el = document.createElement('div');
+        const isActive = conv.id === this.currentConversationId;
+        el.className = `conversation-item ${isActive ? 'active' : ''}`;
+        el.innerHTML = `
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+            </svg>
+            <span></span>
+            ${conv.pinned ? `<svg class="conversation-pin" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-label="Fixada">
+                <line x1="12" y1="17" x2="12" y2="22"></line>
+                <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z"></path>
+            </svg>` : ''}
+            <button class="icon-btn conversation-menu-btn" title="Opções da conversa">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                    <circle cx="12" cy="5" r="1.5"></circle>
+                    <circle cx="12" cy="12" r="1.5"></circle>
+                    <circle cx="12" cy="19" r="1.5"></circle>
+                </svg>
+            </button>
+        `;
+        el.querySelector('span').textContent = conv.title;
+
+        const menuBtn = el.querySelector('.conversation-menu-btn');
+        menuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showConversationMenu(menuBtn, conv);
+        });
+        el.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showConversationMenu(menuBtn, conv);
+        });
+        el.addEventListener('click', () => this.loadConversation(conv));
+
+        return el;
+    }
+
+    /**
+     * Collapsible group with the conversations of a folder
+     */
+    createFolderElement(folder, conversations) {
+        const el = document.createElement('div');
+        el.className = `conversation-folder ${folder.collapsed ? 'collapsed' : ''}`;
+        el.innerHTML = `
+            <div class="folder-header">
+                <svg class="folder-chevron" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="6 9 12 15 18 9"></polyline>
+                </svg>
+                <span class="folder-name"></span>
+                <span class="folder-count">${conversations.length}</span>
+                <button class="icon-btn conversation-menu-btn" title="Opções da pasta">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                        <circle cx="12" cy="5" r="1.5"></circle>
+                        <circle cx="12" cy="12" r="1.5"></circle>
+                        <circle cx="12" cy="19" r="1.5"></circle>
+                    </svg>
+                </button>
+            </div>
+            <div class="folder-conversations"></div>
+        `;
+        el.querySelector('.folder-name').textContent = folder.name;
+
+        const header = el.querySelector('.folder-header');
+        const menuBtn = header.querySelector('.conversation-menu-btn');
+        menuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showFolderMenu(menuBtn, folder);
+        });
+        header.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showFolderMenu(menuBtn, folder);
+        });
+        header.addEventListener('click', () => {
+            folder.collapsed = !folder.collapsed;
+            this.store.saveFolder(folder);
+            this.renderConversationsList();
+        });
+
+        const list = el.querySelector('.folder-conversations');
+        if (conversations.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'folder-empty';
+            empty.textContent = 'Pasta vazia';
+            list.appendChild(empty);
         }
+        conversations.forEach(conv => list.appendChild(this.createConversationElement(conv)));
 
-        this.processingResponse = '';
+        return el;
     }
 
-    scrollToBottom() {
-        this.messages.scrollTop = this.messages.scrollHeight;
+    showConversationMenu(anchor, conv) {
+        this.showPopupMenu(anchor, [
+            { label: 'Renomear', action: () => this.renameConversation(conv) },
+            { label: conv.pinned ? 'Desafixar' : 'Fixar no topo', action: () => this.togglePinConversation(conv) },
+            { label: 'Duplicar', action: () => this.duplicateConversation(conv) },
+            { label: 'Mover para pasta...', action: () => this.showMoveToFolderMenu(anchor, conv) },
+            { label: 'Excluir', action: () => this.deleteConversation(conv), danger: true }
+        ]);
     }
 
-    newConversation() {
-        // Save current conversation if not empty AND it's a new conversation (not already saved)
-        if (this.currentConversation.length > 0 && this.currentConversationId === null) {
-            this.saveCurrentConversation();
-        }
+    showMoveToFolderMenu(anchor, conv) {
+        const items = this.folders.map(folder => ({
+            label: folder.name,
+            action: () => this.moveConversation(conv, folder.id),
+            disabled: conv.folderId === folder.id
+        }));
+        items.push(
+            { label: 'Nova pasta...', action: () => this.createFolder(conv) },
+            { label: 'Remover da pasta', action: () => this.moveConversation(conv, null), disabled: !conv.folderId }
+        );
+        this.showPopupMenu(anchor, items);
+    }
 
-        // Reset for new conversation
-        this.currentConversation = [];
-        this.currentConversationId = null;
-        this.messages.innerHTML = '';
-        this.welcomeScreen.classList.remove('hidden');
+    showFolderMenu(anchor, folder) {
+        this.showPopupMenu(anchor, [
+            { label: 'Renomear pasta', action: () => this.renameFolder(folder) },
+            { label: 'Excluir pasta', action: () => this.deleteFolder(folder), danger: true }
+        ]);
+    }
 
-        // Update sidebar to show no conversation selected
+    renameConversation(conv) {
+        const title = prompt('Novo nome da conversa:', conv.title);
+        if (title === null || !title.trim()) return;
+
+        conv.title = title.trim();
+        this.store.saveConversation(conv, false);
         this.renderConversationsList();
     }
 
-    saveCurrentConversation() {
-        if (this.currentConversation.length === 0) return;
+    togglePinConversation(conv) {
+        conv.pinned = !conv.pinned;
+        this.store.saveConversation(conv, false);
+        this.renderConversationsList();
+    }
 
-        // Check if this conversation already exists
-        if (this.currentConversationId !== null) {
-            // Update existing conversation
-            const existingIndex = this.conversations.findIndex(c => c.id === this.currentConversationId);
-            if (existingIndex !== -1) {
-                this.conversations[existingIndex].messages = [...this.currentConversation];
-                this.saveConversations();
-                return;
+    duplicateConversation(conv) {
+        const copy = {
+            ...conv,
+            id: this.createConversationId(),
+            title: `${conv.title} (cópia)`,
+            pinned: false,
+            timestamp: new Date().toISOString(),
+            ...ConversationTree.remapIds(conv.messages, conv.leafId, ConversationStore.createId)
+        };
+
+        // Attached documents are copied too; citations follow the copies
+        const documentIds = new Map();
+        this.documentIndex.getDocuments(conv.id).forEach(attachment => {
+            const attachmentCopy = { ...attachment, id: ConversationStore.createId(), conversationId: copy.id };
+            documentIds.set(attachment.id, attachmentCopy.id);
+            this.documentIndex.add(attachmentCopy);
+            this.store.saveDocument(attachmentCopy);
+        });
+        copy.messages = copy.messages.map(message => message.sources
+            ? { ...message, sources: message.sources.map(source => ({ ...source, documentId: documentIds.get(source.documentId) || source.documentId })) }
+            : message);
+
+        // So are images and audio, which are deleted with their conversation
+        const mediaCopies = new Map();
+        copy.messages.forEach(message => (message.attachments || []).forEach(attachment => {
+            const record = this.mediaRecords.get(attachment.id);
+            if (record && !mediaCopies.has(record.id)) {
+                mediaCopies.set(record.id, { ...record, id: ConversationStore.createId() });
             }
+        }));
+        if (mediaCopies.size > 0) {
+            this.saveMediaRecords(copy.id, [...mediaCopies.values()]);
+            copy.messages = copy.messages.map(message => message.attachments
+                ? { ...message, attachments: message.attachments.map(attachment => ({ ...attachment, id: mediaCopies.get(attachment.id)?.id || attachment.id })) }
+                : message);
         }
 
-        // Create new conversation
-        const title = this.currentConversation[0]?.content?.substring(0, 30) || 'Nova Conversa';
-        const conversation = {
-            id: Date.now(),
-            title: title + (title.length >= 30 ? '...' : ''),
-            messages: [...this.currentConversation],
+        this.conversations.unshift(copy);
+        this.store.saveConversation(copy);
+        copy.messages.forEach(message => this.searchIndex.addMessage(copy.id, message));
+        this.renderConversationsList();
+        this.showToast('Conversa duplicada.', 'success');
+    }
+
+    deleteConversation(conv) {
+        if (!confirm(`Excluir a conversa "${conv.title}"?`)) return;
+
+        const pending = this.pendingResponses.get(conv.id);
+        if (pending) {
+            this.aiCore.cancel(pending.requestId);
+        }
+        this.aiCore.forgetConversation(conv.id);
+        this.conversations = this.conversations.filter(c => c.id !== conv.id);
+        this.store.deleteConversation(conv.id);
+        this.searchIndex.removeConversation(conv.id);
+        this.documentIndex.removeConversation(conv.id);
+        this.forgetMedia(conv.id);
+
+        if (this.currentConversationId === conv.id) {
+            this.currentConversation = [];
+            this.currentConversationId = null;
+            this.messages.innerHTML = '';
+            this.welcomeScreen.classList.remove('hidden');
+            this.updateContextMeter();
+            this.renderAttachments();
+        }
+
+        if (this.searchInput.value.trim()) {
+            this.runSearch();
+        }
+        this.renderConversationsList();
+    }
+
+    moveConversation(conv, folderId) {
+        conv.folderId = folderId;
+        this.store.saveConversation(conv, false);
+        this.renderConversationsList();
+    }
+
+    /**
+     * Create a folder and move the conversation into it
+     */
+    createFolder(conv) {
+        const name = prompt('Nome da pasta:');
+        if (name === null || !name.trim()) return;
+
+        const folder = {
+            id: ConversationStore.createId(),
+            name: name.trim(),
+            collapsed: false,
             timestamp: new Date().toISOString()
         };
+        this.folders.push(folder);
+        this.store.saveFolder(folder);
 
-        this.currentConversationId = conversation.id;
-        this.conversations.unshift(conversation);
-        this.saveConversations();
+        this.moveConversation(conv, folder.id);
+    }
+
+    renameFolder(folder) {
+        const name = prompt('Novo nome da pasta:', folder.name);
+        if (name === null || !name.trim()) return;
+
+        folder.name = name.trim();
+        this.store.saveFolder(folder);
         this.renderConversationsList();
     }
 
-    loadConversations() {
-        try {
-            const saved = localStorage.getItem('conversations');
-            this.conversations = saved ? JSON.parse(saved) : [];
-        } catch (e) {
-            this.conversations = [];
-        }
+    /**
+     * Delete a folder; its conversations go back to the main list
+     */
+    deleteFolder(folder) {
+        if (!confirm(`Excluir a pasta "${folder.name}"? As conversas dela voltam para a lista principal.`)) return;
+
+        const moved = this.conversations.filter(conv => conv.folderId === folder.id);
+        moved.forEach(conv => { conv.folderId = null; });
+        this.folders = this.folders.filter(f => f.id !== folder.id);
+        this.store.deleteFolder(folder.id, moved);
         this.renderConversationsList();
     }
 
-    saveConversations() {
-        localStorage.setItem('conversations', JSON.stringify(this.conversations));
+    /**
+     * Timestamp-based id not used by any other conversation
+     */
+    createConversationId() {
+        let id = Date.now();
+        while (this.findConversation(id)) id++;
+        return id;
     }
 
-    renderConversationsList() {
-        this.conversationsList.innerHTML = '';
+    runSearch() {
+        const query = this.searchInput.value.trim();
+        if (!query) {
+            this.clearSearch();
+            return;
+        }
 
-        // Always show "Nova Conversa" as first item if we're in a new conversation
-        if (this.currentConversationId === null && this.currentConversation.length === 0) {
-            const newConvEl = document.createElement('div');
-            newConvEl.className = 'conversation-item active';
-            newConvEl.innerHTML = `
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
-                </svg>
-                <span>Nova Conversa</span>
-            `;
-            this.conversationsList.appendChild(newConvEl);
+        const results = this.searchIndex.search(query);
+        this.searchResults.replaceChildren();
+        this.conversationsList.classList.add('hidden');
+        this.searchResults.classList.remove('hidden');
+
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-empty';
+            empty.textContent = 'Nenhuma mensagem encontrada.';
+            this.searchResults.appendChild(empty);
+            return;
         }
 
-        // Show saved conversations
-        this.conversations.forEach((conv) => {
+        for (const result of results) {
+            const conversation = this.findConversation(result.conversationId);
+            if (!conversation) continue;
+
             const el = document.createElement('div');
-            const isActive = conv.id === this.currentConversationId;
-            el.className = `conversation-item ${isActive ? 'active' : ''}`;
-            el.innerHTML = `
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
-                </svg>
-                <span>${conv.title}</span>
-            `;
-            el.addEventListener('click', () => this.loadConversation(conv));
-            this.conversationsList.appendChild(el);
-        });
+            el.className = 'search-result';
+
+            const title = document.createElement('div');
+            title.className = 'search-result-title';
+            title.textContent = conversation.title;
+
+            const snippet = document.createElement('div');
+            snippet.className = 'search-result-snippet';
+            snippet.appendChild(this.renderSnippet(this.searchIndex.getSnippet(result.content, result.terms)));
+
+            el.appendChild(title);
+            el.appendChild(snippet);
+            el.addEventListener('click', () => {
+                this.loadConversation(conversation, result.messageId);
+                this.scrollToMessage(result.messageId);
+            });
+            this.searchResults.appendChild(el);
+        }
+    }
+
+    /**
+     * Snippet text with <mark> around the matched ranges
+     */
+    renderSnippet({ text, ranges }) {
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+
+        for (const [start, end] of ranges) {
+            if (start < last) continue; // overlapping prefix matches
+            fragment.appendChild(document.createTextNode(text.slice(last, start)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            last = end;
+        }
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+
+        return fragment;
+    }
+
+    clearSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchInput.value = '';
+        this.searchResults.replaceChildren();
+        this.searchResults.classList.add('hidden');
+        this.conversationsList.classList.remove('hidden');
     }
 
-    loadConversation(conversation) {
+    scrollToMessage(messageId) {
+        const messageEl = [...this.messages.children].find(el => el.dataset.messageId === messageId);
+        if (!messageEl) return;
+
+        messageEl.scrollIntoView({ block: 'center' });
+        messageEl.classList.add('highlighted');
+        setTimeout(() => messageEl.classList.remove('highlighted'), 2000);
+    }
+
+    /**
+     * Open a conversation. With a messageId outside the selected branch,
+     * the branch containing that message is selected first.
+     */
+    loadConversation(conversation, messageId = null) {
+        const inThread = ConversationTree.getThread(conversation).some(msg => msg.id === messageId);
+        if (messageId && !inThread && !this.pendingResponses.has(conversation.id)) {
+            conversation.leafId = ConversationTree.findLeaf(conversation, messageId);
+            this.store.saveConversation(conversation, false);
+        }
+
         // Set current conversation ID to track which one is active
+        if (conversation.id !== this.currentConversationId) {
+            this.stopSpeaking();
+        }
         this.currentConversationId = conversation.id;
-        this.currentConversation = [...conversation.messages];
-        this.messages.innerHTML = '';
+        this.currentConversation = ConversationTree.getThread(conversation);
         this.welcomeScreen.classList.add('hidden');
+        this.renderThread();
+
+        // Update sidebar to highlight correct conversation
+        this.renderConversationsList();
+    }
+
+    /**
+     * Render the selected branch of the current conversation
+     */
+    renderThread() {
+        this.messages.innerHTML = '';
 
-        conversation.messages.forEach(msg => {
-            this.addMessage(msg.content, msg.role === 'user' ? 'user' : 'ai');
+        this.currentConversation.forEach(msg => {
+            const messageEl = this.addMessage(msg.content, msg.role === 'user' ? 'user' : 'ai', false, msg.id);
+            this.renderToolCalls(messageEl, msg.toolCalls);
+            this.renderCitations(messageEl, msg.sources);
         });
 
-        // If this conversation is currently processing, restore the partial response
-        if (this.processingConversationId === conversation.id && this.processingResponse) {
-            const aiMessageEl = this.addMessage('', 'ai');
-            const contentEl = aiMessageEl.querySelector('.message-content');
-            contentEl.innerHTML = this.formatMessage(this.processingResponse) + '<span class="cursor-blinking"></span>';
+        // If this conversation has an answer pending, restore it
+        const pending = this.pendingResponses.get(this.currentConversationId);
+        if (pending) {
+            // A continued answer is already the last rendered message
+            const aiMessageEl = pending.action === 'continue'
+                ? this.messages.lastElementChild
+                : this.addMessage('', 'ai', !pending.text);
+            this.renderToolCalls(aiMessageEl, this.getPendingToolCalls(pending));
+            if (pending.text) {
+                const contentEl = aiMessageEl.querySelector('.message-content');
+                this.getMarkdownStream(contentEl).update(ToolRegistry.stripCalls(pending.text));
+            }
+            if (!pending.started) {
+                this.showQueuedLabel();
+            }
             this.scrollToBottom();
         }
+        this.updateGeneratingUI();
+        this.updateContextMeter();
+        this.renderAttachments();
+    }
+
+    /**
+     * Edit button on user messages and a "< 2/3 >" switcher on turns
+     * with more than one version
+     */
+    renderMessageActions(messageEl) {
+        const actions = messageEl.querySelector('.message-actions');
+        const conversation = this.findConversation(this.currentConversationId);
+        const message = conversation && conversation.messages.find(msg => msg.id === messageEl.dataset.messageId);
+        actions.replaceChildren();
+        if (!message) return;
+
+        const siblings = ConversationTree.getSiblings(conversation, message);
+        if (siblings.length > 1) {
+            const index = siblings.indexOf(message);
+            const switcher = document.createElement('div');
+            switcher.className = 'branch-switcher';
+            switcher.innerHTML = `
+                <button class="icon-btn" data-offset="-1" title="Versão anterior">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="15 18 9 12 15 6"></polyline>
+                    </svg>
+                </button>
+                <span>${index + 1}/${siblings.length}</span>
+                <button class="icon-btn" data-offset="1" title="Próxima versão">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="9 18 15 12 9 6"></polyline>
+                    </svg>
+                </button>
+            `;
+            switcher.querySelectorAll('button').forEach(button => {
+                const offset = Number(button.dataset.offset);
+                const target = siblings[index + offset];
+                button.disabled = !target;
+                button.addEventListener('click', () => this.switchBranch(conversation, target));
+            });
+            actions.appendChild(switcher);
+        }
+
+        if (message.stopped) {
+            const stoppedLabel = document.createElement('span');
+            stoppedLabel.className = 'message-stopped';
+            stoppedLabel.textContent = 'Interrompida';
+            actions.appendChild(stoppedLabel);
+        }
+
+        if (message.role === 'assistant') {
+            actions.appendChild(this.createActionButton('Gerar outra resposta', `
+                <polyline points="23 4 23 10 17 10"></polyline>
+                <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+            `, () => this.regenerateMessage(message)));
+
+            const continueBtn = this.createActionButton('Continuar resposta', `
+                <polyline points="13 17 18 12 13 7"></polyline>
+                <polyline points="6 17 11 12 6 7"></polyline>
+            `, () => this.continueMessage(message));
+            continueBtn.classList.add('message-continue');
+            actions.appendChild(continueBtn);
+
+            if (this.playback.supported) {
+                actions.appendChild(this.createActionButton('Ler em voz alta', `
+                    <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
+                    <path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path>
+                `, () => this.readAloud(message)));
+            }
+        }
+
+        if (message.role === 'user' && message.task && AITasks.has(message.task.action)) {
+            const taskLabel = document.createElement('span');
+            taskLabel.className = 'message-task';
+            taskLabel.textContent = AITasks.get(message.task.action).label;
+            actions.appendChild(taskLabel);
+        }
+
+        if (message.role === 'user') {
+            actions.appendChild(this.createActionButton('Editar mensagem', `
+                <path d="M12 20h9"></path>
+                <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+            `, () => this.startEditMessage(messageEl, message)));
+        }
+    }
+
+    /**
+     * Small icon button for the message toolbar (icon is static SVG markup)
+     */
+    createActionButton(title, iconPaths, onClick) {
+        const button = document.createElement('button');
+        button.className = 'icon-btn';
+        button.title = title;
+        button.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                ${iconPaths}
+            </svg>
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Ask again for the user message above, keeping the old answer as an
+     * alternate version
+     */
+    async regenerateMessage(message) {
+        const conversation = this.findConversation(this.currentConversationId);
+        if (!conversation || this.isConversationBusy(conversation.id)) return;
+
+        const prompt = conversation.messages.find(msg => msg.id === message.parentId);
+        if (!prompt || prompt.role !== 'user') return;
+
+        const thread = ConversationTree.getThread(conversation);
+        const history = thread.slice(0, thread.indexOf(prompt));
+
+        conversation.leafId = prompt.id;
+        this.store.saveConversation(conversation, false);
+        this.currentConversation = ConversationTree.getThread(conversation);
+        this.renderThread();
+
+        const task = prompt.task;
+        await this.generateResponse(conversation.id, history, prompt.content, { parentId: prompt.id }, task ? task.action : 'ask', task && task.options);
+    }
+
+    /**
+     * Ask the model to extend a truncated answer in place
+     */
+    async continueMessage(message) {
+        const conversation = this.findConversation(this.currentConversationId);
+        if (!conversation || this.isConversationBusy(conversation.id)) return;
+
+        const history = ConversationTree.getThread(conversation, message.id);
+        await this.generateResponse(
+            conversation.id,
+            history,
+            'Continue a resposta anterior exatamente de onde ela parou, sem repetir o que já foi escrito.',
+            { messageId: message.id, prefix: message.content },
+            'continue'
+        );
+    }
+
+    /**
+     * Select another version of a turn (and the newest branch below it)
+     */
+    switchBranch(conversation, message) {
+        if (this.isConversationBusy(conversation.id)) return;
+
+        conversation.leafId = ConversationTree.findLeaf(conversation, message.id);
+        this.store.saveConversation(conversation, false);
+        this.currentConversation = ConversationTree.getThread(conversation);
+        this.renderThread();
+
+        const messageEl = [...this.messages.children].find(el => el.dataset.messageId === message.id);
+        if (messageEl) {
+            messageEl.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Replace a user message's content with an inline editor
+     */
+    startEditMessage(messageEl, message) {
+        if (this.isConversationBusy(this.currentConversationId)) return;
+
+        const contentEl = messageEl.querySelector('.message-content');
+        const actions = messageEl.querySelector('.message-actions');
+        const form = document.createElement('form');
+        form.className = 'message-edit';
+        form.innerHTML = `
+            <textarea rows="3"></textarea>
+            <div class="message-edit-buttons">
+                <button type="button" class="message-edit-cancel">Cancelar</button>
+                <button type="submit" class="message-edit-submit">Enviar</button>
+            </div>
+        `;
+        const textarea = form.querySelector('textarea');
+        textarea.value = message.content;
+
+        const cancel = () => {
+            contentEl.replaceChildren(this.formatMessage(message.content));
+            actions.classList.remove('hidden');
+        };
+
+        form.querySelector('.message-edit-cancel').addEventListener('click', cancel);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = textarea.value.trim();
+            if (!text || text === message.content) {
+                cancel();
+                return;
+            }
+            this.editMessage(message, text);
+        });
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                form.requestSubmit();
+            } else if (e.key === 'Escape') {
+                cancel();
+            }
+        });
+
+        actions.classList.add('hidden');
+        contentEl.replaceChildren(form);
+        textarea.focus();
+    }
+
+    /**
+     * Resend an edited user message as a new branch from the same point
+     */
+    async editMessage(message, text) {
+        const conversation = this.findConversation(this.currentConversationId);
+        if (!conversation || this.isConversationBusy(conversation.id)) return;
+
+        const thread = ConversationTree.getThread(conversation);
+        const history = thread.slice(0, thread.findIndex(msg => msg.id === message.id));
+
+        const edited = { id: ConversationStore.createId(), role: 'user', content: text, parentId: message.parentId || null };
+        if (message.task) {
+            edited.task = message.task;
+        }
+        if (message.attachments) {
+            edited.attachments = message.attachments;
+        }
+        conversation.messages.push(edited);
+        conversation.leafId = edited.id;
+        this.persistMessage(conversation, edited);
+        this.searchIndex.addMessage(conversation.id, edited);
+
+        this.currentConversation = ConversationTree.getThread(conversation);
+        this.renderThread();
+
+        await this.generateResponse(conversation.id, history, text, { parentId: edited.id }, edited.task ? edited.task.action : 'ask', edited.task && edited.task.options);
+    }
+
+    /**
+     * Small floating menu anchored to an element.
+     * Items: { label, action, disabled, danger }
+     */
+    showPopupMenu(anchor, items) {
+        this.closePopupMenu();
+
+        const menu = document.createElement('div');
+        menu.className = 'popup-menu';
+        for (const item of items) {
+            const button = document.createElement('button');
+            button.className = `popup-menu-item${item.danger ? ' danger' : ''}`;
+            button.textContent = item.label;
+            button.disabled = !!item.disabled;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.closePopupMenu();
+                item.action();
+            });
+            menu.appendChild(button);
+        }
+        document.body.appendChild(menu);
+
+        // Keep the menu inside the viewport
+        const rect = anchor.getBoundingClientRect();
+        const left = Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8);
+        const top = rect.bottom + menu.offsetHeight + 4 > window.innerHeight
+            ? rect.top - menu.offsetHeight - 4
+            : rect.bottom + 4;
+        menu.style.left = `${Math.max(8, left)}px`;
+        menu.style.top = `${Math.max(8, top)}px`;
+
+        this.popupMenu = menu;
+        this.closePopupMenuHandler = () => this.closePopupMenu();
+
+        // Deferred so the click that opened the menu doesn't close it
+        setTimeout(() => {
+            if (this.popupMenu === menu) {
+                document.addEventListener('click', this.closePopupMenuHandler);
+            }
+        });
+    }
+
+    closePopupMenu() {
+        if (this.popupMenu) {
+            this.popupMenu.remove();
+            this.popupMenu = null;
+        }
+        if (this.closePopupMenuHandler) {
+            document.removeEventListener('click', this.closePopupMenuHandler);
+            this.closePopupMenuHandler = null;
+        }
+    }
+
+    exportCurrentConversation() {
+        const conversation = this.findConversation(this.currentConversationId);
+        this.showExportMenu(this.exportChatBtn, conversation ? [conversation] : [], conversation?.title);
+    }
+
+    exportAllConversations() {
+        this.showExportMenu(this.exportAllBtn, this.conversations, 'conversas-gemini-nano');
+    }
+
+    showExportMenu(anchor, conversations, baseName) {
+        const disabled = conversations.length === 0;
+        const exportAs = (format) => this.exporter.export(conversations, format, baseName);
+
+        this.showPopupMenu(anchor, [
+            { label: 'JSON (reimportável)', action: () => exportAs('json'), disabled },
+            { label: 'Markdown', action: () => exportAs('markdown'), disabled },
+            { label: 'HTML', action: () => exportAs('html'), disabled }
+        ]);
+    }
+
+    /**
+     * Merge conversations from an exported JSON file
+     */
+    async importConversations(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this.showToast(`Não foi possível ler o arquivo: ${error.message}`);
+            return;
+        }
+
+        const { conversations, errors } = this.exporter.parseImport(text);
+        errors.forEach(error => this.showToast(error));
+        if (conversations.length === 0) return;
+
+        const imported = this.exporter.resolveCollisions(conversations, this.conversations, ConversationStore.createId);
+        this.conversations.push(...imported);
+        this.conversations.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        imported.forEach(conversation => {
+            // Folders are not exported
+            if (!this.folders.some(folder => folder.id === conversation.folderId)) {
+                conversation.folderId = null;
+            }
+            // Documents are stored apart from their conversation
+            conversation.documents.forEach(attachment => {
+                this.documentIndex.add(attachment);
+                this.store.saveDocument(attachment);
+            });
+            delete conversation.documents;
+            // Same limits as the settings drawer
+            if (conversation.settings) {
+                const { errors, settings } = this.validateSettings(conversation.settings);
+                if (errors.length > 0) {
+                    delete conversation.settings;
+                    this.showToast(`Configurações inválidas ignoradas em "${conversation.title}": ${errors.join(' ')}`);
+                } else {
+                    conversation.settings = settings;
+                }
+            }
+            this.store.saveConversation(conversation);
+            conversation.messages.forEach(message => this.searchIndex.addMessage(conversation.id, message));
+        });
 
-        // Update sidebar to highlight correct conversation
         this.renderConversationsList();
+        this.showToast(`${imported.length} conversa(s) importada(s).`, 'success');
+    }
+
+    /**
+     * Images and audio go with the next message; other files are attached
+     * to the conversation as documents
+     */
+    attachFiles(files) {
+        const documents = files.filter(file => !MediaAttachments.kind(file));
+        files.filter(file => MediaAttachments.kind(file)).forEach(file => this.addDraftMedia(file));
+        this.renderAttachments();
+
+        if (documents.length > 0) {
+            this.attachDocuments(documents);
+        }
+    }
+
+    addDraftMedia(file) {
+        const kind = MediaAttachments.kind(file);
+        if (this.aiCore.isInitialized && !this.aiCore.supportsInput(kind)) {
+            this.showToast(`O modelo atual não aceita ${MediaAttachments.label(kind)}: ${file.name} não foi anexado.`);
+            return;
+        }
+
+        try {
+            this.draftMedia.push(MediaAttachments.create(file));
+        } catch (error) {
+            this.showToast(error.message);
+        }
+    }
+
+    removeDraftMedia(record) {
+        this.draftMedia = this.draftMedia.filter(draft => draft.id !== record.id);
+        this.releaseMediaUrl(record.id);
+        this.renderAttachments();
+    }
+
+    /**
+     * Store sent media under its conversation
+     */
+    saveMediaRecords(conversationId, records) {
+        records.forEach(record => {
+            record.conversationId = conversationId;
+            this.mediaRecords.set(record.id, record);
+        });
+        this.store.saveMedia(records);
+    }
+
+    /**
+     * Drop the media of a conversation (or all of it) from memory; the
+     * store deletes it with the conversation
+     */
+    forgetMedia(conversationId = null) {
+        for (const record of [...this.mediaRecords.values()]) {
+            if (conversationId === null || record.conversationId === conversationId) {
+                this.mediaRecords.delete(record.id);
+                this.releaseMediaUrl(record.id);
+            }
+        }
+    }
+
+    /**
+     * Prompt API content parts for a message's images and audio
+     */
+    getMessageMedia(message) {
+        return (message.attachments || [])
+            .map(attachment => this.mediaRecords.get(attachment.id))
+            .filter(Boolean)
+            .map(record => ({ type: record.kind, value: record.blob }));
+    }
+
+    /**
+     * Messages as the model session sees them, media included
+     */
+    toModelHistory(messages) {
+        return messages.map(message => message.attachments ? { ...message, media: this.getMessageMedia(message) } : message);
+    }
+
+    getMediaUrl(record) {
+        let url = this.mediaUrls.get(record.id);
+        if (!url) {
+            url = URL.createObjectURL(record.blob);
+            this.mediaUrls.set(record.id, url);
+        }
+        return url;
+    }
+
+    releaseMediaUrl(id) {
+        const url = this.mediaUrls.get(id);
+        if (url) {
+            URL.revokeObjectURL(url);
+            this.mediaUrls.delete(id);
+        }
+    }
+
+    /**
+     * Thumbnails and audio players for a user message's attachments
+     */
+    renderMessageMedia(messageEl) {
+        const conversation = this.findConversation(this.currentConversationId);
+        const message = conversation && conversation.messages.find(msg => msg.id === messageEl.dataset.messageId);
+        if (!message || !message.attachments || message.attachments.length === 0) return;
+
+        const container = document.createElement('div');
+        container.className = 'message-media';
+        container.replaceChildren(...message.attachments.map(attachment => {
+            const record = this.mediaRecords.get(attachment.id);
+            if (!record) {
+                const missing = document.createElement('span');
+                missing.className = 'message-media-missing';
+                missing.textContent = `${attachment.name} (${MediaAttachments.label(attachment.kind)} indisponível)`;
+                return missing;
+            }
+
+            if (record.kind === 'image') {
+                const link = document.createElement('a');
+                link.href = this.getMediaUrl(record);
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.title = record.name;
+                const image = document.createElement('img');
+                image.src = link.href;
+                image.alt = record.name;
+                link.appendChild(image);
+                return link;
+            }
+
+            const audio = document.createElement('audio');
+            audio.controls = true;
+            audio.preload = 'metadata';
+            audio.src = this.getMediaUrl(record);
+            audio.title = record.name;
+            return audio;
+        }));
+
+        messageEl.querySelector('.message-body').prepend(container);
+    }
+
+    /**
+     * Read, chunk and index files for the open conversation (or the new
+     * one, once its first message is sent)
+     */
+    async attachDocuments(files) {
+        const conversationId = this.currentConversationId;
+
+        for (const file of files) {
+            try {
+                const attachment = DocumentIndex.createDocument(conversationId, await DocumentReader.read(file));
+                if (conversationId === null) {
+                    this.draftDocuments.push(attachment);
+                } else {
+                    this.documentIndex.add(attachment);
+                    this.store.saveDocument(attachment);
+                }
+                this.showToast(`${file.name} anexado (${attachment.chunks.length} trechos).`, 'success');
+            } catch (error) {
+                console.error('Error attaching document:', error);
+                this.showToast(error.message);
+            }
+        }
+
+        this.renderAttachments();
+    }
+
+    adoptDraftDocuments(conversationId) {
+        this.draftDocuments.forEach(attachment => {
+            attachment.conversationId = conversationId;
+            this.documentIndex.add(attachment);
+            this.store.saveDocument(attachment);
+        });
+        this.draftDocuments = [];
+    }
+
+    getAttachedDocuments() {
+        return this.currentConversationId === null
+            ? this.draftDocuments
+            : this.documentIndex.getDocuments(this.currentConversationId);
+    }
+
+    removeDocument(attachment) {
+        if (attachment.conversationId === null) {
+            this.draftDocuments = this.draftDocuments.filter(draft => draft.id !== attachment.id);
+        } else {
+            this.documentIndex.remove(attachment.id);
+            this.store.deleteDocument(attachment.id);
+        }
+        this.renderAttachments();
+    }
+
+    /**
+     * Chips above the input with the open conversation's documents and
+     * the media waiting for the next message
+     */
+    renderAttachments() {
+        const attachments = this.getAttachedDocuments();
+        this.attachmentsBar.classList.toggle('hidden', attachments.length === 0 && this.draftMedia.length === 0);
+
+        const documentChips = attachments.map(attachment => {
+            const chip = document.createElement('div');
+            chip.className = 'attachment-chip';
+            chip.title = `${attachment.name} (${attachment.chunks.length} trechos)`;
+
+            const type = document.createElement('span');
+            type.className = 'attachment-type';
+            type.textContent = attachment.type === 'pdf' ? 'PDF' : 'TXT';
+
+            const name = document.createElement('span');
+            name.className = 'attachment-name';
+            name.textContent = attachment.name;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'attachment-remove';
+            removeBtn.title = 'Remover documento';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => this.removeDocument(attachment));
+
+            chip.append(type, name, removeBtn);
+            return chip;
+        });
+
+        const mediaChips = this.draftMedia.map(record => {
+            const chip = document.createElement('div');
+            chip.className = 'attachment-chip';
+            chip.title = `${record.name} (enviado com a próxima mensagem)`;
+
+            let preview;
+            if (record.kind === 'image') {
+                preview = document.createElement('img');
+                preview.className = 'attachment-thumb';
+                preview.src = this.getMediaUrl(record);
+                preview.alt = '';
+            } else {
+                preview = document.createElement('span');
+                preview.className = 'attachment-type';
+                preview.textContent = 'ÁUDIO';
+            }
+
+            const name = document.createElement('span');
+            name.className = 'attachment-name';
+            name.textContent = record.name;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'attachment-remove';
+            removeBtn.title = `Remover ${MediaAttachments.label(record.kind)}`;
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => this.removeDraftMedia(record));
+
+            chip.append(preview, name, removeBtn);
+            return chip;
+        });
+
+        this.attachmentsBar.replaceChildren(...documentChips, ...mediaChips);
+    }
+
+    /**
+     * Turn [n] markers of an answer into links to the cited chunks and
+     * list the sources below it
+     */
+    renderCitations(messageEl, sources = []) {
+        const existing = messageEl.querySelector('.message-sources');
+        if (existing) existing.remove();
+        if (!sources || sources.length === 0) return;
+
+        const contentEl = messageEl.querySelector('.message-content');
+        const byNumber = new Map(sources.map(source => [String(source.n), source]));
+        const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+        for (const node of textNodes) {
+            if (node.parentElement.closest('pre, code, a')) continue;
+            const parts = node.textContent.split(/(\[\d+\])/);
+            if (parts.length === 1) continue;
+
+            const fragment = document.createDocumentFragment();
+            parts.forEach(part => {
+                const source = /^\[\d+\]$/.test(part) ? byNumber.get(part.slice(1, -1)) : null;
+                if (source) {
+                    fragment.appendChild(this.createCitationLink(source, part));
+                } else if (part) {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+            });
+            node.replaceWith(fragment);
+        }
+
+        const list = document.createElement('div');
+        list.className = 'message-sources';
+        list.append('Fontes:');
+        sources.forEach(source => {
+            list.appendChild(this.createCitationLink(source, `[${source.n}] ${source.name}, trecho ${source.index + 1}`));
+        });
+        contentEl.after(list);
+    }
+
+    createCitationLink(source, label) {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'citation';
+        link.textContent = label;
+        link.title = `${source.name}, trecho ${source.index + 1}`;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showSource(source);
+        });
+        return link;
+    }
+
+    showSource(source) {
+        const found = this.documentIndex.getChunk(source.documentId, source.chunkId);
+        this.sourceViewerTitle.textContent = `[${source.n}] ${source.name}, trecho ${source.index + 1}`;
+        this.sourceViewerText.textContent = found ? found.chunk.text : 'Este documento foi removido da conversa.';
+        this.sourceViewer.classList.remove('hidden');
+        this.sourceViewerCloseBtn.focus();
+    }
+
+    closeSourceViewer() {
+        this.sourceViewer.classList.add('hidden');
     }
 
     clearHistory() {
         if (confirm('Tem certeza que deseja limpar todas as conversas?')) {
+            this.pendingResponses.forEach(pending => this.aiCore.cancel(pending.requestId));
+            this.conversations.forEach(conversation => this.aiCore.forgetConversation(conversation.id));
             this.conversations = [];
+            this.folders = [];
             this.currentConversation = [];
+            this.currentConversationId = null;
             this.messages.innerHTML = '';
             this.welcomeScreen.classList.remove('hidden');
-            this.saveConversations();
+            this.updateContextMeter();
+            this.store.clear();
+            this.searchIndex.clear();
+            this.documentIndex.clear();
+            this.draftDocuments = [];
+            this.forgetMedia();
+            this.draftMedia = [];
+            this.renderAttachments();
+            this.clearSearch();
             this.renderConversationsList();
         }
     }
@@ -442,10 +3588,4 @@ class GeminiNanoApp {
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new GeminiNanoApp();
-
-    if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.register('sw.js').catch((error) => {
-            console.warn('Falha ao registrar o service worker:', error);
-        });
-    }
 });
@@ -0,0 +1,320 @@
+/**
+ * AI Bridge
+ * Ponte postMessage: páginas da mesma origem ou autorizadas usam o modelo
+ * do app aberto em iframe (ou em janela), com respostas em streaming
+ *
+ * Mensagens (campo `type`):
+ *   página -> app  local-ai:hello   { }
+ *                  local-ai:prompt  { id, prompt, conversation?, task?, taskOptions?, schema?, context?, media? }
+ *                  local-ai:cancel  { id }
+ *   app -> página  local-ai:status  { ready, status }
+ *                  local-ai:chunk   { id, chunk }
+ *                  local-ai:done    { id, result, data }
+ *                  local-ai:error   { id, name, error }
+ */
+
+const BRIDGE_MESSAGE_PREFIX = 'local-ai:';
+const BRIDGE_CONFIG_KEY = 'bridgeConfig';
+const BRIDGE_HELLO_INTERVAL = 500;
+
+/**
+ * App side. Messages from origins other than the app's and
+ * `allowedOrigins` are ignored; replies go only to the sender's origin.
+ *
+ * Options:
+ *   core           - LocalAICore answering the prompts
+ *   allowedOrigins - other origins allowed to send prompts (default: the
+ *                    list in localStorage['bridgeConfig'].allowedOrigins)
+ *   window         - window receiving the messages (default: this one)
+ */
+class AIBridge {
+    constructor(options = {}) {
+        this.window = options.window || window;
+        // Conversations are kept apart from the app's ones and namespaced by origin
+        this.ai = new LocalAI({ core: options.core, conversationPrefix: 'bridge' });
+        this.allowedOrigins = new Set([
+            this.window.location.origin,
+            ...(options.allowedOrigins || AIBridge.loadAllowedOrigins())
+        ]);
+        this.ready = false;
+        this.status = 'initializing';
+        // `${origin} ${id}` -> cancel() of the running prompts
+        this.requests = new Map();
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Origins set by the user in localStorage['bridgeConfig'], e.g.
+     * { "allowedOrigins": ["https://intranet.example.com"] }. They are
+     * never taken from the URL, which the embedding page controls.
+     */
+    static loadAllowedOrigins() {
+        try {
+            const config = JSON.parse(localStorage.getItem(BRIDGE_CONFIG_KEY)) || {};
+            return Array.isArray(config.allowedOrigins) ? config.allowedOrigins.filter(origin => typeof origin === 'string') : [];
+        } catch (e) {
+            console.warn('AIBridge: Configuração da ponte ilegível, aceitando apenas a própria origem');
+            return [];
+        }
+    }
+
+    start() {
+        this.window.addEventListener('message', this.handleMessage);
+        this.announce();
+    }
+
+    stop() {
+        this.window.removeEventListener('message', this.handleMessage);
+        this.requests.forEach(cancel => cancel());
+        this.requests.clear();
+    }
+
+    isAllowed(origin) {
+        return this.allowedOrigins.has(origin);
+    }
+
+    /**
+     * Model state told to the pages (ready once the app's initialize() succeeded)
+     */
+    setStatus(ready, status) {
+        this.ready = ready;
+        this.status = status;
+        this.announce();
+    }
+
+    statusMessage() {
+        return { type: `${BRIDGE_MESSAGE_PREFIX}status`, ready: this.ready, status: this.status };
+    }
+
+    /**
+     * Tell the page that embeds or opened the app. Its origin is unknown,
+     * so the message is addressed to each allowed one; the browser drops
+     * the others.
+     */
+    announce() {
+        const targets = [
+            this.window.parent !== this.window ? this.window.parent : null,
+            this.window.opener
+        ].filter(Boolean);
+
+        for (const target of targets) {
+            for (const origin of this.allowedOrigins) {
+                try {
+                    target.postMessage(this.statusMessage(), origin);
+                } catch (error) {
+                    console.warn(`AIBridge: Origem inválida na configuração: ${origin}`);
+                }
+            }
+        }
+    }
+
+    handleMessage(event) {
+        const data = event.data;
+        if (!data || typeof data.type !== 'string' || !data.type.startsWith(BRIDGE_MESSAGE_PREFIX)) return;
+
+        if (!this.isAllowed(event.origin)) {
+            console.warn(`AIBridge: Mensagem de origem não autorizada ignorada: ${event.origin}`);
+            return;
+        }
+        if (!event.source) return;
+
+        const reply = (message) => event.source.postMessage(message, event.origin);
+
+        switch (data.type.slice(BRIDGE_MESSAGE_PREFIX.length)) {
+            case 'hello':
+                reply(this.statusMessage());
+                break;
+            case 'prompt':
+                this.runPrompt(data, event.origin, reply);
+                break;
+            case 'cancel': {
+                const cancel = this.requests.get(`${event.origin} ${data.id}`);
+                if (cancel) cancel();
+                break;
+            }
+            default:
+                console.warn(`AIBridge: Mensagem desconhecida: ${data.type}`);
+        }
+    }
+
+    runPrompt(data, origin, reply) {
+        const key = `${origin} ${data.id}`;
+        const fail = (error, name = 'Error') => reply({ type: `${BRIDGE_MESSAGE_PREFIX}error`, id: data.id, name, error });
+
+        if (data.id === undefined || data.id === null) {
+            console.warn('AIBridge: Prompt sem id ignorado');
+            return;
+        }
+        if (this.requests.has(key)) {
+            fail(`Já existe uma requisição com o id ${data.id}`);
+            return;
+        }
+        if (typeof data.prompt !== 'string' || !data.prompt.trim()) {
+            fail('O prompt deve ser um texto não vazio');
+            return;
+        }
+        if (data.task !== undefined && !AITasks.has(data.task)) {
+            fail(`Tarefa desconhecida: ${data.task}`);
+            return;
+        }
+        if (!this.ready) {
+            fail('O modelo ainda não está pronto', 'NotReadyError');
+            return;
+        }
+
+        console.log(`AIBridge: Prompt ${data.id} de ${origin}`);
+        const request = this.ai.send(data.prompt, {
+            conversation: typeof data.conversation === 'string' ? `${origin} ${data.conversation}` : undefined,
+            task: data.task,
+            taskOptions: data.taskOptions,
+            schema: data.schema,
+            context: typeof data.context === 'string' ? data.context : undefined,
+            media: Array.isArray(data.media) ? data.media : undefined,
+            // Tools read the user's conversations: not for other pages
+            maxToolSteps: 0
+        }, chunk => reply({ type: `${BRIDGE_MESSAGE_PREFIX}chunk`, id: data.id, chunk }));
+        this.requests.set(key, request.cancel);
+
+        request.promise
+            .then(
+                response => reply({ type: `${BRIDGE_MESSAGE_PREFIX}done`, id: data.id, result: response.result, data: response.data }),
+                error => fail(error.message, error.name)
+            )
+            .finally(() => this.requests.delete(key));
+    }
+}
+
+/**
+ * Page side: the app in an iframe (or a window opened by the page) with
+ * LocalAI's prompt() / stream() API.
+ *
+ *   const ai = new AIBridgeClient(iframe.contentWindow, { origin: 'https://ia.example.com' });
+ *   await ai.ready();
+ *   for await (const chunk of ai.stream('Olá!')) output.textContent += chunk;
+ *
+ * Options:
+ *   origin - the app's origin (default: the page's own)
+ */
+class AIBridgeClient {
+    constructor(target, options = {}) {
+        this.target = target;
+        this.origin = options.origin || window.location.origin;
+        this.status = null;
+        // id -> { onChunk, resolve, reject }
+        this.requests = new Map();
+        this.nextId = 1;
+        this.readyWaiters = [];
+        this.handleMessage = this.handleMessage.bind(this);
+        window.addEventListener('message', this.handleMessage);
+    }
+
+    /**
+     * Resolves once the app's model is ready. The app may still be
+     * loading, so it is greeted until it answers.
+     */
+    ready(timeout = 60000) {
+        if (this.status && this.status.ready) return Promise.resolve(this.status);
+
+        return new Promise((resolve, reject) => {
+            const hello = () => this.post({ type: `${BRIDGE_MESSAGE_PREFIX}hello` });
+            const timer = setInterval(hello, BRIDGE_HELLO_INTERVAL);
+            const deadline = setTimeout(() => {
+                finish();
+                reject(new LocalAIError('O app de IA não respondeu', this.status ? this.status.status : 'unavailable'));
+            }, timeout);
+            const finish = () => {
+                clearInterval(timer);
+                clearTimeout(deadline);
+                this.readyWaiters = this.readyWaiters.filter(waiter => waiter !== onReady);
+            };
+            const onReady = (status) => {
+                finish();
+                resolve(status);
+            };
+
+            this.readyWaiters.push(onReady);
+            hello();
+        });
+    }
+
+    post(message) {
+        this.target.postMessage(message, this.origin);
+    }
+
+    handleMessage(event) {
+        if (event.origin !== this.origin || event.source !== this.target) return;
+        const data = event.data;
+        if (!data || typeof data.type !== 'string' || !data.type.startsWith(BRIDGE_MESSAGE_PREFIX)) return;
+
+        const type = data.type.slice(BRIDGE_MESSAGE_PREFIX.length);
+        if (type === 'status') {
+            this.status = { ready: !!data.ready, status: data.status };
+            if (this.status.ready) {
+                [...this.readyWaiters].forEach(waiter => waiter(this.status));
+            }
+            return;
+        }
+
+        const request = this.requests.get(data.id);
+        if (!request) return;
+
+        if (type === 'chunk') {
+            if (request.onChunk) request.onChunk(data.chunk);
+        } else if (type === 'done') {
+            this.requests.delete(data.id);
+            request.resolve({ success: true, result: data.result, data: data.data });
+        } else if (type === 'error') {
+            this.requests.delete(data.id);
+            request.reject(data.name === 'AbortError'
+                ? LocalAI.abortError()
+                : Object.assign(new Error(data.error), { name: data.name || 'Error' }));
+        }
+    }
+
+    /**
+     * Send a prompt. Returns { promise, cancel } like LocalAI.send(),
+     * with the same options (the app ignores maxToolSteps).
+     */
+    send(input, options = {}, onChunk = null) {
+        const id = this.nextId++;
+        const cancel = () => this.post({ type: `${BRIDGE_MESSAGE_PREFIX}cancel`, id });
+
+        const promise = new Promise((resolve, reject) => {
+            this.requests.set(id, { onChunk, resolve, reject });
+        });
+
+        const { signal, ...fields } = options;
+        this.post({ type: `${BRIDGE_MESSAGE_PREFIX}prompt`, id, prompt: input, ...fields });
+
+        if (signal) {
+            if (signal.aborted) cancel();
+            signal.addEventListener('abort', cancel, { once: true });
+            promise.finally(() => signal.removeEventListener('abort', cancel)).catch(() => {});
+        }
+
+        return { promise, cancel };
+    }
+
+    async prompt(input, options = {}) {
+        const response = await this.send(input, options).promise;
+        return options.schema ? response.data : response.result;
+    }
+
+    stream(input, options = {}) {
+        return LocalAI.fromCallbacks(({ chunk, end, fail }) => {
+            const request = this.send(input, options, chunk);
+            request.promise.then(end, fail);
+            return request.cancel;
+        });
+    }
+
+    close() {
+        window.removeEventListener('message', this.handleMessage);
+        this.requests.forEach(request => request.reject(LocalAI.abortError()));
+        this.requests.clear();
+    }
+}
+
+// Export for use
+window.AIBridge = AIBridge;
+window.AIBridgeClient = AIBridgeClient;
@@ -0,0 +1,85 @@
+/**
+ * Conversation Tree
+ * Mensagens formam uma árvore (parentId); a conversa guarda a folha do ramo selecionado (leafId)
+ */
+
+class ConversationTree {
+    /**
+     * Messages from the root down to the selected leaf. Without a valid
+     * leafId the most recent message is used.
+     */
+    static getThread(conversation, leafId = conversation.leafId) {
+        const messages = conversation.messages || [];
+        if (messages.length === 0) return [];
+
+        const byId = new Map(messages.map(message => [message.id, message]));
+        const thread = [];
+        let current = byId.get(leafId) || messages[messages.length - 1];
+
+        while (current) {
+            thread.unshift(current);
+            current = current.parentId ? byId.get(current.parentId) : null;
+        }
+
+        return thread;
+    }
+
+    /**
+     * Children of a message in creation order (parentId null for roots)
+     */
+    static getChildren(conversation, parentId) {
+        return conversation.messages.filter(message => (message.parentId || null) === (parentId || null));
+    }
+
+    /**
+     * Alternatives for a turn: the message itself and every other child
+     * of its parent
+     */
+    static getSiblings(conversation, message) {
+        return ConversationTree.getChildren(conversation, message.parentId);
+    }
+
+    /**
+     * Leaf reached from a message by always following its newest child
+     */
+    static findLeaf(conversation, messageId) {
+        let leafId = messageId;
+        let children = ConversationTree.getChildren(conversation, leafId);
+
+        while (children.length > 0) {
+            leafId = children[children.length - 1].id;
+            children = ConversationTree.getChildren(conversation, leafId);
+        }
+
+        return leafId;
+    }
+
+    /**
+     * Chain a flat message list (oldest first) into a single branch
+     */
+    static linearize(messages) {
+        return messages.map((message, index) => ({
+            ...message,
+            parentId: index > 0 ? messages[index - 1].id : null
+        }));
+    }
+
+    /**
+     * Copy a tree giving every message a new id. Returns { messages, leafId }
+     */
+    static remapIds(messages, leafId, createId) {
+        const ids = new Map(messages.map(message => [message.id, createId()]));
+
+        return {
+            messages: messages.map(message => ({
+                ...message,
+                id: ids.get(message.id),
+                parentId: message.parentId ? ids.get(message.parentId) || null : null
+            })),
+            leafId: ids.get(leafId) || null
+        };
+    }
+}
+
+// Export for use
+window.ConversationTree = ConversationTree;
@@ -0,0 +1,339 @@
+/**
+ * Conversation Exporter
+ * Exporta conversas em JSON (versionado, reimportável), Markdown e HTML
+ */
+
+const EXPORT_FORMAT = 'gemini-nano-conversations';
+const EXPORT_VERSION = 2;
+
+const EXPORT_ROLE_LABELS = {
+    user: 'Você',
+    assistant: 'Gemini Nano',
+    system: 'Sistema'
+};
+
+class ConversationExporter {
+    constructor(options = {}) {
+        this.renderer = options.renderer || null;
+        // conversationId => attached documents (see DocumentIndex)
+        this.getDocuments = options.getDocuments || (() => []);
+    }
+
+    /**
+     * Versioned JSON that round-trips through parseImport(). Every branch
+     * is kept (v2); v1 files had a flat message list. Attached documents
+     * go along so that citations still open their passages; images and
+     * audio only as their description (the files are left out).
+     */
+    toJSON(conversations) {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            conversations: conversations.map(conversation => ({
+                ...conversation,
+                messages: conversation.messages.map(({ id, parentId, role, content, toolCalls, task, sources, attachments }) => ({ id, parentId: parentId || null, role, content, toolCalls, task, sources, attachments })),
+                documents: this.getDocuments(conversation.id).map(({ id, name, type, size, timestamp, chunks }) => ({ id, name, type, size, timestamp, chunks }))
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Markdown and HTML exports only contain the selected branch
+     */
+    toMarkdown(conversations) {
+        return conversations.map(conversation => {
+            const lines = [
+                `# ${conversation.title}`,
+                '',
+                `_${this.formatDate(conversation.timestamp)}_`,
+                ''
+            ];
+
+            for (const message of ConversationTree.getThread(conversation)) {
+                lines.push(`### ${EXPORT_ROLE_LABELS[message.role] || message.role}`, '', message.content, '');
+            }
+
+            return lines.join('\n');
+        }).join('\n---\n\n');
+    }
+
+    /**
+     * Standalone HTML page with inline styles. Messages go through the
+     * Markdown renderer (already sanitized) or are escaped as plain text.
+     */
+    toHTML(conversations) {
+        const sections = conversations.map(conversation => {
+            const messages = ConversationTree.getThread(conversation).map(message => `
+        <div class="message ${message.role === 'user' ? 'user' : 'ai'}">
+            <div class="role">${this.escapeHTML(EXPORT_ROLE_LABELS[message.role] || message.role)}</div>
+            <div class="content">${this.renderContent(message.content)}</div>
+        </div>`).join('');
+
+            return `
+    <section>
+        <h1>${this.escapeHTML(conversation.title)}</h1>
+        <p class="date">${this.escapeHTML(this.formatDate(conversation.timestamp))}</p>${messages}
+    </section>`;
+        }).join('\n');
+
+        const title = conversations.length === 1 ? conversations[0].title : 'Conversas - Gemini Nano';
+
+        return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHTML(title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 24px; color: #1a1a1a; line-height: 1.6; }
+        section + section { border-top: 1px solid #d0d0d0; margin-top: 32px; padding-top: 16px; }
+        h1 { font-size: 22px; margin-bottom: 4px; }
+        .date { color: #666; font-size: 13px; margin-top: 0; }
+        .message { margin: 16px 0; padding: 12px 16px; border-radius: 12px; background: #f0f0f0; }
+        .message.user { background: #d4e8d4; }
+        .role { font-size: 12px; font-weight: 600; color: #666; margin-bottom: 4px; }
+        .content > :first-child { margin-top: 0; }
+        .content > :last-child { margin-bottom: 0; }
+        pre { background: #fff; padding: 12px; border-radius: 8px; overflow-x: auto; }
+        code { font-family: Consolas, monospace; font-size: 13px; }
+        .code-header { display: flex; justify-content: space-between; font-size: 12px; color: #666; }
+        .copy-btn { display: none; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #d0d0d0; padding: 4px 8px; }
+        blockquote { border-left: 3px solid #d0d0d0; margin-left: 0; padding-left: 12px; color: #666; }
+        .tok-keyword { color: #7c3aed; } .tok-string { color: #2f7d32; } .tok-number { color: #c2410c; } .tok-comment { color: #999; font-style: italic; }
+    </style>
+</head>
+<body>${sections}
+</body>
+</html>
+`;
+    }
+
+    renderContent(content) {
+        if (!this.renderer) {
+            return `<p style="white-space: pre-wrap">${this.escapeHTML(content)}</p>`;
+        }
+        const container = document.createElement('div');
+        container.appendChild(this.renderer.render(content));
+        return container.innerHTML;
+    }
+
+    /**
+     * Validate an exported JSON file. Returns the normalized conversations
+     * plus a list of problems found; invalid conversations are skipped.
+     */
+    parseImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { conversations: [], errors: ['O arquivo não é um JSON válido.'] };
+        }
+
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.conversations)) {
+            return { conversations: [], errors: ['O arquivo não é uma exportação de conversas do Gemini Nano.'] };
+        }
+
+        if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+            return { conversations: [], errors: [`Versão de exportação não suportada: ${data.version}`] };
+        }
+
+        const conversations = [];
+        const errors = [];
+
+        data.conversations.forEach((conversation, index) => {
+            const problem = this.validateConversation(conversation, data.version);
+            if (problem) {
+                errors.push(`Conversa ${index + 1}: ${problem}`);
+                return;
+            }
+
+            // v1 had no message ids: number them and chain them into one branch
+            const messages = data.version < 2
+                ? ConversationTree.linearize(conversation.messages.map(({ role, content }, position) => ({ id: String(position), role, content })))
+                : conversation.messages.map(({ id, parentId, role, content, toolCalls, task, sources, attachments }) => ({
+                    id,
+                    parentId: parentId || null,
+                    role,
+                    content,
+                    ...(Array.isArray(toolCalls) ? { toolCalls } : {}),
+                    ...(task && AITasks.has(task.action) ? { task } : {}),
+                    ...(this.isSourceList(sources) ? { sources } : {}),
+                    ...(this.isAttachmentList(attachments) ? { attachments: attachments.map(attachment => MediaAttachments.describe(attachment)) } : {})
+                }));
+            const leafId = messages.some(message => message.id === conversation.leafId)
+                ? conversation.leafId
+                : (messages.length > 0 ? messages[messages.length - 1].id : null);
+
+            // Only known fields: anything else in the file would be stored as is
+            const settings = this.pickSettings(conversation.settings);
+            conversations.push({
+                id: conversation.id,
+                title: conversation.title.trim() || 'Nova Conversa',
+                timestamp: isNaN(new Date(conversation.timestamp)) ? new Date().toISOString() : conversation.timestamp,
+                pinned: conversation.pinned === true,
+                folderId: ['number', 'string'].includes(typeof conversation.folderId) ? conversation.folderId : null,
+                messages,
+                leafId,
+                documents: this.pickDocuments(conversation.documents),
+                ...(settings ? { settings } : {})
+            });
+        });
+
+        return { conversations, errors };
+    }
+
+    /**
+     * The model settings of an imported conversation ({ temperature, topK,
+     * systemPrompt }), null when there are none. The caller still checks
+     * their values against the model's limits.
+     */
+    pickSettings(settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return null;
+        const { temperature, topK, systemPrompt } = settings;
+        return { temperature, topK, systemPrompt };
+    }
+
+    isSourceList(sources) {
+        return Array.isArray(sources) && sources.length > 0 && sources.every(source => source &&
+            typeof source.n === 'number' && typeof source.name === 'string' && typeof source.index === 'number');
+    }
+
+    isAttachmentList(attachments) {
+        return Array.isArray(attachments) && attachments.length > 0 && attachments.every(attachment => attachment &&
+            ['image', 'audio'].includes(attachment.kind) && typeof attachment.name === 'string');
+    }
+
+    /**
+     * Well-formed documents of an imported conversation; the rest are skipped
+     */
+    pickDocuments(documents) {
+        if (!Array.isArray(documents)) return [];
+
+        return documents
+            .filter(document => document && ['number', 'string'].includes(typeof document.id) &&
+                typeof document.name === 'string' && Array.isArray(document.chunks) &&
+                document.chunks.every(chunk => chunk && typeof chunk.text === 'string' && typeof chunk.index === 'number'))
+            .map(({ id, name, type, size, timestamp, chunks }) => ({
+                id,
+                name,
+                type: type === 'pdf' ? 'pdf' : 'text',
+                size: typeof size === 'number' ? size : 0,
+                timestamp: isNaN(new Date(timestamp)) ? new Date().toISOString() : timestamp,
+                chunks: chunks.map(({ id: chunkId, index, text }) => ({ id: chunkId, index, text }))
+            }));
+    }
+
+    validateConversation(conversation, version = EXPORT_VERSION) {
+        if (!conversation || typeof conversation !== 'object') return 'formato inválido';
+        if (typeof conversation.id !== 'number' && typeof conversation.id !== 'string') return 'id ausente';
+        if (typeof conversation.title !== 'string') return 'título ausente';
+        if (!Array.isArray(conversation.messages)) return 'mensagens ausentes';
+
+        const badIndex = conversation.messages.findIndex(message =>
+            !message || !['user', 'assistant', 'system'].includes(message.role) || typeof message.content !== 'string'
+        );
+        if (badIndex !== -1) return `mensagem ${badIndex + 1} inválida`;
+
+        if (version >= 2) {
+            const ids = new Set(conversation.messages.map(message => message.id));
+            if (ids.has(undefined) || ids.size !== conversation.messages.length) return 'ids de mensagem ausentes ou repetidos';
+
+            const orphan = conversation.messages.findIndex(message => message.parentId && !ids.has(message.parentId));
+            if (orphan !== -1) return `mensagem ${orphan + 1} sem mensagem anterior`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Prepare imported conversations to be merged: ids already in use get
+     * a new one and every message and document gets a fresh id (parent
+     * links and citations follow). Media attachments get one too, so they
+     * show as missing rather than as another conversation's files.
+     */
+    resolveCollisions(imported, existing, createId) {
+        const usedIds = new Set(existing.map(conversation => conversation.id));
+        let nextId = Date.now();
+
+        return imported.map(conversation => {
+            let id = conversation.id;
+            if (usedIds.has(id)) {
+                while (usedIds.has(nextId)) nextId++;
+                id = nextId;
+            }
+            usedIds.add(id);
+
+            const documentIds = new Map();
+            const documents = conversation.documents.map(document => {
+                documentIds.set(document.id, createId());
+                return { ...document, id: documentIds.get(document.id), conversationId: id };
+            });
+            const { messages, leafId } = ConversationTree.remapIds(conversation.messages, conversation.leafId, createId);
+
+            return {
+                ...conversation,
+                id,
+                leafId,
+                messages: messages.map(message => ({
+                    ...message,
+                    ...(message.sources ? { sources: message.sources.map(source => ({ ...source, documentId: documentIds.get(source.documentId) || source.documentId })) } : {}),
+                    ...(message.attachments ? { attachments: message.attachments.map(attachment => ({ ...attachment, id: createId() })) } : {})
+                })),
+                documents
+            };
+        });
+    }
+
+    /**
+     * Trigger a file download in the browser
+     */
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Export in one of the supported formats ('json' | 'markdown' | 'html')
+     */
+    export(conversations, format, baseName = 'conversas') {
+        const safeName = baseName.replace(/[^\wÀ-ſ -]+/g, '').trim().replace(/\s+/g, '-') || 'conversas';
+
+        switch (format) {
+            case 'markdown':
+                this.download(`${safeName}.md`, this.toMarkdown(conversations), 'text/markdown');
+                break;
+            case 'html':
+                this.download(`${safeName}.html`, this.toHTML(conversations), 'text/html');
+                break;
+            default:
+                this.download(`${safeName}.json`, this.toJSON(conversations), 'application/json');
+        }
+    }
+
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        return isNaN(date) ? '' : date.toLocaleString('pt-BR');
+    }
+
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use
+window.ConversationExporter = ConversationExporter;
@@ -0,0 +1,257 @@
+/**
+ * Local AI
+ * API de promises e iteradores assíncronos sobre o LocalAICore, usada por
+ * outras páginas (ver sdk.js) e pela ponte postMessage (ver bridge.js)
+ */
+
+class LocalAIError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} status - initialize() status ('unsupported', 'unavailable', 'downloadable'...)
+     */
+    constructor(message, status = 'error') {
+        super(message);
+        this.name = 'LocalAIError';
+        this.status = status;
+    }
+}
+
+/**
+ * Promise / async-iterator front for a LocalAICore:
+ *
+ *   const ai = await LocalAI.create({ systemPrompt: 'Responda em uma frase.' });
+ *   for await (const chunk of ai.stream('Olá!')) output.textContent += chunk;
+ *   const answer = await ai.prompt('E o clima?', { conversation: 'chat-1' });
+ *
+ * Prompts without `conversation` start from a blank session; with one,
+ * the turns are remembered under that name. Events: 'status' (detail:
+ * text) and 'downloadprogress' (detail: 0..1).
+ *
+ * Options:
+ *   core                            - LocalAICore to wrap (default: a new one, whose
+ *                                     status and download progress become events)
+ *   provider                        - backend of the new core (see ai-providers.js)
+ *   temperature, topK, systemPrompt - session settings of the new core
+ *   conversationPrefix              - prefix of the core's conversation ids (default 'sdk')
+ */
+class LocalAI extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.core = options.core || new LocalAICore({ provider: options.provider });
+        this.prefix = options.conversationPrefix || 'sdk';
+        // conversation -> turns sent so far ([{ role, content, media }])
+        this.conversations = new Map();
+        this.nextPromptId = 1;
+
+        if (!options.core) {
+            this.core.setSessionSettings(options);
+            this.core.setStatusCallback(status => this.dispatchEvent(new CustomEvent('status', { detail: status })));
+            this.core.setDownloadProgressCallback(progress => {
+                this.dispatchEvent(new CustomEvent('downloadprogress', { detail: progress }));
+            });
+        }
+    }
+
+    /**
+     * New instance with the model ready (see ready())
+     */
+    static async create(options = {}) {
+        const ai = new LocalAI(options);
+        await ai.ready();
+        return ai;
+    }
+
+    /**
+     * Get the model ready, downloading it when needed. Rejects with a
+     * LocalAIError whose `status` tells why it can't run.
+     */
+    async ready() {
+        const result = await this.core.initialize();
+        if (!result.success) {
+            throw new LocalAIError(result.error || 'O modelo não está disponível', result.status);
+        }
+        return result;
+    }
+
+    supportsInput(type) {
+        return this.core.supportsInput(type);
+    }
+
+    /**
+     * Queue a prompt. Returns { promise, cancel }; the promise resolves
+     * with the core's response ({ result, data, toolCalls, metrics }) and
+     * rejects with an AbortError when cancelled.
+     *
+     * Options:
+     *   conversation - name under which the turns are remembered
+     *   signal       - AbortSignal that cancels the prompt
+     *   task         - task instead of chat ('summarize', 'translate'...; see ai-tasks.js)
+     *   taskOptions  - the task's options
+     *   schema       - JSON Schema of a structured answer (parsed into `data`)
+     *   context      - text placed before the prompt
+     *   media        - images/audio ([{ type, value }]; see supportsInput)
+     *   maxToolSteps - tool calls allowed for this answer
+     */
+    send(input, options = {}, onChunk = null) {
+        const named = options.conversation !== undefined && options.conversation !== null;
+        const conversationId = named ? `${this.prefix}:${options.conversation}` : `${this.prefix}:prompt-${this.nextPromptId++}`;
+
+        // Shared by the prompts queued on the conversation, so each one
+        // restores the session with the turns of those before it
+        let history = null;
+        if (named) {
+            if (!this.conversations.has(options.conversation)) {
+                this.conversations.set(options.conversation, []);
+            }
+            history = this.conversations.get(options.conversation);
+        }
+
+        // Chunks can carry tool call markup: only what surely isn't one goes out
+        let raw = '';
+        let sent = '';
+
+        const request = this.core.enqueue(input, {
+            action: options.task || 'ask',
+            metadata: { conversationId },
+            history,
+            taskOptions: options.taskOptions,
+            schema: options.schema,
+            context: options.context,
+            media: options.media,
+            maxToolSteps: options.maxToolSteps,
+            onChunk: (chunk) => {
+                raw += chunk;
+                const visible = ToolRegistry.streamingText(raw);
+                if (visible.length > sent.length && visible.startsWith(sent)) {
+                    if (onChunk) onChunk(visible.slice(sent.length));
+                    sent = visible;
+                }
+            },
+            onToolCall: () => {
+                raw = '';
+                sent = '';
+            },
+            // Recorded before the core starts the next request in the queue
+            onComplete: (result) => {
+                if (history) {
+                    history.push(
+                        { role: 'user', content: input, media: options.media },
+                        { role: 'assistant', content: result }
+                    );
+                }
+            },
+            // Errors reject the promise instead of reaching the core's global callback
+            onError: () => {}
+        });
+
+        const cancel = () => this.core.cancel(request.id);
+        if (options.signal) {
+            if (options.signal.aborted) cancel();
+            options.signal.addEventListener('abort', cancel, { once: true });
+        }
+
+        const promise = request.promise.then(response => {
+            if (!response.success) {
+                throw LocalAI.abortError();
+            }
+            return response;
+        }).finally(() => {
+            if (options.signal) options.signal.removeEventListener('abort', cancel);
+            if (!named) {
+                this.core.forgetConversation(conversationId);
+            }
+        });
+
+        return { promise, cancel };
+    }
+
+    /**
+     * Resolves with the answer text, or with the parsed value when a
+     * `schema` is given. Options as in send().
+     */
+    async prompt(input, options = {}) {
+        const response = await this.send(input, options).promise;
+        return options.schema ? response.data : response.result;
+    }
+
+    /**
+     * The answer as it is generated. Leaving the loop early cancels the
+     * prompt. Options as in send().
+     */
+    stream(input, options = {}) {
+        return LocalAI.fromCallbacks(({ chunk, end, fail }) => {
+            const request = this.send(input, options, chunk);
+            request.promise.then(end, fail);
+            return request.cancel;
+        });
+    }
+
+    /**
+     * Drop a conversation's turns and session
+     */
+    forget(conversation) {
+        this.conversations.delete(conversation);
+        this.core.forgetConversation(`${this.prefix}:${conversation}`);
+    }
+
+    destroy() {
+        this.conversations.clear();
+        this.core.destroy();
+    }
+
+    static abortError() {
+        return new DOMException('Requisição cancelada', 'AbortError');
+    }
+
+    /**
+     * Async iterator over values delivered by callbacks. start({ chunk,
+     * end, fail }) begins the work on the first next() and returns a
+     * function that cancels it, called when the consumer stops early.
+     */
+    static async *fromCallbacks(start) {
+        const chunks = [];
+        let finished = false;
+        let failure = null;
+        let wake = null;
+        const notify = () => {
+            if (wake) wake();
+            wake = null;
+        };
+
+        const cancel = start({
+            chunk: (value) => {
+                chunks.push(value);
+                notify();
+            },
+            end: () => {
+                finished = true;
+                notify();
+            },
+            fail: (error) => {
+                failure = failure || error;
+                finished = true;
+                notify();
+            }
+        });
+
+        try {
+            while (true) {
+                if (chunks.length > 0) {
+                    yield chunks.shift();
+                } else if (failure) {
+                    throw failure;
+                } else if (finished) {
+                    return;
+                } else {
+                    await new Promise(resolve => { wake = resolve; });
+                }
+            }
+        } finally {
+            if (!finished && cancel) cancel();
+        }
+    }
+}
+
+// Export for use
+window.LocalAIError = LocalAIError;
+window.LocalAI = LocalAI;
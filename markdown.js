@@ -0,0 +1,722 @@
+/**
+ * Markdown Renderer
+ * Converte Markdown em nós DOM (sem innerHTML com conteúdo do modelo),
+ * com sanitização por allow-list e realce leve de código
+ */
+
+// Elements and attributes the renderer is allowed to produce
+const MARKDOWN_ALLOWED_TAGS = {
+    p: [], br: [], strong: [], em: [], del: [], hr: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    ul: [], ol: ['start'], li: [], blockquote: [],
+    pre: [], code: ['class'], span: ['class'], div: ['class'],
+    a: ['href', 'title', 'target', 'rel'],
+    table: [], thead: [], tbody: [], tr: [], th: ['class'], td: ['class'],
+    button: ['class', 'type', 'title']
+};
+
+const MARKDOWN_SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Keyword lists for the lightweight highlighter
+const HIGHLIGHT_KEYWORDS = {
+    js: 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield interface type enum implements',
+    python: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self',
+    bash: 'if then else elif fi for while do done case esac function in return export local echo exit source',
+    c: 'auto break case char class const continue default do double else enum extern false float for fn func go goto if impl import int let long match mut namespace new nil null package private protected pub public return self short signed sizeof static struct super switch this throw true try typedef union unsigned use var void volatile while',
+    css: 'important media import from to',
+    sql: 'select from where insert into values update set delete create table drop alter join left right inner outer on group by order having limit and or not null as distinct'
+};
+
+const HIGHLIGHT_ALIASES = {
+    javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', json: 'js', mjs: 'js',
+    py: 'python', python3: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    java: 'c', cpp: 'c', 'c++': 'c', cs: 'c', csharp: 'c', go: 'c', rust: 'c', rs: 'c', kotlin: 'c', swift: 'c', php: 'c',
+    scss: 'css', less: 'css',
+    html: 'markup', xml: 'markup', svg: 'markup'
+};
+
+class MarkdownRenderer {
+    constructor(options = {}) {
+        this.document = options.document || document;
+    }
+
+    /**
+     * Render a full Markdown string into a DocumentFragment
+     */
+    render(text) {
+        const fragment = this.document.createDocumentFragment();
+        for (const block of this.parseBlocks(text || '')) {
+            fragment.appendChild(this.renderBlock(block));
+        }
+        this.sanitize(fragment);
+        return fragment;
+    }
+
+    /**
+     * Incremental renderer bound to a container (see MarkdownStream)
+     */
+    createStream(container) {
+        return new MarkdownStream(this, container);
+    }
+
+    // ---------- Block parsing ----------
+
+    /**
+     * Split Markdown into block tokens. Each token records the source
+     * offset where it ends so streams know which blocks are complete.
+     */
+    parseBlocks(text) {
+        const lines = [];
+        let offset = 0;
+        for (const line of text.split('\n')) {
+            offset += line.length + 1;
+            lines.push({ text: line, end: Math.min(offset, text.length) });
+        }
+
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i].text;
+
+            if (/^\s*$/.test(line)) {
+                i++;
+                continue;
+            }
+
+            // Fenced code (may be unterminated while streaming)
+            const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+            if (fence) {
+                const marker = fence[1];
+                const code = [];
+                let closed = false;
+                i++;
+                while (i < lines.length) {
+                    const closing = lines[i].text.trim().match(/^(`{3,}|~{3,})$/);
+                    if (closing && closing[1][0] === marker[0] && closing[1].length >= marker.length) {
+                        closed = true;
+                        i++;
+                        break;
+                    }
+                    code.push(lines[i].text);
+                    i++;
+                }
+                blocks.push({ type: 'code', language: fence[2].toLowerCase(), text: code.join('\n'), closed, end: lines[i - 1].end });
+                continue;
+            }
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2], end: lines[i].end });
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                blocks.push({ type: 'hr', end: lines[i].end });
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i].text)) {
+                    quoted.push(lines[i].text.replace(/^\s{0,3}>\s?/, ''));
+                    i++;
+                }
+                blocks.push({ type: 'blockquote', children: this.parseBlocks(quoted.join('\n')), end: lines[i - 1].end });
+                continue;
+            }
+
+            if (this.isListItem(line)) {
+                const items = [];
+                while (i < lines.length) {
+                    const current = lines[i].text;
+                    if (this.isListItem(current)) {
+                        const match = current.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+                        const item = {
+                            indent: match[1].replace(/\t/g, '    ').length,
+                            ordered: /\d/.test(match[2]),
+                            start: parseInt(match[2], 10),
+                            text: match[3]
+                        };
+                        // Switching between bullets and numbers at the top level starts a new list
+                        if (items.length > 0 && item.indent <= items[0].indent && item.ordered !== items[0].ordered) {
+                            break;
+                        }
+                        items.push(item);
+                    } else if (/^\s+\S/.test(current) && items.length > 0) {
+                        // Lazy continuation of the previous item
+                        items[items.length - 1].text += '\n' + current.trim();
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                blocks.push({ type: 'list', items, end: lines[i - 1].end });
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length && this.isTableSeparator(lines[i + 1].text)) {
+                const header = this.splitTableRow(line);
+                const align = this.splitTableRow(lines[i + 1].text).map(cell => {
+                    const left = cell.startsWith(':');
+                    const right = cell.endsWith(':');
+                    return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+                });
+                const rows = [];
+                i += 2;
+                while (i < lines.length && lines[i].text.includes('|') && !/^\s*$/.test(lines[i].text)) {
+                    rows.push(this.splitTableRow(lines[i].text));
+                    i++;
+                }
+                blocks.push({ type: 'table', header, align, rows, end: lines[i - 1].end });
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const paragraph = [];
+            while (i < lines.length && !/^\s*$/.test(lines[i].text)) {
+                const current = lines[i].text;
+                if (paragraph.length > 0 && (
+                    /^\s*(`{3,}|~{3,})/.test(current) ||
+                    /^\s{0,3}#{1,6}\s/.test(current) ||
+                    /^\s{0,3}>/.test(current) ||
+                    this.isListItem(current)
+                )) {
+                    break;
+                }
+                paragraph.push(current);
+                i++;
+            }
+            blocks.push({ type: 'paragraph', text: paragraph.join('\n'), end: lines[i - 1].end });
+        }
+
+        return blocks;
+    }
+
+    isListItem(line) {
+        return /^\s*([-*+]|\d+[.)])\s+/.test(line) && !/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line);
+    }
+
+    isTableSeparator(line) {
+        return /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+    }
+
+    splitTableRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    }
+
+    // ---------- Block rendering ----------
+
+    renderBlock(block) {
+        const doc = this.document;
+
+        switch (block.type) {
+            case 'code':
+                return this.renderCodeBlock(block.text, block.language);
+
+            case 'heading': {
+                const el = doc.createElement(`h${block.level}`);
+                this.appendInline(el, block.text);
+                return el;
+            }
+
+            case 'hr':
+                return doc.createElement('hr');
+
+            case 'blockquote': {
+                const el = doc.createElement('blockquote');
+                block.children.forEach(child => el.appendChild(this.renderBlock(child)));
+                return el;
+            }
+
+            case 'list':
+                return this.renderList(block.items);
+
+            case 'table':
+                return this.renderTable(block);
+
+            default: {
+                const el = doc.createElement('p');
+                this.appendInline(el, block.text);
+                return el;
+            }
+        }
+    }
+
+    /**
+     * Build nested lists from items with indentation levels
+     */
+    renderList(items) {
+        const doc = this.document;
+        const createList = (item) => {
+            const list = doc.createElement(item.ordered ? 'ol' : 'ul');
+            if (item.ordered && item.start > 1) {
+                list.setAttribute('start', String(item.start));
+            }
+            return list;
+        };
+
+        const root = createList(items[0]);
+        const stack = [{ list: root, indent: items[0].indent, lastItem: null }];
+
+        for (const item of items) {
+            let top = stack[stack.length - 1];
+
+            if (item.indent > top.indent && top.lastItem) {
+                const nested = createList(item);
+                top.lastItem.appendChild(nested);
+                stack.push({ list: nested, indent: item.indent, lastItem: null });
+            } else {
+                while (stack.length > 1 && item.indent < stack[stack.length - 1].indent) {
+                    stack.pop();
+                }
+            }
+
+            top = stack[stack.length - 1];
+            const li = doc.createElement('li');
+            this.appendInline(li, item.text);
+            top.list.appendChild(li);
+            top.lastItem = li;
+        }
+
+        return root;
+    }
+
+    renderTable(block) {
+        const doc = this.document;
+        const wrapper = doc.createElement('div');
+        wrapper.className = 'table-wrapper';
+        const table = doc.createElement('table');
+        const thead = doc.createElement('thead');
+        const headRow = doc.createElement('tr');
+
+        const addCell = (row, tag, text, index) => {
+            const cell = doc.createElement(tag);
+            if (block.align[index]) {
+                cell.className = `align-${block.align[index]}`;
+            }
+            this.appendInline(cell, text || '');
+            row.appendChild(cell);
+        };
+
+        block.header.forEach((text, index) => addCell(headRow, 'th', text, index));
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = doc.createElement('tbody');
+        for (const row of block.rows) {
+            const tr = doc.createElement('tr');
+            block.header.forEach((_, index) => addCell(tr, 'td', row[index], index));
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        wrapper.appendChild(table);
+
+        return wrapper;
+    }
+
+    renderCodeBlock(code, language) {
+        const doc = this.document;
+        const wrapper = doc.createElement('div');
+        wrapper.className = 'code-block';
+
+        const header = doc.createElement('div');
+        header.className = 'code-header';
+
+        const label = doc.createElement('span');
+        label.className = 'code-lang';
+        label.textContent = language || 'texto';
+
+        const copyBtn = doc.createElement('button');
+        copyBtn.className = 'copy-btn';
+        copyBtn.type = 'button';
+        copyBtn.title = 'Copiar código';
+        copyBtn.textContent = 'Copiar';
+        copyBtn.addEventListener('click', () => this.copyCode(code, copyBtn));
+
+        header.appendChild(label);
+        header.appendChild(copyBtn);
+
+        const pre = doc.createElement('pre');
+        const codeEl = doc.createElement('code');
+        if (language) {
+            codeEl.className = `language-${language.replace(/[^\w-]/g, '')}`;
+        }
+        codeEl.appendChild(this.highlight(code, language));
+        pre.appendChild(codeEl);
+
+        wrapper.appendChild(header);
+        wrapper.appendChild(pre);
+        return wrapper;
+    }
+
+    async copyCode(code, button) {
+        try {
+            await navigator.clipboard.writeText(code);
+            button.textContent = 'Copiado!';
+        } catch (error) {
+            console.warn('MarkdownRenderer: Falha ao copiar:', error);
+            button.textContent = 'Erro ao copiar';
+        }
+        setTimeout(() => {
+            button.textContent = 'Copiar';
+        }, 1500);
+    }
+
+    // ---------- Inline rendering ----------
+
+    appendInline(parent, text) {
+        for (const node of this.parseInline(text)) {
+            parent.appendChild(node);
+        }
+    }
+
+    /**
+     * Parse inline Markdown (code, links, emphasis, autolinks, line breaks)
+     */
+    parseInline(text) {
+        const doc = this.document;
+        const nodes = [];
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+            if (buffer) {
+                nodes.push(doc.createTextNode(buffer));
+                buffer = '';
+            }
+        };
+
+        const wrap = (tag, inner) => {
+            const el = doc.createElement(tag);
+            this.parseInline(inner).forEach(node => el.appendChild(node));
+            return el;
+        };
+
+        while (i < text.length) {
+            const rest = text.slice(i);
+            const char = text[i];
+            let match;
+
+            if (char === '\\' && /^\\[\\`*_{}[\]()#+\-.!~|>]/.test(rest)) {
+                buffer += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            if (char === '\n') {
+                flush();
+                nodes.push(doc.createElement('br'));
+                i++;
+                continue;
+            }
+
+            if (char === '`' && (match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+                flush();
+                const code = doc.createElement('code');
+                code.textContent = match[2].trim();
+                nodes.push(code);
+                i += match[0].length;
+                continue;
+            }
+
+            if (char === '[' && (match = rest.match(/^\[([^\]]+)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"([^"]*)")?\s*\)/))) {
+                flush();
+                const link = wrap('a', match[1]);
+                link.setAttribute('href', match[2]);
+                if (match[3]) link.setAttribute('title', match[3]);
+                nodes.push(link);
+                i += match[0].length;
+                continue;
+            }
+
+            if ((match = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1/))) {
+                flush();
+                nodes.push(wrap('strong', match[2]));
+                i += match[0].length;
+                continue;
+            }
+
+            if ((match = rest.match(/^~~(?=\S)([\s\S]*?\S)~~/))) {
+                flush();
+                nodes.push(wrap('del', match[1]));
+                i += match[0].length;
+                continue;
+            }
+
+            if (char === '*' && (match = rest.match(/^\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/))) {
+                flush();
+                nodes.push(wrap('em', match[1]));
+                i += match[0].length;
+                continue;
+            }
+
+            // Underscore emphasis only at word boundaries (keeps snake_case intact)
+            if (char === '_' && !/\w/.test(text[i - 1] || '') && (match = rest.match(/^_(?=\S)([\s\S]*?\S)_(?!\w)/))) {
+                flush();
+                nodes.push(wrap('em', match[1]));
+                i += match[0].length;
+                continue;
+            }
+
+            if ((char === 'h' || char === '<') && (match = rest.match(/^<?(https?:\/\/[^\s<>"]*[^\s<>".,;:!?)\]'])>?/))) {
+                flush();
+                const link = doc.createElement('a');
+                link.setAttribute('href', match[1]);
+                link.textContent = match[1];
+                nodes.push(link);
+                i += match[0].length;
+                continue;
+            }
+
+            buffer += char;
+            i++;
+        }
+
+        flush();
+        return nodes;
+    }
+
+    // ---------- Code highlighting ----------
+
+    /**
+     * Tokenize code into spans for comments, strings, numbers and keywords
+     */
+    highlight(code, language) {
+        const doc = this.document;
+        const fragment = doc.createDocumentFragment();
+        const lang = HIGHLIGHT_ALIASES[language] || language;
+
+        if (lang === 'markup') {
+            return this.highlightMarkup(code);
+        }
+
+        const keywords = HIGHLIGHT_KEYWORDS[lang];
+        if (!keywords && language) {
+            fragment.appendChild(doc.createTextNode(code));
+            return fragment;
+        }
+
+        const commentPattern = {
+            python: '#.*',
+            bash: '#.*',
+            css: '\\/\\*[\\s\\S]*?\\*\\/',
+            sql: '--.*'
+        }[lang] || '\\/\\/.*|\\/\\*[\\s\\S]*?\\*\\/|#.*';
+
+        const keywordPattern = keywords ? `\\b(?:${keywords.split(' ').join('|')})\\b` : '(?!)';
+        const tokenizer = new RegExp(
+            `(${commentPattern})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|(${keywordPattern})`,
+            lang === 'sql' ? 'gi' : 'g'
+        );
+
+        let last = 0;
+        let match;
+        while ((match = tokenizer.exec(code)) !== null) {
+            if (match[0] === '') {
+                tokenizer.lastIndex++;
+                continue;
+            }
+            if (match.index > last) {
+                fragment.appendChild(doc.createTextNode(code.slice(last, match.index)));
+            }
+            const type = match[1] ? 'comment' : match[2] ? 'string' : match[3] ? 'number' : 'keyword';
+            fragment.appendChild(this.token(match[0], type));
+            last = match.index + match[0].length;
+        }
+
+        if (last < code.length) {
+            fragment.appendChild(doc.createTextNode(code.slice(last)));
+        }
+
+        return fragment;
+    }
+
+    highlightMarkup(code) {
+        const doc = this.document;
+        const fragment = doc.createDocumentFragment();
+        const tokenizer = /(<!--[\s\S]*?-->)|(<\/?[\w:-]+)|("[^"]*"|'[^']*')|(\/?>)/g;
+        let last = 0;
+        let match;
+
+        while ((match = tokenizer.exec(code)) !== null) {
+            if (match.index > last) {
+                fragment.appendChild(doc.createTextNode(code.slice(last, match.index)));
+            }
+            const type = match[1] ? 'comment' : match[3] ? 'string' : 'keyword';
+            fragment.appendChild(this.token(match[0], type));
+            last = match.index + match[0].length;
+        }
+
+        if (last < code.length) {
+            fragment.appendChild(doc.createTextNode(code.slice(last)));
+        }
+        return fragment;
+    }
+
+    token(text, type) {
+        const span = this.document.createElement('span');
+        span.className = `tok-${type}`;
+        span.textContent = text;
+        return span;
+    }
+
+    // ---------- Sanitizer ----------
+
+    /**
+     * Enforce the allow-list on a rendered tree: unknown elements are
+     * replaced by their text, unknown attributes and unsafe URLs removed
+     */
+    sanitize(root) {
+        const elements = [...root.querySelectorAll('*')];
+        if (root.nodeType === 1) {
+            elements.unshift(root);
+        }
+
+        for (const el of elements) {
+            const tag = el.tagName.toLowerCase();
+            const allowedAttributes = MARKDOWN_ALLOWED_TAGS[tag];
+
+            if (!allowedAttributes) {
+                el.replaceWith(this.document.createTextNode(el.textContent));
+                continue;
+            }
+
+            for (const attr of [...el.attributes]) {
+                if (!allowedAttributes.includes(attr.name)) {
+                    el.removeAttribute(attr.name);
+                }
+            }
+
+            if (tag === 'a') {
+                const href = el.getAttribute('href');
+                if (!this.isSafeUrl(href)) {
+                    el.removeAttribute('href');
+                } else {
+                    el.setAttribute('target', '_blank');
+                    el.setAttribute('rel', 'noopener noreferrer');
+                }
+            }
+        }
+
+        return root;
+    }
+
+    isSafeUrl(url) {
+        if (!url) return false;
+        try {
+            const parsed = new URL(url, window.location.href);
+            return MARKDOWN_SAFE_PROTOCOLS.includes(parsed.protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+/**
+ * Incremental rendering for streamed answers. Blocks that can no longer
+ * change are rendered once; only the trailing block is re-rendered on
+ * every update.
+ */
+class MarkdownStream {
+    constructor(renderer, container) {
+        this.renderer = renderer;
+        this.container = container;
+        this.reset();
+    }
+
+    reset() {
+        this.container.replaceChildren();
+        this.source = '';
+        this.committedOffset = 0;
+        this.liveNodes = [];
+        this.cursor = null;
+    }
+
+    /**
+     * Render the full text received so far
+     */
+    update(text, showCursor = true) {
+        // Text that doesn't extend what we rendered (e.g. replaced answer)
+        if (!text.startsWith(this.source.slice(0, this.committedOffset))) {
+            this.reset();
+        }
+        this.source = text;
+
+        this.liveNodes.forEach(node => node.remove());
+        this.liveNodes = [];
+        if (this.cursor) {
+            this.cursor.remove();
+        }
+
+        const tail = text.slice(this.committedOffset);
+        const blocks = this.renderer.parseBlocks(tail);
+        let committing = true;
+        let committedEnd = 0;
+
+        blocks.forEach((block, index) => {
+            const node = this.renderer.sanitize(this.renderer.renderBlock(block));
+            this.container.appendChild(node);
+
+            // A block is final once a blank line (or a closing fence) follows it;
+            // anything after the first unfinished block is re-rendered next time
+            const finished = index < blocks.length - 1 &&
+                (block.type === 'code' ? block.closed : /^[ \t]*\n/.test(tail.slice(block.end)));
+
+            if (committing && finished) {
+                committedEnd = block.end;
+            } else {
+                committing = false;
+                this.liveNodes.push(node);
+            }
+        });
+
+        this.committedOffset += committedEnd;
+
+        if (showCursor) {
+            this.cursor = this.cursor || this.createCursor();
+            const target = this.lastTextContainer();
+            target.appendChild(this.cursor);
+        }
+    }
+
+    /**
+     * Final render: drop the cursor and re-render the last block once more
+     */
+    finish(text) {
+        this.update(text, false);
+        if (this.cursor) {
+            this.cursor.remove();
+            this.cursor = null;
+        }
+    }
+
+    createCursor() {
+        const cursor = this.renderer.document.createElement('span');
+        cursor.className = 'cursor-blinking';
+        return cursor;
+    }
+
+    /**
+     * Deepest trailing element that can hold the cursor inline
+     */
+    lastTextContainer() {
+        let node = this.liveNodes[this.liveNodes.length - 1];
+        if (!node) return this.container;
+
+        while (node.lastElementChild && ['UL', 'OL', 'LI', 'BLOCKQUOTE', 'P', 'PRE', 'CODE'].includes(node.lastElementChild.tagName)) {
+            node = node.lastElementChild;
+        }
+        if (node.classList && node.classList.contains('code-block')) {
+            node = node.querySelector('code') || node;
+        }
+        return node;
+    }
+}
+
+// Export for use
+window.MarkdownRenderer = MarkdownRenderer;
+window.MarkdownStream = MarkdownStream;
@@ -0,0 +1,84 @@
+/**
+ * Media Attachments
+ * Imagens e áudios anexados às mensagens, enviados ao modelo como conteúdo multimodal
+ */
+
+const MEDIA_MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+const MEDIA_KIND_LABELS = {
+    image: 'imagem',
+    audio: 'áudio'
+};
+
+class MediaAttachments {
+    /**
+     * 'image', 'audio' or null for other files
+     */
+    static kind(file) {
+        if (/^image\//.test(file.type)) return 'image';
+        if (/^audio\//.test(file.type)) return 'audio';
+        return null;
+    }
+
+    static label(kind) {
+        return MEDIA_KIND_LABELS[kind] || kind;
+    }
+
+    /**
+     * Stored record for a file: { id, conversationId, kind, name, type, size, blob }.
+     * The conversation is set once the message is sent.
+     */
+    static create(file) {
+        const kind = MediaAttachments.kind(file);
+        if (!kind) {
+            throw new Error(`${file.name}: formato não suportado (use imagem ou áudio)`);
+        }
+        if (file.size > MEDIA_MAX_FILE_SIZE) {
+            throw new Error(`${file.name} é maior que ${MEDIA_MAX_FILE_SIZE / 1024 / 1024} MB`);
+        }
+
+        return {
+            id: ConversationStore.createId(),
+            conversationId: null,
+            kind,
+            // Pasted images come without a useful name
+            name: file.name && file.name !== 'image.png' ? file.name : `${MediaAttachments.label(kind)}-${new Date().toISOString().slice(0, 19)}`,
+            type: file.type,
+            size: file.size,
+            blob: file
+        };
+    }
+
+    /**
+     * What a message keeps about a record (the blob stays in the store)
+     */
+    static describe(record) {
+        const { id, kind, name, type, size } = record;
+        return { id, kind, name, type, size };
+    }
+
+    /**
+     * Prompt API content parts for a text with media ({ type, value })
+     */
+    static toContent(text, media) {
+        return [...(text ? [{ type: 'text', value: text }] : []), ...media];
+    }
+
+    /**
+     * Plain text of a prompt input (string, content parts or messages),
+     * with a placeholder for each image or audio clip
+     */
+    static promptText(input) {
+        if (Array.isArray(input)) {
+            return input.map(part => MediaAttachments.promptText(part)).filter(Boolean).join('\n');
+        }
+        if (input && typeof input === 'object') {
+            if (input.content !== undefined) return MediaAttachments.promptText(input.content);
+            return input.type === 'text' ? String(input.value || '') : `[${MediaAttachments.label(input.type)}]`;
+        }
+        return String(input || '');
+    }
+}
+
+// Export for use
+window.MediaAttachments = MediaAttachments;
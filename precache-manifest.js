@@ -0,0 +1,114 @@
+// Gerado por scripts/build-precache.js - não edite à mão
+self.PRECACHE_MANIFEST = {
+    "version": "25800173a2d0",
+    "assets": [
+        {
+            "url": "./",
+            "revision": "817dbb6a9b1a"
+        },
+        {
+            "url": "./index.html",
+            "revision": "817dbb6a9b1a"
+        },
+        {
+            "url": "./style.css",
+            "revision": "0159211a54da"
+        },
+        {
+            "url": "./manifest.json",
+            "revision": "e9de730e077c"
+        },
+        {
+            "url": "./icons/icon.svg",
+            "revision": "ea67507066a9"
+        },
+        {
+            "url": "./icons/icon-192.png",
+            "revision": "c2cd4da8b74a"
+        },
+        {
+            "url": "./conversation-tree.js",
+            "revision": "c453475c6260"
+        },
+        {
+            "url": "./storage.js",
+            "revision": "95d29c7dc6be"
+        },
+        {
+            "url": "./markdown.js",
+            "revision": "cae1064960d6"
+        },
+        {
+            "url": "./exporter.js",
+            "revision": "9f34054225c2"
+        },
+        {
+            "url": "./search.js",
+            "revision": "267f8a331fb1"
+        },
+        {
+            "url": "./templates.js",
+            "revision": "a94959e810af"
+        },
+        {
+            "url": "./shortcuts.js",
+            "revision": "b648d126c5bd"
+        },
+        {
+            "url": "./schema.js",
+            "revision": "1ea4a32ffb91"
+        },
+        {
+            "url": "./tools.js",
+            "revision": "c5ffa5dbadcc"
+        },
+        {
+            "url": "./rag.js",
+            "revision": "7710de23cd78"
+        },
+        {
+            "url": "./media.js",
+            "revision": "5752f37ebd6c"
+        },
+        {
+            "url": "./speech.js",
+            "revision": "bd6c0c8b279d"
+        },
+        {
+            "url": "./ai-tasks.js",
+            "revision": "dc45c503f7c9"
+        },
+        {
+            "url": "./ai-providers.js",
+            "revision": "f0150a6dcc62"
+        },
+        {
+            "url": "./ai-core.js",
+            "revision": "9f8da4a8f866"
+        },
+        {
+            "url": "./local-ai.js",
+            "revision": "932e47fcd80e"
+        },
+        {
+            "url": "./bridge.js",
+            "revision": "08fdc662d287"
+        },
+        {
+            "url": "./app.js",
+            "revision": "14e8f017ffea"
+        },
+        {
+            "url": "./icons/icon-512.png",
+            "revision": "d304dde7810b"
+        },
+        {
+            "url": "./icons/icon-maskable-512.png",
+            "revision": "a2039ee81356"
+        },
+        {
+            "url": "./sdk.js",
+            "revision": "3dbedb575205"
+        }
+    ]
+};
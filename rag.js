@@ -0,0 +1,410 @@
+/**
+ * Document Q&A (RAG)
+ * Arquivos anexados às conversas são divididos em trechos, indexados localmente
+ * com BM25 e os melhores trechos entram no prompt, com citações [n]
+ */
+
+// Characters per chunk and how much of the previous chunk is repeated
+const RAG_CHUNK_SIZE = 800;
+const RAG_CHUNK_OVERLAP = 150;
+// Passages injected into each prompt
+const RAG_TOP_K = 3;
+const RAG_MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Words too common to help ranking (pt and en)
+const RAG_STOPWORDS = new Set([
+    'de', 'da', 'do', 'das', 'dos', 'em', 'no', 'na', 'nos', 'nas', 'um', 'uma', 'os', 'as', 'que', 'se',
+    'por', 'para', 'com', 'como', 'ao', 'aos', 'ou', 'qual', 'quais', 'sao', 'ser', 'foi', 'tem', 'sobre',
+    'the', 'of', 'and', 'to', 'in', 'is', 'it', 'for', 'on', 'what', 'are', 'with', 'as', 'an', 'be', 'by'
+]);
+
+class DocumentIndex {
+    constructor() {
+        // documentId -> { id, conversationId, name, type, size, timestamp, chunks: [{ id, index, text }] }
+        this.documents = new Map();
+        // documentId -> Map(chunkId -> { frequencies: Map(term -> count), length })
+        this.chunkTerms = new Map();
+        this.k1 = 1.2;
+        this.b = 0.75;
+    }
+
+    static tokenize(text) {
+        return SearchIndex.tokenize(text).filter(token => !RAG_STOPWORDS.has(token));
+    }
+
+    /**
+     * Split text into chunks of about `size` characters, on paragraph,
+     * then sentence, then word boundaries. Each chunk starts with the
+     * last `overlap` characters of the previous one.
+     */
+    static chunkText(text, size = RAG_CHUNK_SIZE, overlap = RAG_CHUNK_OVERLAP) {
+        const pieces = [];
+        const paragraphs = String(text || '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+        for (const paragraph of paragraphs.map(p => p.trim()).filter(Boolean)) {
+            if (paragraph.length <= size) {
+                pieces.push(paragraph);
+                continue;
+            }
+            let current = '';
+            for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+                for (const part of DocumentIndex.splitWords(sentence, size)) {
+                    if (current && current.length + part.length + 1 > size) {
+                        pieces.push(current);
+                        current = '';
+                    }
+                    current = current ? `${current} ${part}` : part;
+                }
+            }
+            if (current) pieces.push(current);
+        }
+
+        const chunks = [];
+        let current = '';
+        for (const piece of pieces) {
+            if (current && current.length + piece.length + 2 > size) {
+                chunks.push(current);
+                const tail = DocumentIndex.tail(current, overlap);
+                current = tail ? `${tail}\n\n${piece}` : piece;
+            } else {
+                current = current ? `${current}\n\n${piece}` : piece;
+            }
+        }
+        if (current) chunks.push(current);
+
+        return chunks;
+    }
+
+    // Hard split for sentences longer than a chunk
+    static splitWords(sentence, size) {
+        if (sentence.length <= size) return [sentence];
+
+        const parts = [];
+        let current = '';
+        for (const word of sentence.split(/\s+/)) {
+            if (current && current.length + word.length + 1 > size) {
+                parts.push(current);
+                current = '';
+            }
+            current = current ? `${current} ${word}` : word.slice(0, size);
+        }
+        if (current) parts.push(current);
+        return parts;
+    }
+
+    // End of a chunk, starting on a word boundary
+    static tail(text, length) {
+        if (length <= 0) return '';
+        const start = text.length - length;
+        if (start <= 0) return text;
+        const space = text.indexOf(' ', start);
+        return space === -1 ? '' : text.slice(space + 1);
+    }
+
+    /**
+     * New document record for a conversation, already chunked
+     */
+    static createDocument(conversationId, { name, type, size, text }) {
+        return {
+            id: ConversationStore.createId(),
+            conversationId,
+            name,
+            type,
+            size,
+            timestamp: new Date().toISOString(),
+            chunks: DocumentIndex.chunkText(text).map((chunkText, index) => ({
+                id: ConversationStore.createId(),
+                index,
+                text: chunkText
+            }))
+        };
+    }
+
+    add(document) {
+        this.remove(document.id);
+        this.documents.set(document.id, document);
+
+        const terms = new Map();
+        for (const chunk of document.chunks) {
+            const tokens = DocumentIndex.tokenize(chunk.text);
+            const frequencies = new Map();
+            tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+            terms.set(chunk.id, { frequencies, length: tokens.length });
+        }
+        this.chunkTerms.set(document.id, terms);
+    }
+
+    remove(documentId) {
+        this.documents.delete(documentId);
+        this.chunkTerms.delete(documentId);
+    }
+
+    removeConversation(conversationId) {
+        this.getDocuments(conversationId).forEach(document => this.remove(document.id));
+    }
+
+    clear() {
+        this.documents.clear();
+        this.chunkTerms.clear();
+    }
+
+    /**
+     * Documents attached to a conversation, oldest first
+     */
+    getDocuments(conversationId) {
+        return [...this.documents.values()]
+            .filter(document => document.conversationId === conversationId)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    getChunk(documentId, chunkId) {
+        const document = this.documents.get(documentId);
+        const chunk = document ? document.chunks.find(item => item.id === chunkId) : null;
+        return chunk ? { document, chunk } : null;
+    }
+
+    /**
+     * Best chunks of a conversation's documents for a query (BM25).
+     * Returns [{ document, chunk, score }]
+     */
+    search(conversationId, query, limit = RAG_TOP_K) {
+        const terms = [...new Set(DocumentIndex.tokenize(query))];
+        const candidates = this.getDocuments(conversationId)
+            .flatMap(document => document.chunks.map(chunk => ({ document, chunk, stats: this.chunkTerms.get(document.id).get(chunk.id) })));
+        if (terms.length === 0 || candidates.length === 0) return [];
+
+        const averageLength = candidates.reduce((sum, candidate) => sum + candidate.stats.length, 0) / candidates.length || 1;
+        const idf = new Map(terms.map(term => {
+            const frequency = candidates.filter(candidate => candidate.stats.frequencies.has(term)).length;
+            return [term, Math.log(1 + (candidates.length - frequency + 0.5) / (frequency + 0.5))];
+        }));
+
+        return candidates
+            .map(({ document, chunk, stats }) => {
+                let score = 0;
+                for (const term of terms) {
+                    const frequency = stats.frequencies.get(term) || 0;
+                    if (!frequency) continue;
+                    const norm = this.k1 * (1 - this.b + this.b * stats.length / averageLength);
+                    score += idf.get(term) * (frequency * (this.k1 + 1)) / (frequency + norm);
+                }
+                return { document, chunk, score };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Instructions and numbered passages placed before the user's prompt
+     */
+    static formatContext(passages) {
+        const sources = passages
+            .map((passage, index) => `[${index + 1}] (${passage.document.name}, trecho ${passage.chunk.index + 1})\n${passage.chunk.text}`)
+            .join('\n\n');
+
+        return 'Use os trechos abaixo, extraídos dos documentos anexados pelo usuário, para responder. ' +
+            'Cite os trechos usados pelo número entre colchetes, por exemplo [1]. ' +
+            `Se a resposta não estiver nos trechos, diga isso.\n\n${sources}`;
+    }
+}
+
+/**
+ * Reads attached files as plain text. PDFs only work when they carry a
+ * text layer (no OCR); their text is pulled from the content streams.
+ */
+class DocumentReader {
+    static accepts(file) {
+        return DocumentReader.isPdf(file) || /^text\//.test(file.type) || /\.(txt|md|markdown|csv|json|log)$/i.test(file.name);
+    }
+
+    static isPdf(file) {
+        return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+    }
+
+    /**
+     * { name, type, size, text } for a File
+     */
+    static async read(file) {
+        if (file.size > RAG_MAX_FILE_SIZE) {
+            throw new Error(`${file.name} é maior que ${RAG_MAX_FILE_SIZE / 1024 / 1024} MB`);
+        }
+        if (!DocumentReader.accepts(file)) {
+            throw new Error(`${file.name}: formato não suportado (use texto, Markdown ou PDF com texto)`);
+        }
+
+        const text = DocumentReader.isPdf(file)
+            ? await DocumentReader.extractPdfText(await file.arrayBuffer())
+            : await file.text();
+
+        if (!text.trim()) {
+            throw new Error(`${file.name} não tem texto`);
+        }
+        return { name: file.name, type: DocumentReader.isPdf(file) ? 'pdf' : 'text', size: file.size, text };
+    }
+
+    static async extractPdfText(buffer) {
+        const bytes = new Uint8Array(buffer);
+        // latin1 keeps one character per byte, so offsets match
+        const raw = new TextDecoder('latin1').decode(bytes);
+        const parts = [];
+        // \b keeps the "stream" of "endstream" from starting a new one
+        const streamPattern = /\bstream\r?\n/g;
+        let match;
+
+        while ((match = streamPattern.exec(raw)) !== null) {
+            const start = match.index + match[0].length;
+            const end = raw.indexOf('endstream', start);
+            if (end === -1) break;
+            streamPattern.lastIndex = end + 'endstream'.length;
+
+            const dictionary = raw.slice(raw.lastIndexOf('obj', match.index), match.index);
+            const filtered = /\/Filter/.test(dictionary);
+            if (filtered && !/\/FlateDecode/.test(dictionary)) continue;
+
+            let data = bytes.subarray(start, end);
+            while (data.length > 0 && (data[data.length - 1] === 0x0a || data[data.length - 1] === 0x0d)) {
+                data = data.subarray(0, data.length - 1);
+            }
+
+            let content;
+            try {
+                content = filtered
+                    ? new TextDecoder('latin1').decode(await DocumentReader.inflate(data))
+                    : raw.slice(start, start + data.length);
+            } catch (error) {
+                continue;
+            }
+
+            if (/\bT[jJ]\b/.test(content)) {
+                parts.push(DocumentReader.parseTextOperators(content));
+            }
+        }
+
+        const text = parts.join('\n\n')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        if ((text.match(/[A-Za-zÀ-ÿ]{3,}/g) || []).length < 3) {
+            throw new Error('Não foi possível extrair texto deste PDF (digitalizado ou com fontes não suportadas)');
+        }
+        return text;
+    }
+
+    static async inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Text shown by Tj, TJ, ' and " operators, with line breaks on
+     * text positioning operators
+     */
+    static parseTextOperators(content) {
+        let text = '';
+        let operands = [];
+        let inArray = false;
+        let i = 0;
+
+        const newline = () => {
+            if (text && !text.endsWith('\n')) text += '\n';
+        };
+
+        while (i < content.length) {
+            const char = content[i];
+
+            if (char === '(') {
+                const { value, end } = DocumentReader.readLiteral(content, i);
+                operands.push(value);
+                i = end;
+            } else if (content.startsWith('<<', i) || content.startsWith('>>', i)) {
+                i += 2;
+            } else if (char === '<') {
+                const end = content.indexOf('>', i);
+                const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/\s+/g, '');
+                operands.push(hex.replace(/(..?)/g, pair => String.fromCharCode(parseInt(pair.padEnd(2, '0'), 16))));
+                i = end === -1 ? content.length : end + 1;
+            } else if (char === '[') {
+                inArray = true;
+                i++;
+            } else if (char === ']') {
+                inArray = false;
+                i++;
+            } else if (char === '%') {
+                const end = content.indexOf('\n', i);
+                i = end === -1 ? content.length : end + 1;
+            } else if (/[-+\d.]/.test(char)) {
+                const number = content.slice(i).match(/^[-+]?\d*\.?\d+/);
+                // Large negative kerning inside TJ arrays separates words
+                if (number && inArray && parseFloat(number[0]) < -200) {
+                    operands.push(' ');
+                }
+                i += number ? number[0].length : 1;
+            } else if (/[A-Za-z'"*]/.test(char)) {
+                const operator = content.slice(i).match(/^[A-Za-z'"*]+/)[0];
+                if (operator === "'" || operator === '"') newline();
+                if (['Tj', 'TJ', "'", '"'].includes(operator)) {
+                    text += operands.filter(operand => typeof operand === 'string').join('');
+                } else if (['Td', 'TD', 'T*', 'ET'].includes(operator)) {
+                    newline();
+                }
+                operands = [];
+                i += operator.length;
+            } else {
+                i++;
+            }
+        }
+
+        return text;
+    }
+
+    /**
+     * Literal string starting at `start` ("(...)" with escapes and nested
+     * parentheses). Returns { value, end } with end just past ")"
+     */
+    static readLiteral(content, start) {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        let value = '';
+        let depth = 0;
+        let i = start;
+
+        while (i < content.length) {
+            const char = content[i];
+            if (char === '\\') {
+                const next = content[i + 1];
+                const octal = content.slice(i + 1).match(/^[0-7]{1,3}/);
+                if (octal) {
+                    value += String.fromCharCode(parseInt(octal[0], 8));
+                    i += 1 + octal[0].length;
+                    continue;
+                }
+                if (next === '\n' || next === '\r') {
+                    i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+                    continue;
+                }
+                value += escapes[next] !== undefined ? escapes[next] : next;
+                i += 2;
+                continue;
+            }
+
+            if (char === '(') {
+                depth++;
+                if (depth > 1) value += char;
+            } else if (char === ')') {
+                depth--;
+                if (depth === 0) return { value, end: i + 1 };
+                value += char;
+            } else {
+                value += char;
+            }
+            i++;
+        }
+
+        return { value, end: content.length };
+    }
+}
+
+// Export for use
+window.DocumentIndex = DocumentIndex;
+window.DocumentReader = DocumentReader;
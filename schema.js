@@ -0,0 +1,220 @@
+/**
+ * Schema Validator
+ * Validação local de respostas JSON contra um JSON Schema (subconjunto usado nas saídas estruturadas)
+ *
+ * Palavras-chave suportadas: type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum, anyOf,
+ * oneOf, allOf
+ */
+
+// Compiled `pattern` keywords (null for invalid ones)
+const SCHEMA_PATTERNS = new Map();
+
+class SchemaValidationError extends Error {
+    /**
+     * @param {Array<{path: string, message: string}>} errors - failing paths
+     * @param {string} raw - the model's last answer
+     */
+    constructor(errors, raw = '') {
+        super(`A resposta não segue o schema: ${SchemaValidator.describe(errors)}`);
+        this.name = 'SchemaValidationError';
+        this.errors = errors;
+        this.raw = raw;
+    }
+}
+
+class SchemaValidator {
+    /**
+     * JSON type of a value, telling integers apart from other numbers
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    static matchesType(value, type) {
+        const actual = SchemaValidator.typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    /**
+     * Validate a value. Returns [{ path, message }], empty when valid
+     */
+    static validate(schema, value, path = '$') {
+        if (!schema || typeof schema !== 'object') return [];
+
+        const errors = [];
+        const fail = (message, at = path) => errors.push({ path: at, message });
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => SchemaValidator.matchesType(value, type))) {
+                fail(`esperado ${types.join(' ou ')}, recebido ${SchemaValidator.typeOf(value)}`);
+                return errors;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => SchemaValidator.equals(option, value))) {
+            fail(`deve ser um de ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if ('const' in schema && !SchemaValidator.equals(schema.const, value)) {
+            fail(`deve ser ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'string') {
+            if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+                fail(`deve ter pelo menos ${schema.minLength} caracteres`);
+            }
+            if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+                fail(`deve ter no máximo ${schema.maxLength} caracteres`);
+            }
+            if (schema.pattern) {
+                const pattern = SchemaValidator.compilePattern(schema.pattern);
+                if (!pattern) {
+                    fail(`padrão inválido no schema: ${schema.pattern}`);
+                } else if (!pattern.test(value)) {
+                    fail(`não corresponde ao padrão ${schema.pattern}`);
+                }
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (typeof schema.minimum === 'number' && value < schema.minimum) {
+                fail(`deve ser >= ${schema.minimum}`);
+            }
+            if (typeof schema.maximum === 'number' && value > schema.maximum) {
+                fail(`deve ser <= ${schema.maximum}`);
+            }
+            if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+                fail(`deve ser > ${schema.exclusiveMinimum}`);
+            }
+            if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+                fail(`deve ser < ${schema.exclusiveMaximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+                fail(`deve ter pelo menos ${schema.minItems} itens`);
+            }
+            if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+                fail(`deve ter no máximo ${schema.maxItems} itens`);
+            }
+            if (schema.items && typeof schema.items === 'object') {
+                value.forEach((item, index) => {
+                    errors.push(...SchemaValidator.validate(schema.items, item, `${path}[${index}]`));
+                });
+            }
+        }
+
+        if (SchemaValidator.typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+
+            for (const key of schema.required || []) {
+                if (!(key in value)) {
+                    fail('campo obrigatório ausente', SchemaValidator.childPath(path, key));
+                }
+            }
+
+            for (const [key, child] of Object.entries(value)) {
+                const childPath = SchemaValidator.childPath(path, key);
+                if (properties[key]) {
+                    errors.push(...SchemaValidator.validate(properties[key], child, childPath));
+                } else if (schema.additionalProperties === false) {
+                    fail('campo não permitido', childPath);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    errors.push(...SchemaValidator.validate(schema.additionalProperties, child, childPath));
+                }
+            }
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(sub => errors.push(...SchemaValidator.validate(sub, value, path)));
+        }
+        if (schema.anyOf && !schema.anyOf.some(sub => SchemaValidator.validate(sub, value, path).length === 0)) {
+            fail('não corresponde a nenhuma das opções (anyOf)');
+        }
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(sub => SchemaValidator.validate(sub, value, path).length === 0).length;
+            if (matches !== 1) {
+                fail(`deve corresponder a exatamente uma opção (oneOf), corresponde a ${matches}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * RegExp of a schema pattern, compiled once; null when it isn't a
+     * valid expression
+     */
+    static compilePattern(source) {
+        if (!SCHEMA_PATTERNS.has(source)) {
+            let pattern = null;
+            try {
+                pattern = new RegExp(source, 'u');
+            } catch (error) {
+                console.warn(`SchemaValidator: Padrão inválido no schema: ${source}`, error);
+            }
+            SCHEMA_PATTERNS.set(source, pattern);
+        }
+        return SCHEMA_PATTERNS.get(source);
+    }
+
+    static childPath(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+
+    static equals(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Read JSON out of a model answer. Markdown code fences and text
+     * around the outermost object or array are ignored.
+     */
+    static parse(text) {
+        let source = String(text || '').trim();
+
+        const fence = source.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        if (fence) {
+            source = fence[1].trim();
+        }
+
+        try {
+            return JSON.parse(source);
+        } catch (error) {
+            const start = source.search(/[{[]/);
+            const end = Math.max(source.lastIndexOf('}'), source.lastIndexOf(']'));
+            if (start === -1 || end <= start) throw error;
+            return JSON.parse(source.slice(start, end + 1));
+        }
+    }
+
+    /**
+     * Parse and validate an answer. Returns { value, errors }
+     */
+    static check(schema, text) {
+        let value;
+        try {
+            value = SchemaValidator.parse(text);
+        } catch (error) {
+            return { value: undefined, errors: [{ path: '$', message: `JSON inválido (${error.message})` }] };
+        }
+        return { value, errors: SchemaValidator.validate(schema, value) };
+    }
+
+    /**
+     * One line per error, as shown to the user and to the model
+     */
+    static describe(errors) {
+        return errors.map(error => `${error.path}: ${error.message}`).join('; ');
+    }
+}
+
+// Export for use
+window.SchemaValidator = SchemaValidator;
+window.SchemaValidationError = SchemaValidationError;
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * App Icons
+ * Gera os ícones PNG do manifest a partir da mesma forma de icons/icon.svg:
+ *
+ *   node scripts/build-icons.js
+ *
+ * The sparkle is four parabolic arcs (the SVG's quadratic curves with
+ * the control point at the center), drawn with 4x4 supersampling.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ICONS_DIR = path.join(__dirname, '..', 'icons');
+const BACKGROUND = [0x2b, 0x2b, 0x2b];
+const SPARKLE = [0x6f, 0xbf, 0x73];
+const SAMPLES = 4;
+
+const ICONS = [
+    { file: 'icon-192.png', size: 192, maskable: false },
+    { file: 'icon-512.png', size: 512, maskable: false },
+    { file: 'icon-maskable-512.png', size: 512, maskable: true }
+];
+
+/**
+ * Coverage of a point (coordinates in 0..1) by the background and the
+ * sparkle. Maskable icons fill the square and keep the sparkle inside
+ * the safe zone (the central 80% circle).
+ */
+function shade(x, y, maskable) {
+    const radius = 0.18;
+    const inset = 0.04;
+    let background = true;
+    if (!maskable) {
+        // Rounded square, like icon.svg
+        const dx = Math.max(inset + radius - x, 0, x - (1 - inset - radius));
+        const dy = Math.max(inset + radius - y, 0, y - (1 - inset - radius));
+        background = x >= inset && x <= 1 - inset && y >= inset && y <= 1 - inset && dx * dx + dy * dy <= radius * radius;
+    }
+
+    const reach = maskable ? 0.28 : 0.32;
+    const sx = Math.abs(x - 0.5) / reach;
+    const sy = Math.abs(y - 0.5) / reach;
+    const sparkle = Math.sqrt(sx) + Math.sqrt(sy) <= 1;
+
+    return { background, sparkle };
+}
+
+function render(size, maskable) {
+    const pixels = Buffer.alloc(size * size * 4);
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            let covered = 0;
+            let lit = 0;
+            for (let sy = 0; sy < SAMPLES; sy++) {
+                for (let sx = 0; sx < SAMPLES; sx++) {
+                    const { background, sparkle } = shade((px + (sx + 0.5) / SAMPLES) / size, (py + (sy + 0.5) / SAMPLES) / size, maskable);
+                    if (background || sparkle) covered++;
+                    if (sparkle) lit++;
+                }
+            }
+
+            const total = SAMPLES * SAMPLES;
+            const mix = covered ? lit / covered : 0;
+            const offset = (py * size + px) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                pixels[offset + channel] = Math.round(BACKGROUND[channel] * (1 - mix) + SPARKLE[channel] * mix);
+            }
+            pixels[offset + 3] = Math.round(255 * covered / total);
+        }
+    }
+    return pixels;
+}
+
+function crc32(buffer) {
+    let crc = ~0;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+        }
+    }
+    return ~crc >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 8-bit RGBA PNG
+ */
+function encodePng(size, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    // Each row starts with filter type 0 (none)
+    const rows = Buffer.alloc(size * (size * 4 + 1));
+    for (let y = 0; y < size; y++) {
+        pixels.copy(rows, y * (size * 4 + 1) + 1, y * size * 4, (y + 1) * size * 4);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+fs.mkdirSync(ICONS_DIR, { recursive: true });
+for (const icon of ICONS) {
+    fs.writeFileSync(path.join(ICONS_DIR, icon.file), encodePng(icon.size, render(icon.size, icon.maskable)));
+    console.log(`icons/${icon.file}: ${icon.size}x${icon.size}`);
+}
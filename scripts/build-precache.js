@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Precache Manifest
+ * Gera precache-manifest.js, com o qual o sw.js versiona o cache offline.
+ * Rode depois de alterar qualquer arquivo do app:
+ *
+ *   node scripts/build-precache.js
+ *
+ * The assets are the page itself, everything index.html links to, the
+ * icons in manifest.json and EXTRA_ASSETS, each with a hash of its
+ * contents. The version hashes all of them, so any change gives the
+ * worker a new cache and the users an update prompt.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = 'precache-manifest.js';
+
+// Files the page doesn't link to but that must work offline
+const EXTRA_ASSETS = ['sdk.js'];
+
+function hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Local files referenced by <script src> and <link href> in index.html
+ */
+function linkedAssets(html) {
+    const urls = [];
+    for (const match of html.matchAll(/<(?:script|link)\b[^>]*?\s(?:src|href)="([^"]+)"/g)) {
+        const url = match[1];
+        if (!/^(?:[a-z]+:)?\/\//i.test(url) && !url.startsWith('data:') && !urls.includes(url)) {
+            urls.push(url);
+        }
+    }
+    return urls;
+}
+
+/**
+ * Icons of the web app manifest and of its shortcuts
+ */
+function manifestIcons(manifest) {
+    const shortcutIcons = (manifest.shortcuts || []).flatMap(shortcut => shortcut.icons || []);
+    return [...(manifest.icons || []), ...shortcutIcons].map(icon => icon.src);
+}
+
+function buildManifest() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const webManifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    const files = ['index.html', ...linkedAssets(html), ...manifestIcons(webManifest), ...EXTRA_ASSETS]
+        .map(file => file.replace(/^\.\//, ''))
+        .filter((file, index, all) => all.indexOf(file) === index);
+
+    const assets = files.map(file => {
+        const fullPath = path.join(ROOT, file);
+        if (!fs.existsSync(fullPath)) {
+            throw new Error(`${file} não existe (referenciado em index.html, manifest.json ou EXTRA_ASSETS)`);
+        }
+        return { url: `./${file}`, revision: hash(fs.readFileSync(fullPath)) };
+    });
+
+    // The app's start URL is index.html under another name
+    assets.unshift({ url: './', revision: assets[0].revision });
+
+    return {
+        version: hash(assets.map(asset => `${asset.url}@${asset.revision}`).join('\n')),
+        assets
+    };
+}
+
+const manifest = buildManifest();
+fs.writeFileSync(
+    path.join(ROOT, OUTPUT),
+    '// Gerado por scripts/build-precache.js - não edite à mão\n' +
+    `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 4)};\n`
+);
+console.log(`${OUTPUT}: versão ${manifest.version}, ${manifest.assets.length} arquivos`);
@@ -0,0 +1,37 @@
+/**
+ * Local AI SDK
+ * Módulo ES para usar o modelo no dispositivo em outras páginas sem copiar
+ * os scripts do app:
+ *
+ *   import { LocalAI } from './sdk.js';
+ *
+ *   const ai = await LocalAI.create();
+ *   for await (const chunk of ai.stream('Explique o que é um LLM')) {
+ *       output.textContent += chunk;
+ *   }
+ *
+ * Pages that would rather reuse the app's model and settings can embed the
+ * app in an iframe and talk to it with AIBridgeClient (see bridge.js).
+ */
+
+// The app's scripts register their classes on window, in this order
+import './schema.js';
+import './tools.js';
+import './media.js';
+import './ai-tasks.js';
+import './ai-providers.js';
+import './ai-core.js';
+import './local-ai.js';
+import './bridge.js';
+
+export const {
+    LocalAI,
+    LocalAIError,
+    LocalAICore,
+    AIBridgeClient,
+    ChromeAIProvider,
+    OpenAICompatibleProvider,
+    MockAIProvider,
+    AITasks,
+    ToolRegistry
+} = window;
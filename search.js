@@ -0,0 +1,204 @@
+/**
+ * Search Index
+ * Índice invertido em memória para busca de texto em todas as conversas
+ */
+
+class SearchIndex {
+    constructor() {
+        // term -> Map(messageId -> term frequency)
+        this.postings = new Map();
+        // messageId -> { conversationId, messageId, role, content, length, terms }
+        this.documents = new Map();
+    }
+
+    /**
+     * Lowercase, accent-insensitive tokens ("Ação" and "acao" match)
+     */
+    static tokenize(text) {
+        return SearchIndex.normalize(text)
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1);
+    }
+
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    rebuild(conversations) {
+        this.clear();
+        for (const conversation of conversations) {
+            for (const message of conversation.messages) {
+                this.addMessage(conversation.id, message);
+            }
+        }
+    }
+
+    clear() {
+        this.postings.clear();
+        this.documents.clear();
+    }
+
+    addMessage(conversationId, message) {
+        if (!message || !message.id || !message.content) return;
+        if (this.documents.has(message.id)) {
+            this.removeMessage(message.id);
+        }
+
+        const tokens = SearchIndex.tokenize(message.content);
+        const frequencies = new Map();
+        tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+        for (const [term, count] of frequencies) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(message.id, count);
+        }
+
+        this.documents.set(message.id, {
+            conversationId,
+            messageId: message.id,
+            role: message.role,
+            content: message.content,
+            length: tokens.length,
+            terms: [...frequencies.keys()]
+        });
+    }
+
+    removeMessage(messageId) {
+        const doc = this.documents.get(messageId);
+        if (!doc) return;
+
+        for (const term of doc.terms) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            posting.delete(messageId);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.documents.delete(messageId);
+    }
+
+    removeConversation(conversationId) {
+        for (const [messageId, doc] of [...this.documents]) {
+            if (doc.conversationId === conversationId) {
+                this.removeMessage(messageId);
+            }
+        }
+    }
+
+    /**
+     * Terms matching a query token. The last token of the query also
+     * matches as a prefix so results show up while typing.
+     */
+    expandTerm(token, isPrefix) {
+        if (!isPrefix) {
+            return this.postings.has(token) ? [token] : [];
+        }
+        return [...this.postings.keys()].filter(term => term.startsWith(token));
+    }
+
+    /**
+     * Rank messages containing every query term (TF-IDF with length
+     * normalization). Returns [{ conversationId, messageId, role, content, score, terms }]
+     */
+    search(query, limit = 30) {
+        const tokens = SearchIndex.tokenize(query);
+        if (tokens.length === 0) return [];
+
+        const totalDocs = this.documents.size || 1;
+        const averageLength = [...this.documents.values()].reduce((sum, doc) => sum + doc.length, 0) / totalDocs || 1;
+        let scores = null;
+        const matchedTerms = new Map();
+
+        tokens.forEach((token, index) => {
+            const terms = this.expandTerm(token, index === tokens.length - 1);
+            const tokenScores = new Map();
+
+            for (const term of terms) {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + (totalDocs - posting.size + 0.5) / (posting.size + 0.5));
+
+                for (const [messageId, frequency] of posting) {
+                    const doc = this.documents.get(messageId);
+                    const tf = (frequency * 2.2) / (frequency + 1.2 * (0.25 + 0.75 * doc.length / averageLength));
+                    tokenScores.set(messageId, (tokenScores.get(messageId) || 0) + idf * tf);
+
+                    if (!matchedTerms.has(messageId)) matchedTerms.set(messageId, new Set());
+                    matchedTerms.get(messageId).add(term);
+                }
+            }
+
+            // Every query token has to match
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                for (const messageId of [...scores.keys()]) {
+                    if (tokenScores.has(messageId)) {
+                        scores.set(messageId, scores.get(messageId) + tokenScores.get(messageId));
+                    } else {
+                        scores.delete(messageId);
+                    }
+                }
+            }
+        });
+
+        return [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([messageId, score]) => ({
+                ...this.documents.get(messageId),
+                score,
+                terms: [...matchedTerms.get(messageId)]
+            }));
+    }
+
+    /**
+     * Text window around the first match, with [start, end) ranges of
+     * every matched term inside it
+     */
+    getSnippet(content, terms, radius = 60) {
+        // Map each normalized character back to its original index
+        let normalized = '';
+        const sourceIndex = [];
+        for (let i = 0; i < content.length; i++) {
+            const chars = SearchIndex.normalize(content[i]);
+            for (const char of chars) {
+                normalized += char;
+                sourceIndex.push(i);
+            }
+        }
+
+        const ranges = [];
+        for (const term of terms) {
+            const pattern = new RegExp(`(^|[^a-z0-9])(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'g');
+            let match;
+            while ((match = pattern.exec(normalized)) !== null) {
+                const start = match.index + match[1].length;
+                const end = start + match[2].length;
+                ranges.push([sourceIndex[start], sourceIndex[end - 1] + 1]);
+            }
+        }
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const first = ranges.length > 0 ? ranges[0][0] : 0;
+        const windowStart = Math.max(0, first - radius);
+        const windowEnd = Math.min(content.length, first + radius * 2);
+        const prefix = windowStart > 0 ? '…' : '';
+        const suffix = windowEnd < content.length ? '…' : '';
+
+        return {
+            text: prefix + content.slice(windowStart, windowEnd) + suffix,
+            ranges: ranges
+                .filter(([start, end]) => start >= windowStart && end <= windowEnd)
+                .map(([start, end]) => [start - windowStart + prefix.length, end - windowStart + prefix.length])
+        };
+    }
+}
+
+// Export for use
+window.SearchIndex = SearchIndex;
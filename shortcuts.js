@@ -0,0 +1,234 @@
+/**
+ * Keyboard Shortcuts
+ * Atalhos de teclado remapeáveis e a busca aproximada da paleta de comandos
+ */
+
+const KEY_BINDINGS_STORAGE_KEY = 'keyBindings';
+
+// Command id -> combination ("Mod" is Ctrl, or Cmd on a Mac)
+const DEFAULT_KEY_BINDINGS = {
+    commandPalette: 'Mod+K',
+    newChat: 'Mod+Shift+O',
+    stopResponse: 'Escape',
+    editLastMessage: 'ArrowUp',
+    toggleTheme: null,
+    exportChat: 'Mod+Shift+E',
+    exportAll: null,
+    clearHistory: null,
+    openTemplates: null,
+    openSettings: 'Mod+,',
+    shortcutsHelp: 'Mod+/'
+};
+
+const KEY_LABELS = {
+    Escape: 'Esc',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'Espaço',
+    Plus: '+'
+};
+
+/**
+ * Commands' key combinations: the defaults plus what the user changed,
+ * kept in localStorage['keyBindings'] as { id: combination or null }.
+ */
+class KeyBindings {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || KEY_BINDINGS_STORAGE_KEY;
+        this.defaults = options.defaults || DEFAULT_KEY_BINDINGS;
+        this.overrides = {};
+    }
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.warn('KeyBindings: Atalhos salvos ilegíveis, usando os padrões');
+        }
+
+        this.overrides = {};
+        if (saved && typeof saved === 'object') {
+            for (const [id, combo] of Object.entries(saved)) {
+                if (id in this.defaults && (combo === null || typeof combo === 'string')) {
+                    this.overrides[id] = combo;
+                }
+            }
+        }
+        return this.list();
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+    }
+
+    /**
+     * { id, combo } of every command, combo null when unbound
+     */
+    list() {
+        return Object.keys(this.defaults).map(id => ({ id, combo: this.get(id) }));
+    }
+
+    get(id) {
+        return id in this.overrides ? this.overrides[id] : (this.defaults[id] || null);
+    }
+
+    /**
+     * Bind a command (null unbinds it). The caller resolves conflicts
+     * first (see commandFor).
+     */
+    set(id, combo) {
+        if (!(id in this.defaults)) return;
+        if (combo === (this.defaults[id] || null)) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = combo;
+        }
+    }
+
+    reset() {
+        this.overrides = {};
+    }
+
+    /**
+     * Command bound to a combination, or null
+     */
+    commandFor(combo) {
+        if (!combo) return null;
+        const binding = this.list().find(item => item.combo === combo);
+        return binding ? binding.id : null;
+    }
+
+    /**
+     * Command bound to a keydown event, or null
+     */
+    match(event) {
+        return this.commandFor(KeyBindings.fromEvent(event));
+    }
+
+    /**
+     * Combination of a keydown event ("Mod+Shift+O"), null for a lone
+     * modifier. Letters and digits come from the physical key, so Alt
+     * and Shift don't turn them into other characters.
+     */
+    static fromEvent(event) {
+        if (['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock'].includes(event.key)) return null;
+
+        let key = event.key;
+        if (/^Key[A-Z]$/.test(event.code || '')) {
+            key = event.code.slice(3);
+        } else if (/^Digit\d$/.test(event.code || '')) {
+            key = event.code.slice(5);
+        } else if (key === ' ') {
+            key = 'Space';
+        } else if (key === '+') {
+            key = 'Plus';
+        } else if (key && key.length === 1) {
+            key = key.toUpperCase();
+        }
+        if (!key || key === 'Unidentified' || key === 'Dead') return null;
+
+        return [
+            event.ctrlKey || event.metaKey ? 'Mod' : null,
+            event.altKey ? 'Alt' : null,
+            event.shiftKey ? 'Shift' : null,
+            key
+        ].filter(Boolean).join('+');
+    }
+
+    /**
+     * Whether the combination uses Ctrl/Cmd or Alt (and so doesn't type
+     * anything in a text field)
+     */
+    static hasModifier(combo) {
+        return /^(?:Mod|Alt)\+/.test(combo || '');
+    }
+
+    /**
+     * Label shown to the user: "Ctrl+Shift+O", or "⌘⇧O" on a Mac
+     */
+    static format(combo) {
+        if (!combo) return '';
+        const mac = KeyBindings.isMac();
+        const modifiers = { Mod: mac ? '⌘' : 'Ctrl', Alt: mac ? '⌥' : 'Alt', Shift: mac ? '⇧' : 'Shift' };
+        return combo.split('+')
+            .map(part => modifiers[part] || KEY_LABELS[part] || part)
+            .join(mac ? '' : '+');
+    }
+
+    static isMac() {
+        return /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '');
+    }
+}
+
+/**
+ * Fuzzy search for the command palette: the query's characters must
+ * appear in order; runs and word starts rank higher.
+ */
+class CommandSearch {
+    /**
+     * Score of a text for the query, null when it doesn't match. Every
+     * occurrence of the first character is tried as a start, so "tema"
+     * finds the word in "Alternar tema" rather than the "t" of "Alternar".
+     */
+    static score(query, text) {
+        const needle = SearchIndex.normalize(query).replace(/\s+/g, '');
+        const haystack = SearchIndex.normalize(text);
+        if (!needle) return 0;
+
+        let best = null;
+        for (let start = haystack.indexOf(needle[0]); start !== -1; start = haystack.indexOf(needle[0], start + 1)) {
+            const score = CommandSearch.scoreFrom(needle, haystack, start);
+            if (score === null) break;
+            best = best === null ? score : Math.max(best, score);
+        }
+        // Shorter texts win ties ("Nova conversa" over a conversation titled "Nova conversa sobre...")
+        return best === null ? null : best - haystack.length * 0.01;
+    }
+
+    /**
+     * Greedy match of the needle with its first character at `start`
+     */
+    static scoreFrom(needle, haystack, start) {
+        let score = 0;
+        let from = start;
+        let previous = start - 2;
+        for (const char of needle) {
+            const index = haystack.indexOf(char, from);
+            if (index === -1) return null;
+
+            if (index === previous + 1) score += 3;
+            if (index === 0 || /[\s\-_/:.]/.test(haystack[index - 1])) score += 2;
+            score -= Math.min(index - from, 5) * 0.2;
+
+            previous = index;
+            from = index + 1;
+        }
+        return score;
+    }
+
+    /**
+     * Items matching the query, best first ({ label, keywords? } objects)
+     */
+    static filter(items, query) {
+        if (!query.trim()) return [...items];
+
+        return items
+            .map((item, index) => {
+                const scores = [item.label, item.keywords]
+                    .filter(Boolean)
+                    .map(text => CommandSearch.score(query, text))
+                    .filter(score => score !== null);
+                return scores.length > 0 ? { item, index, score: Math.max(...scores) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(({ item }) => item);
+    }
+}
+
+// Export for use
+window.KeyBindings = KeyBindings;
+window.CommandSearch = CommandSearch;
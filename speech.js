@@ -0,0 +1,420 @@
+/**
+ * Speech
+ * Ditado pelo microfone (Web Speech API) e leitura das respostas em voz alta,
+ * frase a frase enquanto chegam
+ */
+
+const SPEECH_ERRORS = {
+    'not-allowed': 'Permissão do microfone negada.',
+    'service-not-allowed': 'O reconhecimento de voz não está disponível neste navegador.',
+    'audio-capture': 'Nenhum microfone encontrado.',
+    'no-speech': 'Nenhuma fala detectada.',
+    network: 'O reconhecimento de voz precisa de conexão com a internet.'
+};
+
+/**
+ * Dictation with SpeechRecognition. onTranscript(text, isFinal) gets the
+ * whole transcript of the current session each time it changes.
+ *
+ * Options:
+ *   createRecognition - () => recognition object (default: the browser's
+ *                       SpeechRecognition, null when unsupported)
+ *   lang              - BCP 47 language (default: the page's)
+ */
+class SpeechDictation {
+    constructor(options = {}) {
+        this.createRecognition = options.createRecognition !== undefined
+            ? options.createRecognition
+            : SpeechDictation.browserRecognition();
+        this.lang = options.lang || navigator.language || 'pt-BR';
+        this.recognition = null;
+        this.listening = false;
+
+        // Callbacks
+        this.onTranscript = null;
+        this.onStateChange = null;
+        this.onError = null;
+    }
+
+    static browserRecognition() {
+        const Recognition = typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition);
+        return Recognition ? () => new Recognition() : null;
+    }
+
+    get supported() {
+        return !!this.createRecognition;
+    }
+
+    start() {
+        if (!this.supported || this.listening) return;
+
+        const recognition = this.createRecognition();
+        recognition.lang = this.lang;
+        recognition.continuous = true;
+        recognition.interimResults = true;
+
+        recognition.onresult = (event) => {
+            let text = '';
+            let isFinal = true;
+            for (let i = 0; i < event.results.length; i++) {
+                text += event.results[i][0].transcript;
+                isFinal = isFinal && event.results[i].isFinal;
+            }
+            if (this.onTranscript) {
+                this.onTranscript(text.trim(), isFinal);
+            }
+        };
+        recognition.onerror = (event) => {
+            // Stopping before anything was said is not worth a message
+            if (event.error === 'aborted') return;
+            console.warn('SpeechDictation: Erro no reconhecimento:', event.error);
+            if (this.onError) {
+                this.onError(SPEECH_ERRORS[event.error] || `Erro no reconhecimento de voz: ${event.error}`);
+            }
+        };
+        recognition.onend = () => {
+            this.recognition = null;
+            this.setListening(false);
+        };
+
+        this.recognition = recognition;
+        try {
+            recognition.start();
+            this.setListening(true);
+        } catch (error) {
+            console.warn('SpeechDictation: Não foi possível iniciar:', error);
+            this.recognition = null;
+            if (this.onError) this.onError(error.message);
+        }
+    }
+
+    stop() {
+        if (this.recognition) {
+            this.recognition.stop();
+        }
+    }
+
+    /**
+     * Stop without delivering what is still being recognized
+     */
+    abort() {
+        if (this.recognition) {
+            this.recognition.onresult = null;
+            this.recognition.abort();
+        }
+    }
+
+    toggle() {
+        if (this.listening) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    setListening(listening) {
+        this.listening = listening;
+        if (this.onStateChange) {
+            this.onStateChange(listening);
+        }
+    }
+}
+
+/**
+ * Text-to-speech for streamed answers: push() the chunks as they arrive
+ * and every complete sentence is queued right away; finish() speaks the
+ * rest. Code blocks and tool calls are skipped.
+ *
+ * Options:
+ *   synthesis       - speechSynthesis-like object (default: the browser's)
+ *   createUtterance - text => utterance (default: SpeechSynthesisUtterance)
+ *   lang            - BCP 47 language for voices and utterances
+ */
+class SpeechPlayback {
+    constructor(options = {}) {
+        this.synthesis = options.synthesis !== undefined
+            ? options.synthesis
+            : (typeof speechSynthesis !== 'undefined' ? speechSynthesis : null);
+        this.createUtterance = options.createUtterance || (text => new SpeechSynthesisUtterance(text));
+        this.lang = options.lang || navigator.language || 'pt-BR';
+        this.voiceURI = null;
+        this.rate = 1;
+
+        this.buffer = '';
+        this.queued = 0;
+        this.state = 'idle';
+
+        // Callbacks
+        this.onStateChange = null;
+    }
+
+    get supported() {
+        return !!this.synthesis;
+    }
+
+    /**
+     * Available voices, those of the page's language first
+     */
+    getVoices() {
+        if (!this.supported) return [];
+        const language = this.lang.split('-')[0].toLowerCase();
+        const matches = voice => (voice.lang || '').toLowerCase().startsWith(language) ? 0 : 1;
+        return [...this.synthesis.getVoices()].sort((a, b) => matches(a) - matches(b) || a.name.localeCompare(b.name));
+    }
+
+    setVoice(voiceURI) {
+        this.voiceURI = voiceURI || null;
+    }
+
+    /**
+     * Queue the complete sentences of a streamed chunk
+     */
+    push(chunk) {
+        if (!this.supported) return;
+        this.buffer += chunk;
+
+        const end = SpeechPlayback.lastSentenceEnd(this.buffer);
+        if (end > 0) {
+            this.speak(this.buffer.slice(0, end));
+            this.buffer = this.buffer.slice(end);
+        }
+    }
+
+    /**
+     * Speak whatever is left of the streamed answer
+     */
+    finish() {
+        const rest = this.buffer;
+        this.buffer = '';
+        this.speak(rest);
+    }
+
+    /**
+     * Queue a text, one utterance per sentence
+     */
+    speak(text) {
+        if (!this.supported) return;
+
+        const voice = this.voiceURI ? this.synthesis.getVoices().find(v => v.voiceURI === this.voiceURI) : null;
+        for (const sentence of SpeechPlayback.splitSentences(SpeechPlayback.toPlainText(text))) {
+            const utterance = this.createUtterance(sentence);
+            utterance.lang = voice ? voice.lang : this.lang;
+            utterance.rate = this.rate;
+            if (voice) {
+                utterance.voice = voice;
+            }
+            utterance.onend = utterance.onerror = () => {
+                this.queued = Math.max(0, this.queued - 1);
+                if (this.queued === 0 && this.state === 'speaking') {
+                    this.setState('idle');
+                }
+            };
+
+            this.queued++;
+            this.synthesis.speak(utterance);
+            if (this.state === 'idle') {
+                this.setState('speaking');
+            }
+        }
+    }
+
+    pause() {
+        if (this.state !== 'speaking') return;
+        this.synthesis.pause();
+        this.setState('paused');
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+        this.synthesis.resume();
+        this.setState(this.queued > 0 ? 'speaking' : 'idle');
+    }
+
+    stop() {
+        this.buffer = '';
+        this.queued = 0;
+        if (!this.supported) return;
+        this.synthesis.cancel();
+        this.setState('idle');
+    }
+
+    setState(state) {
+        this.state = state;
+        if (this.onStateChange) {
+            this.onStateChange(state);
+        }
+    }
+
+    /**
+     * Index right after the last sentence end (. ! ? … followed by a
+     * space, or a line break) outside code blocks and tool calls, 0 when
+     * there is none yet
+     */
+    static lastSentenceEnd(text) {
+        let end = 0;
+        for (const match of text.matchAll(/[.!?…]+["')\]]*(?=\s)|\n/g)) {
+            const candidate = match.index + match[0].length;
+            const before = text.slice(0, candidate);
+            const inCode = before.split('```').length % 2 === 0;
+            const inCall = before.lastIndexOf('<tool_call>') > before.lastIndexOf('</tool_call>');
+            if (!inCode && !inCall) {
+                end = candidate;
+            }
+        }
+        return end;
+    }
+
+    static splitSentences(text) {
+        return text.split(/(?<=[.!?…]["')\]]*)\s+|\n+/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+    }
+
+    /**
+     * What should be read of a Markdown answer
+     */
+    static toPlainText(markdown) {
+        return String(markdown)
+            .replace(/```[\s\S]*?(?:```|$)/g, '\n')
+            .replace(/<tool_call>[\s\S]*?(?:<\/tool_call>|$)/g, '')
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/`([^`]*)`/g, '$1')
+            .replace(/^\s{0,3}(?:#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+            .replace(/(\*\*|__|\*|~~)(\S(?:.*?\S)?)\1/g, '$2')
+            .replace(/\|/g, ' ')
+            .replace(/\[(\d+)\]/g, '')
+            .replace(/[ \t]+/g, ' ');
+    }
+}
+
+/**
+ * Scripted SpeechRecognition for tests: start() plays `transcripts`
+ * (growing interim results, the last one final) and ends.
+ *
+ * Options:
+ *   transcripts - texts heard, e.g. ['olá', 'olá mundo'] (default ['teste de ditado'])
+ *   error       - error code fired instead (e.g. 'not-allowed')
+ *   delay       - ms between results (default 20)
+ */
+class MockSpeechRecognition {
+    constructor(options = {}) {
+        this.options = { transcripts: ['teste de ditado'], error: null, delay: 20, ...options };
+        this.lang = '';
+        this.continuous = false;
+        this.interimResults = false;
+        this.stopped = false;
+        this.onresult = null;
+        this.onerror = null;
+        this.onend = null;
+    }
+
+    start() {
+        this.play();
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    abort() {
+        this.stopped = true;
+    }
+
+    async play() {
+        const { transcripts, error, delay } = this.options;
+        await new Promise(resolve => setTimeout(resolve, delay));
+
+        if (error) {
+            if (this.onerror) this.onerror({ error });
+        } else {
+            for (let i = 0; i < transcripts.length && !this.stopped; i++) {
+                const isFinal = i === transcripts.length - 1;
+                const result = Object.assign([{ transcript: transcripts[i], confidence: 0.9 }], { isFinal });
+                if (this.onresult) this.onresult({ resultIndex: 0, results: [result] });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        if (this.onend) this.onend();
+    }
+}
+
+/**
+ * speechSynthesis stand-in for tests. Utterances "play" for `delay` ms;
+ * everything spoken is kept in `spoken`.
+ *
+ * Options:
+ *   voices - [{ name, lang, voiceURI }]
+ *   delay  - ms per utterance (default 20)
+ */
+class MockSpeechSynthesis {
+    constructor(options = {}) {
+        this.options = {
+            voices: [
+                { name: 'Mock Português', lang: 'pt-BR', voiceURI: 'mock-pt' },
+                { name: 'Mock English', lang: 'en-US', voiceURI: 'mock-en' }
+            ],
+            delay: 20,
+            ...options
+        };
+        this.queue = [];
+        this.spoken = [];
+        this.speaking = false;
+        this.paused = false;
+    }
+
+    getVoices() {
+        return this.options.voices;
+    }
+
+    speak(utterance) {
+        this.queue.push(utterance);
+        if (!this.speaking) this.next();
+    }
+
+    next() {
+        const utterance = this.queue.shift();
+        this.speaking = !!utterance;
+        if (!utterance) return;
+
+        this.spoken.push({ text: utterance.text, voice: utterance.voice ? utterance.voice.voiceURI : null });
+        this.timer = setTimeout(() => this.end(utterance), this.options.delay);
+    }
+
+    end(utterance) {
+        if (this.paused) {
+            this.pendingEnd = utterance;
+            return;
+        }
+        if (utterance.onend) utterance.onend();
+        this.next();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        if (this.pendingEnd) {
+            const utterance = this.pendingEnd;
+            this.pendingEnd = null;
+            this.end(utterance);
+        }
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.queue = [];
+        this.pendingEnd = null;
+        this.speaking = false;
+        this.paused = false;
+    }
+}
+
+// Export for use
+window.SpeechDictation = SpeechDictation;
+window.SpeechPlayback = SpeechPlayback;
+window.MockSpeechRecognition = MockSpeechRecognition;
+window.MockSpeechSynthesis = MockSpeechSynthesis;
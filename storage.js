@@ -0,0 +1,360 @@
+/**
+ * Conversation Store
+ * Persistência das conversas em IndexedDB, com migrações de schema versionadas
+ */
+
+const STORE_DB_NAME = 'gemini-nano';
+
+// Each migration upgrades the database from version `index` to `index + 1`
+const STORE_MIGRATIONS = [
+    // v1: conversation metadata and messages in separate stores
+    (db) => {
+        db.createObjectStore('conversations', { keyPath: 'id' });
+        const messages = db.createObjectStore('messages', { keyPath: 'id' });
+        messages.createIndex('conversationId', 'conversationId');
+        db.createObjectStore('meta', { keyPath: 'key' });
+    },
+    // v2: folders; conversations gain `pinned` and `folderId`
+    (db, tx) => {
+        db.createObjectStore('folders', { keyPath: 'id' });
+        const request = tx.objectStore('conversations').openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            cursor.update({ pinned: false, folderId: null, ...cursor.value });
+            cursor.continue();
+        };
+    },
+    // v3: messages become a tree (parentId). Conversations without a
+    // leafId show their newest message's branch, so they need no update.
+    (db, tx) => {
+        const messages = tx.objectStore('messages');
+        const request = messages.getAll();
+        request.onsuccess = () => {
+            const byConversation = new Map();
+            for (const record of request.result) {
+                if (!byConversation.has(record.conversationId)) {
+                    byConversation.set(record.conversationId, []);
+                }
+                byConversation.get(record.conversationId).push(record);
+            }
+
+            for (const records of byConversation.values()) {
+                records.sort((a, b) => a.position - b.position);
+                ConversationTree.linearize(records).forEach(record => messages.put(record));
+            }
+        };
+    },
+    // v4: documents attached to conversations (chunked text for RAG)
+    (db) => {
+        const documents = db.createObjectStore('documents', { keyPath: 'id' });
+        documents.createIndex('conversationId', 'conversationId');
+    },
+    // v5: images and audio attached to messages, kept as blobs
+    (db) => {
+        const media = db.createObjectStore('media', { keyPath: 'id' });
+        media.createIndex('conversationId', 'conversationId');
+    }
+];
+
+class ConversationStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || STORE_DB_NAME;
+        this.db = null;
+
+        // Callbacks
+        this.onError = null;
+    }
+
+    /**
+     * Unique id for conversations' messages
+     */
+    static createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Open the database, running any pending migrations
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, STORE_MIGRATIONS.length);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion; version < STORE_MIGRATIONS.length; version++) {
+                    console.log(`ConversationStore: Migrando schema para v${version + 1}`);
+                    STORE_MIGRATIONS[version](db, request.transaction);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgraded the schema: let it proceed
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('ConversationStore: Atualização bloqueada por outra aba aberta');
+        });
+    }
+
+    /**
+     * Import the old localStorage['conversations'] blob once
+     */
+    async importLegacy() {
+        const db = await this.open();
+        const imported = await this.request(db.transaction('meta').objectStore('meta').get('legacyImported'));
+        if (imported) return 0;
+
+        let legacy = [];
+        try {
+            legacy = JSON.parse(localStorage.getItem('conversations')) || [];
+        } catch (e) {
+            console.warn('ConversationStore: Histórico antigo ilegível, ignorando');
+        }
+
+        const tx = db.transaction(['conversations', 'messages', 'meta'], 'readwrite');
+        for (const conversation of legacy) {
+            const messages = ConversationTree.linearize(
+                (conversation.messages || []).map(msg => ({ ...msg, id: msg.id || ConversationStore.createId() }))
+            );
+            const leafId = messages.length > 0 ? messages[messages.length - 1].id : null;
+            this.putConversationRecords(tx, { pinned: false, folderId: null, ...conversation, messages, leafId });
+        }
+        tx.objectStore('meta').put({ key: 'legacyImported', value: new Date().toISOString() });
+
+        await this.complete(tx);
+        localStorage.removeItem('conversations');
+
+        if (legacy.length > 0) {
+            console.log(`ConversationStore: ${legacy.length} conversas importadas do localStorage`);
+        }
+        return legacy.length;
+    }
+
+    /**
+     * Load every conversation with its messages, newest first
+     */
+    async loadConversations() {
+        const db = await this.open();
+        const tx = db.transaction(['conversations', 'messages']);
+        const [conversations, messages] = await Promise.all([
+            this.request(tx.objectStore('conversations').getAll()),
+            this.request(tx.objectStore('messages').getAll())
+        ]);
+
+        const byConversation = new Map();
+        for (const record of messages) {
+            if (!byConversation.has(record.conversationId)) {
+                byConversation.set(record.conversationId, []);
+            }
+            byConversation.get(record.conversationId).push(record);
+        }
+
+        return conversations
+            .map(conversation => ({
+                ...conversation,
+                messages: (byConversation.get(conversation.id) || [])
+                    .sort((a, b) => a.position - b.position)
+                    .map(({ conversationId, position, ...message }) => message)
+            }))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /**
+     * Load folders in creation order
+     */
+    async loadFolders() {
+        const db = await this.open();
+        const folders = await this.request(db.transaction('folders').objectStore('folders').getAll());
+        return folders.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Load every attached document (chunks included)
+     */
+    async loadDocuments() {
+        const db = await this.open();
+        return this.request(db.transaction('documents').objectStore('documents').getAll());
+    }
+
+    saveDocument(document) {
+        return this.write(['documents'], (tx) => {
+            tx.objectStore('documents').put(document);
+        });
+    }
+
+    deleteDocument(documentId) {
+        return this.write(['documents'], (tx) => {
+            tx.objectStore('documents').delete(documentId);
+        });
+    }
+
+    /**
+     * Load every image and audio record (blobs included)
+     */
+    async loadMedia() {
+        const db = await this.open();
+        return this.request(db.transaction('media').objectStore('media').getAll());
+    }
+
+    saveMedia(records) {
+        return this.write(['media'], (tx) => {
+            records.forEach(record => tx.objectStore('media').put(record));
+        });
+    }
+
+    saveFolder(folder) {
+        return this.write(['folders'], (tx) => {
+            tx.objectStore('folders').put(folder);
+        });
+    }
+
+    /**
+     * Delete a folder and save the conversations moved out of it in the
+     * same transaction
+     */
+    deleteFolder(folderId, movedConversations = []) {
+        return this.write(['folders', 'conversations'], (tx) => {
+            tx.objectStore('folders').delete(folderId);
+            movedConversations.forEach(conversation => {
+                tx.objectStore('conversations').put(this.toConversationRecord(conversation));
+            });
+        });
+    }
+
+    /**
+     * Save conversation metadata, and optionally rewrite all its messages
+     */
+    saveConversation(conversation, includeMessages = true) {
+        return this.write(['conversations', 'messages'], (tx) => {
+            if (includeMessages) {
+                // Old messages must be gone before the new ones are written
+                this.deleteMessages(tx, conversation.id, () => this.putConversationRecords(tx, conversation));
+            } else {
+                tx.objectStore('conversations').put(this.toConversationRecord(conversation));
+            }
+        });
+    }
+
+    /**
+     * Append (or update) a single message, together with the conversation
+     * record (which holds the selected branch)
+     */
+    saveMessage(conversation, message, position) {
+        return this.write(['conversations', 'messages'], (tx) => {
+            tx.objectStore('conversations').put(this.toConversationRecord(conversation));
+            tx.objectStore('messages').put({ ...message, conversationId: conversation.id, position });
+        });
+    }
+
+    deleteConversation(conversationId) {
+        return this.write(['conversations', 'messages', 'documents', 'media'], (tx) => {
+            tx.objectStore('conversations').delete(conversationId);
+            this.deleteMessages(tx, conversationId);
+            this.deleteByConversation(tx, 'documents', conversationId);
+            this.deleteByConversation(tx, 'media', conversationId);
+        });
+    }
+
+    clear() {
+        return this.write(['conversations', 'messages', 'folders', 'documents', 'media'], (tx) => {
+            tx.objectStore('conversations').clear();
+            tx.objectStore('messages').clear();
+            tx.objectStore('folders').clear();
+            tx.objectStore('documents').clear();
+            tx.objectStore('media').clear();
+        });
+    }
+
+    // ---------- Internals ----------
+
+    toConversationRecord(conversation) {
+        const { messages, ...record } = conversation;
+        return record;
+    }
+
+    putConversationRecords(tx, conversation) {
+        tx.objectStore('conversations').put(this.toConversationRecord(conversation));
+        const messages = tx.objectStore('messages');
+        (conversation.messages || []).forEach((message, position) => {
+            messages.put({ ...message, conversationId: conversation.id, position });
+        });
+    }
+
+    deleteMessages(tx, conversationId, onDone = null) {
+        this.deleteByConversation(tx, 'messages', conversationId, onDone);
+    }
+
+    deleteByConversation(tx, storeName, conversationId, onDone = null) {
+        const index = tx.objectStore(storeName).index('conversationId');
+        const request = index.openKeyCursor(IDBKeyRange.only(conversationId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                tx.objectStore(storeName).delete(cursor.primaryKey);
+                cursor.continue();
+            } else if (onDone) {
+                onDone();
+            }
+        };
+    }
+
+    /**
+     * Run a readwrite transaction. Failures (quota included) are reported
+     * through onError and resolve to false, so callers can fire and forget.
+     */
+    async write(storeNames, callback) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(storeNames, 'readwrite');
+            callback(tx);
+            await this.complete(tx);
+            return true;
+        } catch (error) {
+            const quota = error && (error.name === 'QuotaExceededError' || /quota/i.test(error.message || ''));
+            console.error('ConversationStore: Falha ao salvar:', error);
+            if (this.onError) {
+                this.onError(quota
+                    ? 'Sem espaço para salvar o histórico. Exclua conversas antigas para liberar espaço.'
+                    : `Não foi possível salvar o histórico: ${error.message}`, error);
+            }
+            return false;
+        }
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new DOMException('Transação abortada', 'AbortError'));
+        });
+    }
+
+    /**
+     * Set callbacks
+     */
+    setErrorCallback(callback) {
+        this.onError = callback;
+    }
+}
+
+// Export for use
+window.ConversationStore = ConversationStore;
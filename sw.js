@@ -1,18 +1,32 @@
-const CACHE_NAME = 'gemini-nano-offline-v1';
-const CORE_ASSETS = [
-    './',
-    './index.html',
-    './style.css',
-    './app.js',
-    './ai-core.js',
-    './manifest.json'
-];
+// Files and version hash, generated by scripts/build-precache.js
+importScripts('./precache-manifest.js');
+
+const { version: PRECACHE_VERSION, assets: PRECACHE_ASSETS } = self.PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = 'gemini-nano-';
+// One precache per version: a page keeps the files it was loaded with
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${PRECACHE_VERSION}`;
+// Other static files (stale-while-revalidate), trimmed to the newest entries
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime`;
+const RUNTIME_MAX_ENTRIES = 60;
+const STATIC_DESTINATIONS = ['script', 'style', 'image', 'font', 'manifest', 'audio'];
+// What other apps share (manifest share_target), kept until the page reads it
+const SHARE_CACHE_NAME = `${CACHE_PREFIX}share`;
+const SHARE_TARGET_PATH = new URL('./share-target', self.location).pathname;
+
+const PRECACHE_URLS = new Set(PRECACHE_ASSETS.map(asset => new URL(asset.url, self.location).href));
+// Other pages in the scope (e.g. ones using sdk.js) are left to the network
+const APP_PAGES = new Set(['./', './index.html'].map(url => new URL(url, self.location).pathname));
 
 self.addEventListener('install', (event) => {
+    // Skip the HTTP cache so the files match the manifest's hashes. The new
+    // version waits until the page asks for it (SKIP_WAITING), so an open
+    // tab never runs old and new files side by side.
     event.waitUntil(
-        caches.open(CACHE_NAME).then((cache) => cache.addAll(CORE_ASSETS))
+        caches.open(PRECACHE_NAME).then((cache) =>
+            cache.addAll(PRECACHE_ASSETS.map(asset => new Request(asset.url, { cache: 'reload' })))
+        )
     );
-    self.skipWaiting();
 });
 
 self.addEventListener('activate', (event) => {
@@ -20,17 +34,42 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((keys) =>
             Promise.all(
                 keys
-                    .filter((key) => key !== CACHE_NAME)
+                    .filter((key) => ![PRECACHE_NAME, RUNTIME_CACHE_NAME, SHARE_CACHE_NAME].includes(key))
+                    .filter((key) => key.startsWith(CACHE_PREFIX))
                     .map((key) => caches.delete(key))
             )
-        )
+        ).then(() => self.clients.claim())
     );
-    self.clients.claim();
+});
+
+/**
+ * Messages from the page:
+ *   { type: 'SKIP_WAITING' } - activate this (waiting) version
+ *   { type: 'GET_VERSION' }  - reply { type: 'VERSION', version } on the given port
+ */
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+
+    if (data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (data.type === 'GET_VERSION') {
+        const reply = { type: 'VERSION', version: PRECACHE_VERSION };
+        if (event.ports && event.ports[0]) {
+            event.ports[0].postMessage(reply);
+        } else if (event.source) {
+            event.source.postMessage(reply);
+        }
+    }
 });
 
 self.addEventListener('fetch', (event) => {
     const { request } = event;
 
+    if (request.method === 'POST' && new URL(request.url).pathname === SHARE_TARGET_PATH) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+
     if (request.method !== 'GET') {
         return;
     }
@@ -40,36 +79,110 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // Never cache other origins (e.g. a local model server's /v1/models)
+    if (requestUrl.origin !== self.location.origin) {
+        return;
+    }
+
+    // The page comes from this version's precache, so it always matches its scripts
     if (request.mode === 'navigate') {
+        if (!APP_PAGES.has(requestUrl.pathname)) {
+            return;
+        }
         event.respondWith(
-            fetch(request)
-                .then((response) => {
-                    const responseClone = response.clone();
-                    caches.open(CACHE_NAME).then((cache) => {
-                        cache.put('./index.html', responseClone);
-                    });
-                    return response;
-                })
-                .catch(() => caches.match('./index.html'))
+            caches.open(PRECACHE_NAME)
+                .then((cache) => cache.match('./index.html'))
+                .then((cached) => cached || fetch(request))
         );
         return;
     }
 
-    event.respondWith(
-        caches.match(request).then((cachedResponse) => {
-            if (cachedResponse) {
-                return cachedResponse;
-            }
+    if (PRECACHE_URLS.has(requestUrl.href)) {
+        event.respondWith(
+            caches.open(PRECACHE_NAME)
+                .then((cache) => cache.match(request))
+                .then((cached) => cached || fetch(request))
+        );
+        return;
+    }
+
+    if (STATIC_DESTINATIONS.includes(request.destination)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Keep a share (title, text, url and files) in the share cache and send
+ * the app to ./?share=<id>, which reads and deletes it. Each file is
+ * stored as a response with its name in X-File-Name.
+ */
+async function receiveShare(request) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    try {
+        const formData = await request.formData();
+        const cache = await caches.open(SHARE_CACHE_NAME);
+        const field = (name) => (typeof formData.get(name) === 'string' ? formData.get(name) : '');
+
+        const files = [];
+        for (const [index, file] of formData.getAll('files').entries()) {
+            if (typeof file === 'string') continue;
+            const url = `./share/${id}/file-${index}`;
+            await cache.put(url, new Response(file, {
+                headers: {
+                    'Content-Type': file.type || 'application/octet-stream',
+                    'X-File-Name': encodeURIComponent(file.name)
+                }
+            }));
+            files.push(url);
+        }
 
-            return fetch(request).then((response) => {
-                const responseClone = response.clone();
-                event.waitUntil(
-                    caches.open(CACHE_NAME).then((cache) => {
-                        cache.put(request, responseClone);
-                    })
-                );
+        await cache.put(`./share/${id}`, new Response(JSON.stringify({
+            title: field('title'),
+            text: field('text'),
+            url: field('url'),
+            files
+        }), { headers: { 'Content-Type': 'application/json' } }));
+    } catch (error) {
+        console.warn('Service worker: Falha ao receber o compartilhamento:', error);
+        return Response.redirect(new URL('./', self.location).href, 303);
+    }
+
+    return Response.redirect(new URL(`./?share=${id}`, self.location).href, 303);
+}
+
+/**
+ * Answer from the runtime cache when possible and refresh it in the
+ * background; the network answers directly the first time
+ */
+function staleWhileRevalidate(event, request) {
+    return caches.open(RUNTIME_CACHE_NAME).then((cache) =>
+        cache.match(request).then((cached) => {
+            const update = fetch(request).then((response) => {
+                if (response.ok) {
+                    const responseClone = response.clone();
+                    event.waitUntil(
+                        cache.put(request, responseClone).then(() => trimCache(cache, RUNTIME_MAX_ENTRIES))
+                    );
+                }
                 return response;
             });
+
+            if (cached) {
+                // Offline: the cached copy is all there is
+                event.waitUntil(update.catch(() => null));
+                return cached;
+            }
+            return update;
         })
     );
-});
+}
+
+/**
+ * Delete the oldest entries above maxEntries (keys come in insertion order)
+ */
+function trimCache(cache, maxEntries) {
+    return cache.keys().then((keys) =>
+        Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)))
+    );
+}
@@ -0,0 +1,216 @@
+/**
+ * Prompt Templates
+ * Biblioteca de modelos de prompt com {{variáveis}}, usados pelo comando / no chat
+ */
+
+const TEMPLATE_FORMAT = 'gemini-nano-templates';
+const TEMPLATE_VERSION = 1;
+const TEMPLATE_STORAGE_KEY = 'promptTemplates';
+
+const DEFAULT_TEMPLATES = [
+    {
+        id: 'traduzir',
+        command: 'traduzir',
+        name: 'Traduzir',
+        description: 'Traduz um texto para outro idioma',
+        prompt: 'Traduza o texto abaixo para {{idioma}}. Responda apenas com a tradução.\n\n{{texto}}',
+        temperature: 0.3
+    },
+    {
+        id: 'resumir',
+        command: 'resumir',
+        name: 'Resumir',
+        description: 'Resume um texto em poucos tópicos',
+        prompt: 'Resuma o texto abaixo em até {{topicos}} tópicos curtos.\n\n{{texto}}',
+        temperature: 0.3
+    },
+    {
+        id: 'reescrever',
+        command: 'reescrever',
+        name: 'Reescrever',
+        description: 'Reescreve um texto com outro tom',
+        prompt: 'Reescreva o texto abaixo com um tom {{tom}}, mantendo o sentido original.\n\n{{texto}}',
+        temperature: 0.8
+    },
+    {
+        id: 'explicar-codigo',
+        command: 'explicar',
+        name: 'Explicar código',
+        description: 'Explica um trecho de código passo a passo',
+        prompt: 'Explique o que este código faz, passo a passo:\n\n```\n{{codigo}}\n```',
+        systemPrompt: 'Você é um programador experiente e didático. Use exemplos curtos quando ajudar.'
+    }
+];
+
+class TemplateLibrary {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || TEMPLATE_STORAGE_KEY;
+        this.templates = [];
+    }
+
+    /**
+     * Load saved templates; the defaults are used until something is saved
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.warn('TemplateLibrary: Modelos salvos ilegíveis, usando os padrões');
+        }
+
+        this.templates = Array.isArray(saved) ? saved : DEFAULT_TEMPLATES.map(template => ({ ...template }));
+        return this.templates;
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.templates));
+    }
+
+    list() {
+        return [...this.templates];
+    }
+
+    get(id) {
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    findByCommand(command) {
+        return this.templates.find(template => template.command === command) || null;
+    }
+
+    /**
+     * Templates for the "/" palette: commands starting with the query
+     * first, then names or descriptions containing it
+     */
+    search(query) {
+        const normalized = SearchIndex.normalize(query);
+        const scored = this.templates
+            .map(template => {
+                if (template.command.startsWith(normalized)) return { template, rank: 0 };
+                const text = SearchIndex.normalize(`${template.name} ${template.description || ''}`);
+                return text.includes(normalized) ? { template, rank: 1 } : null;
+            })
+            .filter(Boolean);
+
+        return scored.sort((a, b) => a.rank - b.rank).map(({ template }) => template);
+    }
+
+    /**
+     * Add or replace a template (matched by id). Returns an error message
+     * or null.
+     */
+    upsert(template) {
+        const error = TemplateLibrary.validate(template, this.templates);
+        if (error) return error;
+
+        const index = this.templates.findIndex(existing => existing.id === template.id);
+        if (index === -1) {
+            this.templates.push(template);
+        } else {
+            this.templates[index] = template;
+        }
+        this.save();
+        return null;
+    }
+
+    remove(id) {
+        this.templates = this.templates.filter(template => template.id !== id);
+        this.save();
+    }
+
+    /**
+     * Variable names in order of first appearance
+     */
+    static extractVariables(prompt) {
+        const names = [];
+        for (const match of String(prompt || '').matchAll(/\{\{\s*([\wÀ-ÿ-]+)\s*\}\}/g)) {
+            if (!names.includes(match[1])) names.push(match[1]);
+        }
+        return names;
+    }
+
+    static fill(prompt, values) {
+        return String(prompt).replace(/\{\{\s*([\wÀ-ÿ-]+)\s*\}\}/g, (placeholder, name) =>
+            values[name] !== undefined ? values[name] : placeholder
+        );
+    }
+
+    static validate(template, existing = []) {
+        if (!template || typeof template !== 'object') return 'formato inválido';
+        if (typeof template.name !== 'string' || !template.name.trim()) return 'o nome é obrigatório';
+        if (typeof template.prompt !== 'string' || !template.prompt.trim()) return 'o prompt é obrigatório';
+        if (typeof template.command !== 'string' || !/^[a-z0-9-]+$/.test(template.command)) {
+            return 'o comando deve ter apenas letras minúsculas, números e hífens';
+        }
+        if (existing.some(other => other.command === template.command && other.id !== template.id)) {
+            return `já existe um modelo com o comando /${template.command}`;
+        }
+        if (template.temperature !== undefined && (typeof template.temperature !== 'number' || template.temperature < 0 || template.temperature > 2)) {
+            return 'a temperatura deve estar entre 0 e 2';
+        }
+        if (template.systemPrompt !== undefined && (typeof template.systemPrompt !== 'string' || template.systemPrompt.length > 4000)) {
+            return 'o prompt de sistema deve ter no máximo 4000 caracteres';
+        }
+        return null;
+    }
+
+    toJSON() {
+        return JSON.stringify({
+            format: TEMPLATE_FORMAT,
+            version: TEMPLATE_VERSION,
+            exportedAt: new Date().toISOString(),
+            templates: this.templates
+        }, null, 2);
+    }
+
+    /**
+     * Merge an exported file. Templates with a command already in the
+     * library replace it. Returns { imported, errors }
+     */
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { imported: 0, errors: ['O arquivo não é um JSON válido.'] };
+        }
+
+        if (!data || data.format !== TEMPLATE_FORMAT || !Array.isArray(data.templates)) {
+            return { imported: 0, errors: ['O arquivo não é uma exportação de modelos de prompt.'] };
+        }
+        if (typeof data.version !== 'number' || data.version > TEMPLATE_VERSION) {
+            return { imported: 0, errors: [`Versão de exportação não suportada: ${data.version}`] };
+        }
+
+        const errors = [];
+        let imported = 0;
+
+        data.templates.forEach((raw, index) => {
+            const existing = raw && this.findByCommand(raw.command);
+            const template = {
+                ...raw,
+                id: existing ? existing.id : ConversationStore.createId()
+            };
+
+            const error = TemplateLibrary.validate(template, this.templates);
+            if (error) {
+                errors.push(`Modelo ${index + 1}: ${error}`);
+                return;
+            }
+
+            if (existing) {
+                this.templates[this.templates.indexOf(existing)] = template;
+            } else {
+                this.templates.push(template);
+            }
+            imported++;
+        });
+
+        this.save();
+        return { imported, errors };
+    }
+}
+
+// Export for use
+window.TemplateLibrary = TemplateLibrary;
@@ -0,0 +1,111 @@
+/**
+ * ConversationExporter: o JSON exportado volta igual e arquivos
+ * importados só trazem os campos conhecidos
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+loadScripts('conversation-tree.js', 'ai-tasks.js', 'media.js', 'exporter.js');
+
+function exportFile(conversations) {
+    return JSON.stringify({ format: 'gemini-nano-conversations', version: 2, conversations });
+}
+
+const MESSAGES = [
+    { id: 'm1', parentId: null, role: 'user', content: 'Olá' },
+    { id: 'm2', parentId: 'm1', role: 'assistant', content: 'Oi!' }
+];
+
+test('ConversationExporter.parseImport', async (t) => {
+    const exporter = new ConversationExporter();
+
+    await t.test('round-trips an export', () => {
+        const conversation = { id: 1, title: 'Teste', timestamp: '2024-01-01T00:00:00.000Z', pinned: true, folderId: 7, messages: MESSAGES, leafId: 'm2' };
+
+        const { conversations, errors } = exporter.parseImport(exporter.toJSON([conversation]));
+
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(conversations, [{ ...conversation, documents: [] }]);
+    });
+
+    await t.test('keeps citations and the attached documents', () => {
+        const attachment = {
+            id: 'd1',
+            conversationId: 1,
+            name: 'notas.md',
+            type: 'text',
+            size: 20,
+            timestamp: '2024-01-01T00:00:00.000Z',
+            chunks: [{ id: 'c1', index: 0, text: 'O prazo é sexta-feira.' }]
+        };
+        const sources = [{ n: 1, documentId: 'd1', chunkId: 'c1', name: 'notas.md', index: 0 }];
+        const withDocuments = new ConversationExporter({ getDocuments: id => id === 1 ? [attachment] : [] });
+        const conversation = { id: 1, title: 'Prazo', timestamp: '2024-01-01T00:00:00.000Z', messages: [MESSAGES[0], { ...MESSAGES[1], sources }], leafId: 'm2' };
+
+        const { conversations } = withDocuments.parseImport(withDocuments.toJSON([conversation]));
+        const { conversationId, ...exported } = attachment;
+        assert.deepStrictEqual(conversations[0].messages[1].sources, sources);
+        assert.deepStrictEqual(conversations[0].documents, [exported]);
+
+        // Imported copies get new ids; citations follow them
+        let next = 0;
+        const [merged] = withDocuments.resolveCollisions(conversations, [{ id: 1 }], () => `novo-${next++}`);
+        assert.notStrictEqual(merged.id, 1);
+        assert.strictEqual(merged.documents[0].conversationId, merged.id);
+        assert.strictEqual(merged.messages[1].sources[0].documentId, merged.documents[0].id);
+        assert.strictEqual(merged.messages[1].sources[0].chunkId, 'c1');
+    });
+
+    await t.test('keeps the description of images and audio', () => {
+        const attachments = [{ id: 'a1', kind: 'image', name: 'foto.png', type: 'image/png', size: 4 }];
+        const conversation = { id: 1, title: 'Foto', timestamp: '2024-01-01T00:00:00.000Z', messages: [{ ...MESSAGES[0], content: '', attachments }], leafId: 'm1' };
+
+        const { conversations } = exporter.parseImport(exporter.toJSON([conversation]));
+        assert.deepStrictEqual(conversations[0].messages[0].attachments, attachments);
+
+        // The files aren't in the export: new ids show them as missing
+        const [merged] = exporter.resolveCollisions(conversations, [], () => 'novo');
+        assert.deepStrictEqual(merged.messages[0].attachments, [{ ...attachments[0], id: 'novo' }]);
+    });
+
+    await t.test('skips malformed documents, sources and attachments', () => {
+        const { conversations } = exporter.parseImport(exportFile([{
+            id: 1,
+            title: 'Teste',
+            timestamp: '',
+            messages: [{ ...MESSAGES[0], attachments: [{ kind: 'video', name: 'x.mp4' }] }, { ...MESSAGES[1], sources: [{ n: '1' }] }],
+            documents: [{ id: 'd1', name: 'a.txt', chunks: [{ index: 0 }] }, { id: 'd2', name: 'b.txt', chunks: [] }, null]
+        }]));
+
+        assert.strictEqual('attachments' in conversations[0].messages[0], false);
+        assert.strictEqual('sources' in conversations[0].messages[1], false);
+        assert.deepStrictEqual(conversations[0].documents.map(document => document.id), ['d2']);
+    });
+
+    await t.test('keeps only the known conversation fields', () => {
+        const { conversations } = exporter.parseImport(exportFile([{
+            id: 1,
+            title: 'Teste',
+            timestamp: '2024-01-01T00:00:00.000Z',
+            messages: MESSAGES,
+            pinned: 'sim',
+            folderId: { id: 1 },
+            initialPrompts: [{ role: 'system', content: 'oculto' }],
+            settings: { temperature: 9, topK: 3, systemPrompt: 'oculto', expectedInputs: [{ type: 'audio' }] }
+        }]));
+
+        assert.deepStrictEqual(Object.keys(conversations[0]).sort(), ['documents', 'folderId', 'id', 'leafId', 'messages', 'pinned', 'settings', 'timestamp', 'title']);
+        assert.strictEqual(conversations[0].pinned, false);
+        assert.strictEqual(conversations[0].folderId, null);
+        // Values are checked against the model's limits by the app
+        assert.deepStrictEqual(conversations[0].settings, { temperature: 9, topK: 3, systemPrompt: 'oculto' });
+    });
+
+    await t.test('drops settings that are not an object', () => {
+        const { conversations } = exporter.parseImport(exportFile([{ id: 1, title: 'Teste', timestamp: '', messages: MESSAGES, settings: 'quente' }]));
+
+        assert.strictEqual('settings' in conversations[0], false);
+    });
+});
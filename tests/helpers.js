@@ -0,0 +1,47 @@
+/**
+ * Test helpers
+ * Carrega os scripts do app (scripts clássicos que exportam em `window`)
+ * no Node, na mesma ordem do index.html, para os testes em tests/*.test.js:
+ *
+ *   node --test tests/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const loaded = new Set();
+
+// The scripts export to `window` and share the global scope, as in the page
+globalThis.window = globalThis;
+
+/**
+ * Run app scripts (paths relative to the repository root) in this
+ * process's global scope; each file is loaded once
+ */
+function loadScripts(...files) {
+    for (const file of files) {
+        if (loaded.has(file)) continue;
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+        loaded.add(file);
+    }
+}
+
+/**
+ * In-memory localStorage for scripts that keep settings there
+ */
+function installLocalStorage() {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+    return globalThis.localStorage;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { loadScripts, installLocalStorage, sleep };
@@ -0,0 +1,135 @@
+/**
+ * LocalAICore com o MockAIProvider: prompt, streaming, parada e a nova
+ * tentativa depois de resumir uma conversa que estourou o contexto
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getEventListeners } = require('node:events');
+const { loadScripts } = require('./helpers');
+
+loadScripts('schema.js', 'tools.js', 'media.js', 'ai-tasks.js', 'ai-providers.js', 'ai-core.js');
+
+async function createCore(options = {}) {
+    const core = new LocalAICore({ provider: new MockAIProvider({ chunkDelay: 1, ...options }) });
+    const { success } = await core.initialize();
+    assert.ok(success);
+    return core;
+}
+
+test('LocalAICore with MockAIProvider', async (t) => {
+    const log = console.log;
+    const error = console.error;
+    console.log = () => {};
+    console.error = () => {};
+    t.after(() => {
+        console.log = log;
+        console.error = error;
+    });
+
+    await t.test('answers a prompt in its conversation', async () => {
+        const core = await createCore();
+
+        const response = await core.enqueue('Olá', { metadata: { conversationId: 'a' } }).promise;
+
+        assert.strictEqual(response.success, true);
+        assert.strictEqual(response.result, 'Você disse: Olá');
+        assert.deepStrictEqual(core.sessions.get('a').history.map(turn => turn.content), ['Olá', 'Você disse: Olá']);
+    });
+
+    await t.test('streams the answer in chunks', async () => {
+        const core = await createCore({ chunkSize: 4 });
+
+        const chunks = [];
+        let completed = null;
+        const response = await core.enqueue('uma resposta em partes', {
+            metadata: { conversationId: 'a' },
+            onChunk: chunk => chunks.push(chunk),
+            onComplete: result => { completed = result; }
+        }).promise;
+
+        assert.ok(chunks.length > 1);
+        assert.strictEqual(chunks.join(''), response.result);
+        assert.strictEqual(completed, 'Você disse: uma resposta em partes');
+    });
+
+    await t.test('stops the running request and drops queued ones', async () => {
+        const core = await createCore({ chunkSize: 1, chunkDelay: 20 });
+
+        let running = null;
+        const first = core.enqueue('uma resposta bem longa', {
+            metadata: { conversationId: 'a' },
+            onChunk: () => {
+                if (running === null) running = core.cancel(first.id);
+            }
+        });
+        const queued = core.enqueue('outra pergunta', { metadata: { conversationId: 'b' } });
+        assert.strictEqual(core.getQueuePosition(queued.id), 1);
+        assert.strictEqual(core.cancel(queued.id), true);
+
+        const stopped = await first.promise;
+        assert.strictEqual(running, true);
+        assert.strictEqual(stopped.aborted, true);
+        assert.ok(stopped.result.length > 0 && 'Você disse: uma resposta bem longa'.startsWith(stopped.result));
+        // Stopped turns are not remembered
+        assert.deepStrictEqual(core.sessions.get('a').history, []);
+
+        assert.deepStrictEqual(await queued.promise, { success: false, result: '', action: 'ask', cancelled: true });
+    });
+
+    await t.test('summarizes the conversation and retries when the context is full', async () => {
+        const core = await createCore({
+            contextQuota: 200,
+            responses: text => text.startsWith('Resuma') ? 'Resumo curto.' : `Ok: ${text.slice(0, 10)}`
+        });
+        // Only the retry path: no compaction ahead of time
+        core.contextThreshold = 10;
+
+        const turn = 'x'.repeat(120);
+        const history = [
+            { role: 'user', content: turn }, { role: 'assistant', content: turn },
+            { role: 'user', content: turn }, { role: 'assistant', content: turn },
+            { role: 'user', content: turn }, { role: 'assistant', content: turn }
+        ];
+        const response = await core.enqueue('y'.repeat(100), { metadata: { conversationId: 'a' }, history }).promise;
+
+        assert.strictEqual(response.success, true);
+        assert.strictEqual(response.result, 'Ok: yyyyyyyyyy');
+        assert.deepStrictEqual(core.summaries.get('a') && core.summaries.get('a').text, 'Resumo curto.');
+        assert.strictEqual(core.getContextUsage('a').summarized, 2);
+    });
+
+    await t.test('detects the source language before asking for a translator', async () => {
+        const core = await createCore({ tasks: { detect: 'available', translate: 'available' } });
+        const checked = [];
+        const taskAvailability = core.provider.taskAvailability.bind(core.provider);
+        core.provider.taskAvailability = (task, options) => {
+            checked.push({ task, ...options });
+            return taskAvailability(task, options);
+        };
+
+        assert.strictEqual((await core.checkTaskAvailability('translate', { sourceLanguage: 'auto', targetLanguage: 'en' })).native, true);
+
+        const response = await core.enqueue('Bom dia', {
+            action: 'translate',
+            taskOptions: { sourceLanguage: 'auto', targetLanguage: 'en' }
+        }).promise;
+
+        assert.strictEqual(response.result, '[translate] Bom dia');
+        assert.deepStrictEqual(core.provider.calls.map(call => call.task), ['detect', 'translate']);
+        assert.ok(checked.every(options => options.sourceLanguage !== 'auto'));
+        assert.ok(checked.some(options => options.task === 'translate' && options.sourceLanguage === 'pt' && options.targetLanguage === 'en'));
+    });
+
+    await t.test('leaves no abort listeners behind while streaming', async () => {
+        const provider = new MockAIProvider({ chunkSize: 2, chunkDelay: 1 });
+        const session = await provider.create();
+        const controller = new AbortController();
+
+        for await (const chunk of provider.promptStreaming(session, 'uma resposta longa', { signal: controller.signal })) {
+            assert.ok(chunk);
+            assert.ok(getEventListeners(controller.signal, 'abort').length <= 1);
+        }
+        assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * OpenAICompatibleProvider contra o servidor de tests/openai-stub-server.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, sleep } = require('./helpers');
+const { startStubServer } = require('./openai-stub-server');
+
+loadScripts('media.js', 'ai-providers.js');
+
+test('OpenAICompatibleProvider', async (t) => {
+    const stub = await startStubServer({ chunkDelay: 2 });
+    t.after(() => stub.close());
+
+    const createProvider = (options = {}) => new OpenAICompatibleProvider({ baseUrl: `${stub.url}/v1`, model: 'stub-model', ...options });
+
+    await t.test('reports availability from /v1/models', async () => {
+        assert.strictEqual(await createProvider().availability(), 'available');
+        assert.deepStrictEqual(new OpenAICompatibleProvider().getUnsupportedReason().status, 'no-api');
+    });
+
+    await t.test('tells loopback addresses apart', () => {
+        assert.strictEqual(OpenAICompatibleProvider.isLoopback('http://localhost:11434'), true);
+        assert.strictEqual(OpenAICompatibleProvider.isLoopback('http://127.0.0.1:8080/v1'), true);
+        assert.strictEqual(OpenAICompatibleProvider.isLoopback('http://[::1]:8080'), true);
+        assert.strictEqual(OpenAICompatibleProvider.isLoopback('https://localhost.example.com'), false);
+        assert.strictEqual(OpenAICompatibleProvider.isLoopback('https://example.com/?localhost'), false);
+        assert.strictEqual(OpenAICompatibleProvider.isLoopback('não é url'), false);
+    });
+
+    await t.test('sends the session messages and settings in the body', async () => {
+        const provider = createProvider({ apiKey: 'segredo' });
+        const session = await provider.create({
+            initialPrompts: [{ role: 'system', content: 'Seja breve.' }],
+            temperature: 0.5,
+            topK: 3
+        });
+
+        const answer = await provider.prompt(session, 'Olá', { responseConstraint: { type: 'object' } });
+        const { body, headers } = stub.requests[stub.requests.length - 1];
+
+        assert.strictEqual(answer, 'Eco: Olá');
+        assert.deepStrictEqual(body.messages, [
+            { role: 'system', content: 'Seja breve.' },
+            { role: 'user', content: 'Olá' }
+        ]);
+        assert.strictEqual(body.model, 'stub-model');
+        assert.strictEqual(body.stream, false);
+        assert.strictEqual(body.temperature, 0.5);
+        assert.strictEqual(body.top_k, 3);
+        assert.strictEqual(body.response_format.type, 'json_schema');
+        assert.deepStrictEqual(body.response_format.json_schema.schema, { type: 'object' });
+        assert.strictEqual(headers.authorization, 'Bearer segredo');
+
+        // The turn is kept for the next request
+        await provider.prompt(session, 'De novo');
+        assert.deepStrictEqual(stub.requests[stub.requests.length - 1].body.messages.slice(1).map(message => message.content), ['Olá', 'Eco: Olá', 'De novo']);
+    });
+
+    await t.test('streams SSE deltas split across reads', async () => {
+        const provider = createProvider();
+        const session = await provider.create();
+
+        const chunks = [];
+        for await (const chunk of provider.promptStreaming(session, 'uma resposta em partes')) {
+            chunks.push(chunk);
+        }
+
+        assert.ok(chunks.length > 1);
+        assert.strictEqual(chunks.join(''), 'Eco: uma resposta em partes');
+        assert.strictEqual(stub.requests[stub.requests.length - 1].body.stream, true);
+        assert.deepStrictEqual(session.messages[session.messages.length - 1], { role: 'assistant', content: 'Eco: uma resposta em partes' });
+    });
+
+    await t.test('keeps a last event that has no line break', async () => {
+        const unterminated = await startStubServer({ done: false, lastNewline: false });
+        t.after(() => unterminated.close());
+
+        const provider = new OpenAICompatibleProvider({ baseUrl: unterminated.url });
+        const session = await provider.create();
+
+        const chunks = [];
+        for await (const chunk of provider.promptStreaming(session, 'até o fim')) {
+            chunks.push(chunk);
+        }
+        assert.strictEqual(chunks.join(''), 'Eco: até o fim');
+    });
+
+    await t.test('closes the stream on [DONE]', async () => {
+        const open = await startStubServer({ keepOpen: true });
+        t.after(() => open.close());
+
+        const provider = new OpenAICompatibleProvider({ baseUrl: open.url });
+        const session = await provider.create();
+
+        const chunks = [];
+        for await (const chunk of provider.promptStreaming(session, 'e fecha')) {
+            chunks.push(chunk);
+        }
+        assert.strictEqual(chunks.join(''), 'Eco: e fecha');
+
+        for (let i = 0; i < 50 && open.closedStreams === 0; i++) {
+            await sleep(10);
+        }
+        assert.strictEqual(open.closedStreams, 1);
+    });
+
+    await t.test('ignores comments and malformed events', () => {
+        const provider = createProvider();
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.strictEqual(provider.parseEventLine(': keep-alive'), null);
+            assert.strictEqual(provider.parseEventLine('data: {não é json'), null);
+            assert.strictEqual(provider.parseEventLine('data: [DONE]'), undefined);
+            assert.strictEqual(provider.parseEventLine('data: {"choices":[{"delta":{"content":"oi"}}]}'), 'oi');
+        } finally {
+            console.warn = warn;
+        }
+    });
+
+    await t.test('rejects with the status of a failed request', async () => {
+        const provider = createProvider();
+        const session = await provider.create();
+
+        stub.failNext(500, 'modelo não carregado');
+        await assert.rejects(provider.prompt(session, 'Olá'), /Servidor respondeu 500: modelo não carregado/);
+
+        stub.failNext(400, 'requisição inválida');
+        const stream = provider.promptStreaming(session, 'Olá');
+        await assert.rejects(stream.next(), /Servidor respondeu 400: requisição inválida/);
+
+        // Failed turns are not remembered
+        assert.deepStrictEqual(session.messages, []);
+    });
+
+    await t.test('stops streaming when aborted', async () => {
+        const slow = await startStubServer({ chunkDelay: 50, chunkSize: 1 });
+        t.after(() => slow.close());
+
+        const provider = new OpenAICompatibleProvider({ baseUrl: slow.url });
+        const session = await provider.create();
+        const controller = new AbortController();
+
+        const chunks = [];
+        await assert.rejects(async () => {
+            for await (const chunk of provider.promptStreaming(session, 'uma resposta bem longa', { signal: controller.signal })) {
+                chunks.push(chunk);
+                controller.abort();
+            }
+        }, { name: 'AbortError' });
+
+        assert.strictEqual(chunks.length, 1);
+        assert.deepStrictEqual(session.messages, []);
+    });
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * OpenAI Stub Server
+ * Servidor mínimo compatível com /v1/models e /v1/chat/completions, para
+ * testar o OpenAICompatibleProvider sem um modelo de verdade. Também pode
+ * ser usado com o app:
+ *
+ *   node tests/openai-stub-server.js 8080
+ *   (abra o app com ?provider=openai&endpoint=http://localhost:8080)
+ *
+ * Answers echo the last user message; streamed ones are sent as SSE in
+ * small pieces, split across writes so the client has to buffer lines.
+ */
+
+const http = require('http');
+
+/**
+ * Start a stub server. Options:
+ *   reply      - body => answer text (default: echoes the last message)
+ *   chunkSize  - characters per streamed delta (default 4)
+ *   chunkDelay - ms between streamed deltas (default 5)
+ *   done       - end streams with [DONE] (default true)
+ *   lastNewline - end the last event with a line break (default true)
+ *   keepOpen   - leave streams open after the last event (default false)
+ *
+ * Resolves with { url, requests, closedStreams, failNext(status, text), close() }:
+ * `requests` keeps every chat request body, `closedStreams` counts the
+ * streamed responses whose connection was closed, failNext() makes the
+ * next chat request answer with an error status.
+ */
+function startStubServer(options = {}) {
+    const reply = options.reply || (body => `Eco: ${body.messages[body.messages.length - 1].content}`);
+    const chunkSize = options.chunkSize || 4;
+    const chunkDelay = options.chunkDelay ?? 5;
+    const requests = [];
+    let closedStreams = 0;
+    let failure = null;
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+        } else if (req.method === 'GET' && req.url === '/v1/models') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: [{ id: 'stub-model', object: 'model' }] }));
+        } else if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => handleChat(req, res, raw));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('not found');
+        }
+    });
+
+    function handleChat(req, res, raw) {
+        const body = JSON.parse(raw);
+        requests.push({ body, headers: req.headers });
+
+        if (failure) {
+            const { status, text } = failure;
+            failure = null;
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(text);
+            return;
+        }
+
+        const text = reply(body);
+        if (!body.stream) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }] }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        const events = [{ choices: [{ delta: { role: 'assistant' } }] }];
+        for (let i = 0; i < text.length; i += chunkSize) {
+            events.push({ choices: [{ delta: { content: text.slice(i, i + chunkSize) } }] });
+        }
+        const lines = [': stub', ...events.map(event => `data: ${JSON.stringify(event)}`)];
+        if (options.done !== false) {
+            lines.push('data: [DONE]');
+        }
+        const writes = lines.map((line, index) => index < lines.length - 1 || options.lastNewline !== false ? `${line}\n\n` : line);
+
+        let index = 0;
+        const timer = setInterval(() => {
+            if (index >= writes.length) {
+                clearInterval(timer);
+                if (!options.keepOpen) res.end();
+                return;
+            }
+            // Half a line per write: events arrive split across reads
+            const line = writes[index++];
+            const half = Math.ceil(line.length / 2);
+            res.write(line.slice(0, half));
+            res.write(line.slice(half));
+        }, chunkDelay);
+        res.on('close', () => {
+            clearInterval(timer);
+            closedStreams++;
+        });
+    }
+
+    return new Promise(resolve => {
+        server.listen(options.port || 0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                get closedStreams() {
+                    return closedStreams;
+                },
+                failNext(status, text = '') {
+                    failure = { status, text };
+                },
+                close() {
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    startStubServer({ port: parseInt(process.argv[2], 10) || 8080 }).then(stub => {
+        console.log(`Servidor de teste em ${stub.url}`);
+    });
+}
+
+module.exports = { startStubServer };
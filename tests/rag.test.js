@@ -0,0 +1,39 @@
+/**
+ * DocumentReader: texto de PDFs com vários content streams
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { loadScripts } = require('./helpers');
+
+loadScripts('rag.js');
+
+/**
+ * Minimal PDF with one content stream per page text, compressed or not
+ */
+function buildPdf(pages, compress = true) {
+    const chunks = ['%PDF-1.4\n'];
+    pages.forEach((text, index) => {
+        const content = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+        const data = compress ? zlib.deflateSync(Buffer.from(content, 'latin1')) : Buffer.from(content, 'latin1');
+        const filter = compress ? ' /Filter /FlateDecode' : '';
+        chunks.push(`${index + 4} 0 obj\n<< /Length ${data.length}${filter} >>\nstream\n`, data, '\nendstream\nendobj\n');
+    });
+    chunks.push('trailer\n<< /Root 1 0 R >>\n%%EOF\n');
+    return new Uint8Array(Buffer.concat(chunks.map(chunk => Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1'))));
+}
+
+const PAGES = ['Primeira pagina texto aqui', 'Segunda pagina com mais texto', 'Terceira pagina encerra tudo'];
+
+test('DocumentReader.extractPdfText', async (t) => {
+    await t.test('reads every compressed content stream', async () => {
+        const text = await DocumentReader.extractPdfText(buildPdf(PAGES).buffer);
+        assert.deepStrictEqual(text.split('\n\n'), PAGES);
+    });
+
+    await t.test('reads every uncompressed content stream', async () => {
+        const text = await DocumentReader.extractPdfText(buildPdf(PAGES, false).buffer);
+        assert.deepStrictEqual(text.split('\n\n'), PAGES);
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * SchemaValidator: palavras-chave de string e padrões inválidos
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+loadScripts('schema.js');
+
+test('SchemaValidator', async (t) => {
+    await t.test('checks string patterns', () => {
+        const schema = { type: 'string', pattern: '^[a-z]+$' };
+
+        assert.deepStrictEqual(SchemaValidator.validate(schema, 'abc'), []);
+        assert.deepStrictEqual(SchemaValidator.validate(schema, 'ABC'), [{ path: '$', message: 'não corresponde ao padrão ^[a-z]+$' }]);
+    });
+
+    await t.test('reports an invalid pattern instead of throwing', () => {
+        const warn = console.warn;
+        const warnings = [];
+        console.warn = (...args) => warnings.push(args);
+        try {
+            const schema = { type: 'object', properties: { code: { type: 'string', pattern: '([a-z' } } };
+
+            const { value, errors } = SchemaValidator.check(schema, '{"code": "abc"}');
+            assert.deepStrictEqual(value, { code: 'abc' });
+            assert.deepStrictEqual(errors, [{ path: '$.code', message: 'padrão inválido no schema: ([a-z' }]);
+
+            // Compiled once
+            SchemaValidator.validate(schema, { code: 'def' });
+            assert.strictEqual(warnings.length, 1);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * SpeechDictation e SpeechPlayback com reconhecimento e síntese de voz
+ * falsos, controlados pelo teste
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+loadScripts('speech.js');
+
+/**
+ * SpeechRecognition whose events the test fires by hand
+ */
+class FakeRecognition {
+    constructor() {
+        this.calls = [];
+    }
+
+    start() {
+        this.calls.push('start');
+    }
+
+    stop() {
+        this.calls.push('stop');
+    }
+
+    abort() {
+        this.calls.push('abort');
+    }
+
+    hear(...results) {
+        if (this.onresult) {
+            this.onresult({ resultIndex: 0, results: results.map(([transcript, isFinal]) => Object.assign([{ transcript }], { isFinal })) });
+        }
+    }
+}
+
+/**
+ * speechSynthesis that keeps the utterances until the test ends them
+ */
+class FakeSynthesis {
+    constructor() {
+        this.utterances = [];
+        this.cancelled = 0;
+    }
+
+    getVoices() {
+        return [{ name: 'Voz', lang: 'pt-BR', voiceURI: 'voz-pt' }];
+    }
+
+    speak(utterance) {
+        this.utterances.push(utterance);
+    }
+
+    cancel() {
+        this.cancelled++;
+        this.utterances = [];
+    }
+
+    endNext() {
+        const utterance = this.utterances.shift();
+        utterance.onend();
+    }
+}
+
+function createDictation() {
+    const recognition = new FakeRecognition();
+    const dictation = new SpeechDictation({ createRecognition: () => recognition, lang: 'pt-BR' });
+    const transcripts = [];
+    const states = [];
+    const errors = [];
+    dictation.onTranscript = (text, isFinal) => transcripts.push([text, isFinal]);
+    dictation.onStateChange = listening => states.push(listening);
+    dictation.onError = message => errors.push(message);
+    return { recognition, dictation, transcripts, states, errors };
+}
+
+function createPlayback() {
+    const synthesis = new FakeSynthesis();
+    const playback = new SpeechPlayback({ synthesis, createUtterance: text => ({ text }), lang: 'pt-BR' });
+    const states = [];
+    playback.onStateChange = state => states.push(state);
+    return { synthesis, playback, states };
+}
+
+test('SpeechDictation', async (t) => {
+    const warn = console.warn;
+    console.warn = () => {};
+    t.after(() => {
+        console.warn = warn;
+    });
+
+    await t.test('delivers the whole transcript, final once every result is', () => {
+        const { recognition, dictation, transcripts, states } = createDictation();
+
+        dictation.start();
+        assert.deepStrictEqual(recognition.calls, ['start']);
+        assert.strictEqual(recognition.lang, 'pt-BR');
+        assert.strictEqual(recognition.continuous, true);
+        assert.strictEqual(recognition.interimResults, true);
+        assert.strictEqual(dictation.listening, true);
+
+        recognition.hear(['olá', false]);
+        recognition.hear(['olá mundo', true], [' tudo', false]);
+        recognition.hear(['olá mundo', true], [' tudo bem ', true]);
+        recognition.onend();
+
+        assert.deepStrictEqual(transcripts, [['olá', false], ['olá mundo tudo', false], ['olá mundo tudo bem', true]]);
+        assert.deepStrictEqual(states, [true, false]);
+        assert.strictEqual(dictation.recognition, null);
+    });
+
+    await t.test('drops pending results when aborted', () => {
+        const { recognition, dictation, transcripts } = createDictation();
+
+        dictation.start();
+        recognition.hear(['meia frase', false]);
+        dictation.abort();
+        recognition.hear(['meia frase completa', true]);
+
+        assert.deepStrictEqual(recognition.calls, ['start', 'abort']);
+        assert.deepStrictEqual(transcripts, [['meia frase', false]]);
+    });
+
+    await t.test('toggles between start and stop', () => {
+        const { recognition, dictation } = createDictation();
+
+        dictation.toggle();
+        dictation.toggle();
+        assert.deepStrictEqual(recognition.calls, ['start', 'stop']);
+    });
+
+    await t.test('reports errors, except an abort', () => {
+        const { recognition, dictation, errors } = createDictation();
+
+        dictation.start();
+        recognition.onerror({ error: 'aborted' });
+        recognition.onerror({ error: 'not-allowed' });
+        recognition.onerror({ error: 'bad-grammar' });
+
+        assert.deepStrictEqual(errors, ['Permissão do microfone negada.', 'Erro no reconhecimento de voz: bad-grammar']);
+    });
+
+    await t.test('is unsupported without a recognition', () => {
+        const dictation = new SpeechDictation({ createRecognition: null, lang: 'pt-BR' });
+
+        dictation.start();
+        assert.strictEqual(dictation.supported, false);
+        assert.strictEqual(dictation.listening, false);
+    });
+});
+
+test('SpeechPlayback', async (t) => {
+    await t.test('speaks complete sentences as chunks arrive and the rest on finish', () => {
+        const { synthesis, playback, states } = createPlayback();
+
+        playback.push('Primeira frase. Segu');
+        assert.deepStrictEqual(synthesis.utterances.map(utterance => utterance.text), ['Primeira frase.']);
+        assert.strictEqual(playback.state, 'speaking');
+
+        playback.push('nda **frase**! Ter');
+        playback.finish();
+        assert.deepStrictEqual(synthesis.utterances.map(utterance => utterance.text), ['Primeira frase.', 'Segunda frase!', 'Ter']);
+        assert.strictEqual(synthesis.utterances[0].lang, 'pt-BR');
+
+        synthesis.endNext();
+        synthesis.endNext();
+        assert.strictEqual(playback.state, 'speaking');
+        synthesis.endNext();
+        assert.strictEqual(playback.state, 'idle');
+        assert.deepStrictEqual(states, ['speaking', 'idle']);
+    });
+
+    await t.test('skips code blocks and tool calls', () => {
+        const { synthesis, playback } = createPlayback();
+
+        playback.push('Veja:\n```js\nconst a = 1. b\n```\n<tool_call>{"name": "x"}</tool_call>Pronto. ');
+        playback.finish();
+
+        assert.deepStrictEqual(synthesis.utterances.map(utterance => utterance.text), ['Veja:', 'Pronto.']);
+    });
+
+    await t.test('stop cancels what is queued and drops the buffer', () => {
+        const { synthesis, playback, states } = createPlayback();
+
+        playback.push('Uma frase. Outra que não term');
+        playback.stop();
+        playback.finish();
+
+        assert.strictEqual(synthesis.cancelled, 1);
+        assert.deepStrictEqual(synthesis.utterances, []);
+        assert.strictEqual(playback.state, 'idle');
+        assert.strictEqual(playback.queued, 0);
+        assert.deepStrictEqual(states, ['speaking', 'idle']);
+    });
+
+    await t.test('uses the chosen voice', () => {
+        const { synthesis, playback } = createPlayback();
+
+        playback.setVoice('voz-pt');
+        playback.speak('Olá.');
+
+        assert.strictEqual(synthesis.utterances[0].voice.voiceURI, 'voz-pt');
+    });
+});
@@ -0,0 +1,346 @@
+/**
+ * Tools
+ * Ferramentas JavaScript que o modelo pode chamar (calculadora, data/hora, busca no histórico)
+ *
+ * Uma ferramenta é { name, description, parameters (JSON Schema), handler(args, context) }.
+ * O modelo pede uma chamada respondendo <tool_call>{"name": ..., "arguments": {...}}</tool_call>
+ * e recebe o retorno do handler em <tool_result>.
+ */
+
+// Longer results are cut so a single call can't fill the context window
+const TOOL_RESULT_MAX_LENGTH = 2000;
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    get size() {
+        return this.tools.size;
+    }
+
+    register(tool) {
+        if (!tool || !/^[A-Za-z_][\w-]*$/.test(tool.name || '')) {
+            throw new Error(`Nome de ferramenta inválido: ${tool && tool.name}`);
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`A ferramenta ${tool.name} não tem handler`);
+        }
+
+        this.tools.set(tool.name, {
+            description: '',
+            parameters: { type: 'object', properties: {} },
+            ...tool
+        });
+    }
+
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    list() {
+        return [...this.tools.values()];
+    }
+
+    /**
+     * Instructions appended to the system prompt; empty without tools
+     */
+    describe() {
+        if (this.tools.size === 0) return '';
+
+        const tools = this.list()
+            .map(tool => `- ${tool.name}: ${tool.description}\n  Parâmetros (JSON Schema): ${JSON.stringify(tool.parameters)}`)
+            .join('\n');
+
+        return `Você pode usar estas ferramentas:\n${tools}\n\n` +
+            'Para usar uma ferramenta, responda apenas com <tool_call>{"name": "nome", "arguments": {...}}</tool_call> ' +
+            'e espere o resultado, que chegará em <tool_result>. Depois responda ao usuário normalmente, ' +
+            'sem mencionar as tags. Nunca invente o resultado de uma ferramenta.';
+    }
+
+    /**
+     * First tool call in a model answer: { name, arguments }, with an
+     * `error` when the call can't be read, or null when there is none
+     */
+    static parseCall(text) {
+        const match = String(text || '').match(/<tool_call>\s*([\s\S]*?)\s*(?:<\/tool_call>|$)/);
+        if (!match) return null;
+
+        let call;
+        try {
+            call = SchemaValidator.parse(match[1]);
+        } catch (error) {
+            return { name: '', arguments: {}, error: 'Chamada de ferramenta com JSON inválido' };
+        }
+
+        if (!call || typeof call.name !== 'string') {
+            return { name: '', arguments: {}, error: 'Chamada de ferramenta sem "name"' };
+        }
+        return { name: call.name, arguments: call.arguments && typeof call.arguments === 'object' ? call.arguments : {} };
+    }
+
+    /**
+     * Answer text without tool call markup (unfinished calls included)
+     */
+    static stripCalls(text) {
+        text = String(text || '');
+        return text.includes('<tool_call>')
+            ? text.replace(/<tool_call>[\s\S]*?(?:<\/tool_call>|$)/g, '').trimEnd()
+            : text;
+    }
+
+    /**
+     * Text of a streaming answer that is safe to hand out: calls removed
+     * and a trailing "<tool_c..." held back until it is clear whether a
+     * call starts there
+     */
+    static streamingText(text) {
+        const visible = ToolRegistry.stripCalls(text);
+        const start = visible.lastIndexOf('<');
+        return start !== -1 && '<tool_call>'.startsWith(visible.slice(start)) ? visible.slice(0, start) : visible;
+    }
+
+    /**
+     * Run a parsed call. Never throws: failures come back as
+     * { name, arguments, error } so the model can react to them.
+     */
+    async execute(call, context = {}) {
+        const outcome = { name: call.name, arguments: call.arguments };
+        if (call.error) {
+            return { ...outcome, error: call.error };
+        }
+
+        const tool = this.get(call.name);
+        if (!tool) {
+            return { ...outcome, error: `Ferramenta desconhecida: ${call.name}. Disponíveis: ${[...this.tools.keys()].join(', ')}` };
+        }
+
+        const errors = SchemaValidator.validate(tool.parameters, call.arguments);
+        if (errors.length > 0) {
+            return { ...outcome, error: `Argumentos inválidos: ${SchemaValidator.describe(errors)}` };
+        }
+
+        try {
+            const result = await tool.handler(call.arguments, context);
+            return { ...outcome, result: result === undefined ? null : result };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`ToolRegistry: ${call.name} falhou:`, error);
+            return { ...outcome, error: error.message || String(error) };
+        }
+    }
+
+    /**
+     * Message fed back to the model after a call
+     */
+    static formatResult(outcome) {
+        let content = JSON.stringify(outcome.error ? { error: outcome.error } : { result: outcome.result });
+        if (content.length > TOOL_RESULT_MAX_LENGTH) {
+            content = `${content.slice(0, TOOL_RESULT_MAX_LENGTH)}… (resultado truncado)`;
+        }
+        return `<tool_result name="${outcome.name}">${content}</tool_result>`;
+    }
+}
+
+const CALCULATOR_FUNCTIONS = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, exp: Math.exp,
+    round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    log: Math.log10, ln: Math.log, log2: Math.log2,
+    min: Math.min, max: Math.max, pow: Math.pow
+};
+
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * Arithmetic without eval(): + - * / % ^ (or **), parentheses, the
+ * constants pi and e and the functions in CALCULATOR_FUNCTIONS. Decimals use a dot.
+ */
+class ExpressionCalculator {
+    static evaluate(expression) {
+        const calculator = new ExpressionCalculator(expression);
+        const value = calculator.parseExpression();
+        if (calculator.peek()) {
+            throw new Error(`Expressão inválida perto de "${calculator.peek()}"`);
+        }
+        if (!Number.isFinite(value)) {
+            throw new Error('O resultado não é um número finito');
+        }
+        return value;
+    }
+
+    constructor(expression) {
+        const source = String(expression).replace(/×/g, '*').replace(/÷/g, '/').replace(/\*\*/g, '^');
+        this.tokens = source.match(/\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[A-Za-z_]\w*|\S/gi) || [];
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    expect(token) {
+        if (this.next() !== token) {
+            throw new Error(`Expressão inválida: esperado "${token}"`);
+        }
+    }
+
+    parseExpression() {
+        let value = this.parseTerm();
+        while (this.peek() === '+' || this.peek() === '-') {
+            value = this.next() === '+' ? value + this.parseTerm() : value - this.parseTerm();
+        }
+        return value;
+    }
+
+    parseTerm() {
+        let value = this.parseUnary();
+        while (['*', '/', '%'].includes(this.peek())) {
+            const operator = this.next();
+            const right = this.parseUnary();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    }
+
+    // Unary minus binds looser than ^, so -2^2 is -4
+    parseUnary() {
+        if (this.peek() === '-') {
+            this.next();
+            return -this.parseUnary();
+        }
+        if (this.peek() === '+') {
+            this.next();
+            return this.parseUnary();
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePrimary();
+        if (this.peek() === '^') {
+            this.next();
+            return Math.pow(base, this.parseUnary());
+        }
+        return base;
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (token === undefined) {
+            throw new Error('Expressão incompleta');
+        }
+
+        if (token === '(') {
+            const value = this.parseExpression();
+            this.expect(')');
+            return value;
+        }
+
+        if (/^[\d.]/.test(token)) {
+            return parseFloat(token);
+        }
+
+        const name = token.toLowerCase();
+        if (Object.hasOwn(CALCULATOR_FUNCTIONS, name)) {
+            this.expect('(');
+            const args = [this.parseExpression()];
+            while (this.peek() === ',') {
+                this.next();
+                args.push(this.parseExpression());
+            }
+            this.expect(')');
+            return CALCULATOR_FUNCTIONS[name](...args);
+        }
+
+        if (Object.hasOwn(CALCULATOR_CONSTANTS, name)) {
+            return CALCULATOR_CONSTANTS[name];
+        }
+
+        throw new Error(`Símbolo desconhecido: ${token}`);
+    }
+}
+
+/**
+ * Offline tools registered by the app
+ *
+ * Options:
+ *   searchIndex     - SearchIndex with every conversation
+ *   getConversation - id -> conversation, for titles
+ */
+function createBuiltinTools(options = {}) {
+    const tools = [
+        {
+            name: 'calculator',
+            description: 'Calcula expressões matemáticas com precisão. Use ponto como separador decimal. Suporta + - * / % ^, parênteses, pi, e, sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, min, max.',
+            parameters: {
+                type: 'object',
+                properties: { expression: { type: 'string', minLength: 1 } },
+                required: ['expression']
+            },
+            handler: ({ expression }) => ({ expression, value: ExpressionCalculator.evaluate(expression) })
+        },
+        {
+            name: 'current_datetime',
+            description: 'Data e hora atuais do dispositivo do usuário. Opcionalmente em outro fuso horário IANA (ex.: America/Sao_Paulo).',
+            parameters: {
+                type: 'object',
+                properties: { timeZone: { type: 'string' } }
+            },
+            handler: ({ timeZone } = {}) => {
+                const now = new Date();
+                const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+                return {
+                    iso: now.toISOString(),
+                    local: now.toLocaleString('pt-BR', { timeZone: zone, dateStyle: 'full', timeStyle: 'long' }),
+                    timeZone: zone
+                };
+            }
+        }
+    ];
+
+    if (options.searchIndex) {
+        tools.push({
+            name: 'search_conversations',
+            description: 'Busca mensagens em outras conversas do histórico do usuário e devolve trechos com o título da conversa.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', minLength: 1 },
+                    limit: { type: 'integer', minimum: 1, maximum: 10 }
+                },
+                required: ['query']
+            },
+            handler: ({ query, limit = 5 }, context = {}) => {
+                const results = options.searchIndex.search(query, 50)
+                    .filter(result => result.conversationId !== context.conversationId)
+                    .slice(0, limit);
+
+                return results.map(result => {
+                    const conversation = options.getConversation ? options.getConversation(result.conversationId) : null;
+                    return {
+                        conversation: conversation ? conversation.title : null,
+                        role: result.role,
+                        snippet: options.searchIndex.getSnippet(result.content, result.terms, 100).text
+                    };
+                });
+            }
+        });
+    }
+
+    return tools;
+}
+
+// Export for use
+window.ToolRegistry = ToolRegistry;
+window.ExpressionCalculator = ExpressionCalculator;
+window.createBuiltinTools = createBuiltinTools;